@@ -2,14 +2,26 @@ const {
     normalizeCharacter,
     normalizeCondition,
     normalizeCharacterAbility,
+    normalizeEffectDuration,
+    effectDurationRounds,
+    normalizeDamageTypes,
+    normalizeEffectSave,
     normalizeInventory,
     normalizeMagicItem,
     normalizeMonsterDbItem,
+    normalizeOwnerIds,
+    normalizePlayerAccount,
+    normalizeEncounter,
     normalizePotion,
     normalizeSpell,
     normalizeSpellbook,
     seedConditions
 } = require('./migrations');
+const { describeDiceResult, normalizeRollMode, parseDiceExpression, rollDiceExpression } = require('./dice');
+const { armorClass, creatureSaveBonus } = require('./characterSheet.mjs');
+const { criticalDamageExpression, legendaryActionCost, legendaryActionName } = require('./monsterRules.mjs');
+const { canControlCharacter } = require('./permissions');
+const { applyPatch, createPatch, invertPatch } = require('./history');
 const { importSpellsFromDataFolder } = require('./spellImport');
 const { clone, clamp, makeId, toNumber } = require('./utils');
 
@@ -67,8 +79,10 @@ function findCharacterIndex(state, id) {
 
 function pageForAction(type) {
     if (type.startsWith('toolbelt.')) return 'toolbelt';
-    if (type === 'character.activateInCombat' || type === 'character.deactivateFromCombat' || type === 'character.deleteSavedPlayer') return 'databases';
-    if (type.startsWith('combat.') || type.startsWith('character.') || type.startsWith('effect.')) return 'combat';
+    if (type === 'character.activateInCombat' || type === 'character.deactivateFromCombat' || type === 'character.deleteSavedPlayer' || type === 'character.owners.set') return 'databases';
+    if (type.startsWith('player.')) return 'databases';
+    if (type === 'encounter.upsert' || type === 'encounter.remove') return 'databases';
+    if (type.startsWith('combat.') || type.startsWith('character.') || type.startsWith('effect.') || type.startsWith('encounter.')) return 'combat';
     if (type.startsWith('inventory.')) return 'inventory';
     if (type.startsWith('spell.') || type.startsWith('spellbook.')) return 'spells';
     if (type.startsWith('monster.')) return 'monsters';
@@ -111,18 +125,21 @@ function snapshotPage(state, page) {
                 skillAbilityOverrides: clone(c.skillAbilityOverrides || {}),
                 sheetBonuses: clone(c.sheetBonuses || []),
                 sheetGeneral: clone(c.sheetGeneral || {}),
-                spellbook: clone(c.spellbook)
-            }))
+                spellbook: clone(c.spellbook),
+                legendaryResistance: c.monsterAbilities?.legendaryResistance ? clone(c.monsterAbilities.legendaryResistance) : undefined
+            })),
+            combatEvents: clone(state.combatState.events || [])
         };
     }
     if (page === 'monsters') {
         return {
             characters: state.characters.map(c => ({
                 id: c.id,
-                monsterAbilities: clone(c.monsterAbilities),
+                monsterAbilities: c.monsterAbilities ? clone(c.monsterAbilities) : undefined,
                 currentPower: c.currentPower,
                 maxPower: c.maxPower
-            }))
+            })),
+            combatEvents: clone(state.combatState.events || [])
         };
     }
     if (page === 'databases') {
@@ -133,7 +150,9 @@ function snapshotPage(state, page) {
             conditionDatabase: clone(state.conditionDatabase || []),
             spellDatabase: clone(state.spellDatabase || []),
             itemDatabase: clone(state.itemDatabase || []),
-            playerCharacters: clone(state.characters.filter(character => character.type === 'player'))
+            playerCharacters: clone(state.characters.filter(character => character.type === 'player')),
+            playerAccounts: clone(state.playerAccounts || []),
+            encounters: clone(state.encounters || [])
         };
     }
     if (page === 'toolbelt') {
@@ -157,14 +176,25 @@ function restorePage(state, page, snapshot) {
         state.conditionDatabase = clone(snapshot.conditionDatabase || []);
         state.spellDatabase = clone(snapshot.spellDatabase || []);
         state.itemDatabase = clone(snapshot.itemDatabase || []);
-        const monsters = state.characters.filter(character => character.type === 'monster');
-        state.characters = [...monsters, ...clone(snapshot.playerCharacters || [])];
+        const players = new Map(clone(snapshot.playerCharacters || []).map(character => [character.id, character]));
+        state.characters = state.characters.flatMap(character => {
+            if (character.type !== 'player') return [character];
+            const restored = players.get(character.id);
+            players.delete(character.id);
+            return restored ? [restored] : [];
+        });
+        state.characters.push(...players.values());
+        state.playerAccounts = clone(snapshot.playerAccounts || []);
+        state.encounters = clone(snapshot.encounters || []);
         return;
     }
     if (page === 'toolbelt') {
         state.toolbelt = clone(snapshot.toolbelt || ensureToolbelt(state));
         return;
     }
+    if ((page === 'spells' || page === 'monsters') && state.combatState.active) {
+        state.combatState.events = clone(snapshot.combatEvents || []);
+    }
 
     const snapshotMap = new Map((snapshot.characters || []).map(character => [character.id, character]));
     state.characters.forEach(character => {
@@ -194,31 +224,32 @@ function restorePage(state, page, snapshot) {
             character.sheetBonuses = clone(saved.sheetBonuses || []);
             character.sheetGeneral = clone(saved.sheetGeneral || {});
             character.spellbook = clone(saved.spellbook || normalizeSpellbook({}));
+            if (character.monsterAbilities && saved.legendaryResistance) character.monsterAbilities.legendaryResistance = clone(saved.legendaryResistance);
         }
         if (page === 'monsters') {
-            character.monsterAbilities = clone(saved.monsterAbilities);
+            character.monsterAbilities = saved.monsterAbilities ? clone(saved.monsterAbilities) : undefined;
             character.currentPower = saved.currentPower || 0;
             character.maxPower = saved.maxPower || 0;
         }
     });
 }
 
-function addLogEntry(state, action, client, page, label, before, after, reversible = true, visibility = 'all') {
+function addLogEntry(state, action, client, page, label, patch, reversible = true, visibility = 'all') {
     const entry = {
         id: makeId('log'),
         sequence: state.nextSequence++,
         timestamp: new Date().toISOString(),
-        actorId: client.id,
-        actorName: client.role === 'dm' ? 'DM' : 'Player',
+        actorId: client.playerId || client.id,
+        actorName: actorNameFor(state, client),
         actorRole: client.role,
         page,
         type: action.type,
+        characterIds: actionCharacterIds(action),
         label,
         reversible,
         undone: false,
         visibility,
-        before,
-        after
+        patch
     };
 
     state.actionLog.push(entry);
@@ -234,6 +265,28 @@ function addLogEntry(state, action, client, page, label, before, after, reversib
     return entry;
 }
 
+function actionCharacterIds(action) {
+    const payload = action.payload || {};
+    return [...new Set([
+        payload.characterId,
+        payload.sourceCharacterId,
+        payload.targetCharacterId,
+        ...(Array.isArray(payload.characterIds) ? payload.characterIds : []),
+        ...(Array.isArray(payload.targets) ? payload.targets.map(target => target?.characterId) : [])
+    ].filter(Boolean).map(String))];
+}
+
+function actorNameFor(state, client) {
+    if (client.role === 'dm') return 'DM';
+    const account = findPlayerAccount(state, client.playerId);
+    return account ? account.name : 'Player';
+}
+
+function findPlayerAccount(state, accountId) {
+    if (!accountId) return null;
+    return (state.playerAccounts || []).find(account => account.id === accountId) || null;
+}
+
 function ensureInventory(character) {
     character.inventory = normalizeInventory(character.inventory);
     return character.inventory;
@@ -282,20 +335,24 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
     switch (action.type) {
         case 'toolbelt.dice.add': {
             const toolbelt = ensureToolbelt(state);
-            const key = String(client.id || payload.actorId || 'player');
+            const key = String(client.playerId || client.id || payload.actorId || 'player');
+            const mode = normalizeRollMode(payload.mode);
+            const rerollOnes = Boolean(payload.rerollOnes);
+            const result = rollDiceExpression(String(payload.expression || ''), { mode, rerollOnes });
             const entry = {
                 id: makeId('dice'),
                 actorId: key,
-                actorName: client.role === 'dm' ? 'DM' : 'Player',
-                expression: String(payload.expression || payload.result?.normalized || ''),
-                total: toNumber(payload.total ?? payload.result?.total, 0),
-                detail: String(payload.detail || ''),
-                mode: String(payload.mode || 'normal'),
-                rerollOnes: Boolean(payload.rerollOnes),
+                actorName: actorNameFor(state, client),
+                expression: result.normalized,
+                total: result.total,
+                detail: describeDiceResult(result),
+                terms: result.terms,
+                mode,
+                rerollOnes,
                 timestamp: new Date().toISOString()
             };
             toolbelt.diceRolls[key] = [entry, ...(toolbelt.diceRolls[key] || [])].slice(0, 5);
-            return `${entry.actorName}: dice ${entry.expression} = ${entry.total}`;
+            return { label: `${entry.actorName}: dice ${entry.expression} = ${entry.total}`, result: clone(entry) };
         }
         case 'toolbelt.improv.add': {
             const toolbelt = ensureToolbelt(state);
@@ -359,13 +416,15 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             return 'Note removed';
         }
         case 'character.add': {
+            const hp = payload.hpMode === 'rolled' || payload.hpMode === 'max' ? hitPointsFromFormula(payload.hitDice, payload.hpMode) : null;
             const character = normalizeCharacter({
                 id: makeId(payload.type === 'monster' ? 'monster' : 'player'),
                 activeInCombat: true,
-                ...payload
+                ...payload,
+                ...(hp === null ? {} : { maxHp: hp, currentHp: hp })
             });
             state.characters.push(character);
-            return `${character.name} pridana do trackeru`;
+            return `${character.name} pridana do trackeru${hp === null ? '' : ` (HP ${hp} z ${String(payload.hitDice).replace(/\s+/g, '')}${payload.hpMode === 'max' ? ', maximum' : ''})`}`;
         }
         case 'character.remove': {
             const character = findCharacter(state, payload.characterId);
@@ -373,6 +432,7 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             if (character.type === 'player') {
                 character.activeInCombat = false;
                 character.initiative = null;
+                character.initiativeRoll = null;
                 return `${character.name} odstranena z boje`;
             }
             state.characters = state.characters.filter(item => item.id !== payload.characterId);
@@ -389,6 +449,7 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             if (!character || character.type !== 'player') throw new Error('Hrac neexistuje.');
             character.activeInCombat = false;
             character.initiative = null;
+            character.initiativeRoll = null;
             return `${character.name} mimo boj`;
         }
         case 'character.deleteSavedPlayer': {
@@ -397,20 +458,209 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             state.characters = state.characters.filter(item => item.id !== payload.characterId);
             return `${character.name} trvale smazan`;
         }
+        case 'encounter.upsert': {
+            const encounter = normalizeEncounter(payload.encounter || payload);
+            const knownMonster = group => state.monsterDatabase.some(monster => monster.id === group.monsterId);
+            encounter.monsters = encounter.monsters.filter(knownMonster);
+            encounter.waves.forEach(wave => {
+                wave.monsters = wave.monsters.filter(knownMonster);
+            });
+            if (!Array.isArray(state.encounters)) state.encounters = [];
+            const index = state.encounters.findIndex(item => item.id === encounter.id);
+            if (index >= 0) state.encounters[index] = encounter;
+            else state.encounters.push(encounter);
+            return `Setkani ${encounter.name} ulozeno`;
+        }
+        case 'encounter.remove': {
+            const encounter = (state.encounters || []).find(item => item.id === payload.encounterId);
+            if (!encounter) throw new Error('Setkani neexistuje.');
+            state.encounters = state.encounters.filter(item => item.id !== encounter.id);
+            return `Setkani ${encounter.name} odstraneno`;
+        }
+        case 'encounter.deploy': {
+            const encounter = (state.encounters || []).find(item => item.id === payload.encounterId);
+            if (!encounter) throw new Error('Setkani neexistuje.');
+            addToInitiative(state, deployEncounterGroups(state, encounter.monsters, encounter.lair, payload.hpMode));
+            return `Setkani ${encounter.name} nasazeno: ${describeEncounterGroups(state, encounter.monsters)}${encounter.lair ? ', lair' : ''}${hpModeLabel(payload.hpMode)}`;
+        }
+        case 'encounter.wave.trigger': {
+            const encounter = (state.encounters || []).find(item => item.id === payload.encounterId);
+            if (!encounter) throw new Error('Setkani neexistuje.');
+            const wave = (encounter.waves || []).find(item => item.id === payload.waveId);
+            if (!wave) throw new Error('Vlna neexistuje.');
+            addToInitiative(state, deployEncounterGroups(state, wave.monsters, encounter.lair, payload.hpMode));
+            return `Vlna ${wave.name} (${encounter.name}): ${describeEncounterGroups(state, wave.monsters)}${hpModeLabel(payload.hpMode)}`;
+        }
+        case 'character.owners.set': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character || character.type !== 'player') throw new Error('Hrac neexistuje.');
+            const accountIds = new Set((state.playerAccounts || []).map(account => account.id));
+            character.ownerIds = normalizeOwnerIds(payload.ownerIds).filter(id => accountIds.has(id));
+            character.sharedWithPlayers = Boolean(payload.sharedWithPlayers);
+            return `${character.name}: vlastnici`;
+        }
+        case 'player.account.add': {
+            if (!Array.isArray(state.playerAccounts)) state.playerAccounts = [];
+            const account = normalizePlayerAccount({ name: payload.name });
+            state.playerAccounts.push(account);
+            return `Hrac ${account.name} pridan`;
+        }
+        case 'player.account.update': {
+            const account = findPlayerAccount(state, payload.accountId);
+            if (!account) throw new Error('Ucet hrace neexistuje.');
+            if (payload.name !== undefined) account.name = String(payload.name).trim() || account.name;
+            if (payload.regenerateToken) account.token = normalizePlayerAccount({}).token;
+            return `Hrac ${account.name} upraven`;
+        }
+        case 'player.account.remove': {
+            const account = findPlayerAccount(state, payload.accountId);
+            if (!account) throw new Error('Ucet hrace neexistuje.');
+            state.playerAccounts = state.playerAccounts.filter(item => item.id !== account.id);
+            state.characters.forEach(character => {
+                if (Array.isArray(character.ownerIds)) character.ownerIds = character.ownerIds.filter(id => id !== account.id);
+            });
+            return `Hrac ${account.name} odstranen`;
+        }
         case 'character.adjustHp': {
             const character = findCharacter(state, payload.characterId);
             if (!character) throw new Error('Postava neexistuje.');
             const amount = toNumber(payload.amount, 0);
-            if (amount < 0) {
+            if (amount < 0) return applyDamage(state, character, Math.abs(amount), payload.damageType, Boolean(payload.critical), actionActor(state, payload, client));
+            if (character.lifeState === 'dead') throw new Error('Postava je mrtva.');
+            return applyHealing(state, character, amount, actionActor(state, payload, client));
+        }
+        case 'character.adjustHpSequence': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character) throw new Error('Postava neexistuje.');
+            const hits = (Array.isArray(payload.hits) ? payload.hits : [])
+                .map(hit => ({
+                    parts: (Array.isArray(hit?.parts) ? hit.parts : [hit])
+                        .map(part => ({ amount: Math.abs(toNumber(part?.amount, 0)), damageType: part?.damageType }))
+                        .filter(part => part.amount > 0),
+                    critical: Boolean(hit?.critical)
+                }))
+                .filter(hit => hit.parts.length > 0);
+            if (hits.length === 0) throw new Error('Nejsou zadne zasahy.');
+            const actor = actionActor(state, payload, client);
+            const labels = hits.map(hit => applyDamageParts(state, character, hit.parts, hit.critical, actor));
+            return `${String(payload.source || 'Utok').trim() || 'Utok'}: ${labels.join('; ')}`;
+        }
+        case 'character.adjustHpBatch': {
+            const amount = toNumber(payload.amount, 0);
+            if (!amount) throw new Error('Hodnota nesmi byt 0.');
+            const targets = (Array.isArray(payload.targets) ? payload.targets : []).map(target => ({ ...target, character: findCharacter(state, target.characterId) }));
+            if (targets.length === 0) throw new Error('Nejsou vybrane zadne cile.');
+            if (targets.some(target => !target.character)) throw new Error('Postava neexistuje.');
+            const save = amount < 0 ? normalizeEffectSave(payload.save) : null;
+            const onSuccess = payload.save?.onSuccess === 'none' ? 'none' : 'half';
+            const actor = actionActor(state, payload, client);
+            const results = [];
+            const parts = targets.map(({ character, saveRoll }) => {
+                if (amount > 0) {
+                    if (character.lifeState === 'dead') {
+                        results.push({ characterId: character.id, amount: 0 });
+                        return `${character.name}: mrtvy`;
+                    }
+                    results.push({ characterId: character.id, amount });
+                    return applyHealing(state, character, amount, actor);
+                }
                 let damage = Math.abs(amount);
-                const tempDamage = Math.min(character.tempHp || 0, damage);
-                character.tempHp = (character.tempHp || 0) - tempDamage;
-                damage -= tempDamage;
-                character.currentHp = clamp((character.currentHp || 0) - damage, 0, character.maxHp || 1);
+                if (!save) {
+                    results.push({ characterId: character.id, amount: damage });
+                    return applyDamage(state, character, damage, payload.damageType, false, actor);
+                }
+                const roll = saveRoll === undefined || saveRoll === null || saveRoll === ''
+                    ? rollDiceExpression('1d20').total
+                    : clamp(toNumber(saveRoll, 1), 1, 20);
+                const total = roll + creatureSaveBonus(character, save.ability);
+                const success = total >= save.dc;
+                if (success) damage = onSuccess === 'none' ? 0 : Math.floor(damage / 2);
+                results.push({ characterId: character.id, amount: damage, roll, total, success });
+                return `${applyDamage(state, character, damage, payload.damageType, false, actor)} [save ${total} ${success ? 'uspech' : 'neuspech'}]`;
+            });
+            const damageType = normalizeDamageTypes([payload.damageType])[0];
+            const header = amount > 0
+                ? `Plosne leceni +${amount}`
+                : `Plosne poskozeni ${Math.abs(amount)}${damageType ? ` ${damageType}` : ''}${save ? `, ${abilityShort(save.ability)} DC ${save.dc} (${onSuccess === 'none' ? 'bez poskozeni' : 'polovina'} pri uspechu)` : ''}`;
+            return { label: `${header}: ${parts.join('; ')}`, result: { targets: results } };
+        }
+        case 'character.deathSave.roll': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character) throw new Error('Postava neexistuje.');
+            if (character.lifeState !== 'dying') throw new Error('Postava neumira.');
+            const roll = payload.roll === undefined || payload.roll === null || payload.roll === ''
+                ? rollDiceExpression('1d20').total
+                : clamp(toNumber(payload.roll, 1), 1, 20);
+            const deathSaves = ensureDeathSaves(character);
+            let outcome = 'neuspech';
+            if (roll === 20) {
+                character.currentHp = Math.max(1, character.currentHp || 0);
+                resetLifeState(character);
+                outcome = 'prirozena 20, 1 HP';
+            } else if (roll === 1) {
+                addDeathSaveFailures(character, 2);
+                outcome = 'prirozena 1';
+            } else if (roll >= 10) {
+                deathSaves.successes += 1;
+                outcome = 'uspech';
+                if (deathSaves.successes >= 3) {
+                    character.lifeState = 'stable';
+                    character.deathSaves = { successes: 0, failures: 0 };
+                }
             } else {
-                character.currentHp = clamp((character.currentHp || 0) + amount, 0, character.maxHp || 1);
+                addDeathSaveFailures(character, 1);
             }
-            return `${character.name}: ${amount >= 0 ? '+' : ''}${amount} HP`;
+            return {
+                label: `${character.name}: death save ${roll} (${outcome})${lifeStateLabel(character)}`,
+                result: { roll, lifeState: character.lifeState, deathSaves: clone(character.deathSaves) }
+            };
+        }
+        case 'character.stabilize': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character) throw new Error('Postava neexistuje.');
+            if (character.lifeState !== 'dying') throw new Error('Postava neumira.');
+            character.lifeState = 'stable';
+            character.deathSaves = { successes: 0, failures: 0 };
+            return `${character.name}: stabilizovan`;
+        }
+        case 'character.revive': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character) throw new Error('Postava neexistuje.');
+            character.currentHp = clamp(toNumber(payload.hp, 1), 1, character.maxHp || 1);
+            resetLifeState(character);
+            return `${character.name}: oziven s ${character.currentHp} HP`;
+        }
+        case 'character.deathRule.set': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character || character.type !== 'monster') throw new Error('Monstrum neexistuje.');
+            character.diesAtZeroHp = Boolean(payload.diesAtZeroHp);
+            return `${character.name}: ${character.diesAtZeroHp ? 'umira na 0 HP' : 'death saves'}`;
+        }
+        case 'character.concentration.resolve': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character) throw new Error('Postava neexistuje.');
+            const saves = Array.isArray(character.pendingConcentrationSaves) ? character.pendingConcentrationSaves : [];
+            const pending = saves.find(save => save.id === payload.saveId) || (payload.saveId ? null : saves[0]);
+            if (!pending) throw new Error('Zadny concentration save neceka.');
+            const roll = payload.roll === undefined || payload.roll === null || payload.roll === ''
+                ? rollDiceExpression('1d20').total
+                : clamp(toNumber(payload.roll, 1), 1, 20);
+            const total = roll + creatureSaveBonus(character, 'constitution');
+            const success = total >= pending.dc;
+            character.pendingConcentrationSaves = saves.filter(save => save.id !== pending.id);
+            const dropped = success ? [] : dropConcentration(state, character);
+            return {
+                label: `${character.name}: koncentrace ${success ? 'udrzena' : 'ztracena'} (${total} vs DC ${pending.dc})${dropped.length ? `; odebrano ${dropped.join(', ')}` : ''}`,
+                result: { success, roll, total, dc: pending.dc }
+            };
+        }
+        case 'character.defenses.set': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character) throw new Error('Postava neexistuje.');
+            character.damageResistances = normalizeDamageTypes(payload.damageResistances);
+            character.damageVulnerabilities = normalizeDamageTypes(payload.damageVulnerabilities);
+            character.damageImmunities = normalizeDamageTypes(payload.damageImmunities);
+            return `${character.name}: odolnosti ${describeDamageDefenses(character) || '-'}`;
         }
         case 'character.setTempHp': {
             const character = findCharacter(state, payload.characterId);
@@ -422,9 +672,19 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             const character = findCharacter(state, payload.characterId);
             if (!character) throw new Error('Postava neexistuje.');
             character.initiative = payload.value === '' || payload.value === null ? null : toNumber(payload.value, 0);
+            character.initiativeRoll = null;
             sortInitiativePreservingTurn(state, payload.characterId);
             return `${character.name}: iniciativa ${character.initiative ?? '-'}`;
         }
+        case 'character.initiative.submit': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character) throw new Error('Postava neexistuje.');
+            if (state.combatState.active) throw new Error('Vlastni hod iniciativy lze zadat jen pred zacatkem boje.');
+            const natural = Number(payload.natural);
+            if (!Number.isInteger(natural) || natural < 1 || natural > 20) throw new Error('Hod iniciativy musi byt 1-20.');
+            setInitiativeRoll(character, initiativeResult(character, [natural], 'player'));
+            return `${character.name}: iniciativa ${describeInitiative(character)}`;
+        }
         case 'character.updatePower': {
             const character = findCharacter(state, payload.characterId);
             if (!character) throw new Error('Postava neexistuje.');
@@ -451,8 +711,26 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             if (payload.diceCount !== undefined && payload.diceCount !== null) effect.diceCount = Math.max(0, toNumber(payload.diceCount, 0));
             if (payload.diceSides !== undefined && payload.diceSides !== null) effect.diceSides = Math.max(0, toNumber(payload.diceSides, 0));
             if (payload.damageType !== undefined && payload.damageType !== null) effect.damageType = String(payload.damageType || '');
+            const duration = normalizeEffectDuration(payload.duration);
+            if (duration) {
+                effect.duration = duration;
+                effect.remainingRounds = effectDurationRounds(duration);
+                if (duration.unit === 'sourceTurn') effect.sourceTurnStarted = false;
+            }
+            const source = payload.sourceCharacterId ? findCharacter(state, payload.sourceCharacterId) : null;
+            if (payload.sourceCharacterId) {
+                if (!source) throw new Error('Zdrojova postava neexistuje.');
+                effect.sourceCharacterId = source.id;
+            }
+            if (payload.concentration && source) {
+                effect.concentration = true;
+                if (!Array.isArray(source.effects)) source.effects = [];
+                if (!source.effects.some(isConcentrationEffect)) source.effects.push({ name: 'Concentrating', level: null });
+            }
+            const saveToEnd = normalizeEffectSave(payload.saveToEnd);
+            if (saveToEnd) effect.saveToEnd = saveToEnd;
             character.effects.push(effect);
-            return `${character.name}: efekt ${name}`;
+            return `${character.name}: efekt ${name}${duration ? ` (${describeEffectDuration(duration)})` : ''}`;
         }
         case 'effect.remove': {
             const character = findCharacter(state, payload.characterId);
@@ -461,7 +739,8 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             const removed = character.effects?.[index];
             if (!removed) throw new Error('Efekt neexistuje.');
             character.effects.splice(index, 1);
-            return `${character.name}: odebran efekt ${removed.name || removed}`;
+            const dropped = isConcentrationEffect(removed) ? dropConcentration(state, character) : [];
+            return `${character.name}: odebran efekt ${removed.name || removed}${dropped.length ? `; odebrano ${dropped.join(', ')}` : ''}`;
         }
         case 'effect.level.set': {
             const character = findCharacter(state, payload.characterId);
@@ -487,15 +766,153 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             character.effects[index] = { ...current, diceCount, diceSides, damageType };
             return `${character.name}: ${current.name} ${diceCount}d${diceSides}${damageType ? ` ${damageType}` : ''}`;
         }
-        case 'combat.start':
-            startCombat(state);
-            return 'Zahajen boj';
+        case 'effect.save.resolve': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character) throw new Error('Postava neexistuje.');
+            const index = Number(payload.index);
+            const effect = character.effects?.[index];
+            if (!effect || typeof effect !== 'object' || !effect.saveToEnd || !effect.savePending) throw new Error('Efekt neceka na save.');
+            const roll = payload.roll === undefined || payload.roll === null || payload.roll === ''
+                ? rollDiceExpression('1d20').total
+                : clamp(toNumber(payload.roll, 1), 1, 20);
+            const { dc, ability } = effect.saveToEnd;
+            const total = roll + creatureSaveBonus(character, ability);
+            const success = total >= dc;
+            if (success) character.effects.splice(index, 1);
+            else delete effect.savePending;
+            return {
+                label: `${character.name}: ${effect.name} save ${total} vs DC ${dc} ${abilityShort(ability)} (${success ? 'uspech, efekt odebran' : 'neuspech'})`,
+                result: { success, roll, total, dc }
+            };
+        }
+        case 'combat.start': {
+            const surprised = startCombat(state, payload.surprisedIds);
+            return surprised.length > 0 ? `Zahajen boj (prekvapeni: ${surprised.map(character => character.name).join(', ')})` : 'Zahajen boj';
+        }
         case 'combat.nextTurn':
             nextTurn(state);
             return 'Dalsi tah';
         case 'combat.previousTurn':
             previousTurn(state);
             return 'Predchozi tah';
+        case 'combat.group.create': {
+            const ids = Array.isArray(payload.characterIds) ? payload.characterIds : [];
+            const members = state.characters.filter(character => ids.includes(character.id) && character.type === 'monster' && !character.lair);
+            if (members.length === 0) throw new Error('Skupina musi obsahovat aspon jedno monstrum.');
+            const name = String(payload.name || '').trim() || members[0].name;
+            joinGroup(state, members, makeId('group'), name);
+            return `Skupina ${name}: ${members.map(character => character.name).join(', ')}`;
+        }
+        case 'combat.group.rename': {
+            const members = groupMembers(state, payload.groupId);
+            const name = String(payload.name || '').trim();
+            if (!name) throw new Error('Skupina musi mit jmeno.');
+            const previous = members[0].groupName;
+            members.forEach(character => {
+                character.groupName = name;
+            });
+            return `Skupina ${previous || '-'} prejmenovana na ${name}`;
+        }
+        case 'combat.group.split': {
+            const members = (Array.isArray(payload.characterIds) ? payload.characterIds : []).map(id => findCharacter(state, id)).filter(character => character?.groupId);
+            if (members.length === 0) throw new Error('Postava neni ve skupine.');
+            members.forEach(character => {
+                character.groupId = null;
+                character.groupName = null;
+                if (!character.ownInitiative) return;
+                character.initiative = character.ownInitiative.initiative;
+                character.initiativeRoll = character.ownInitiative.initiativeRoll;
+                character.ownInitiative = null;
+            });
+            sortInitiativePreservingTurn(state);
+            return `${members.map(character => character.name).join(', ')} mimo skupinu`;
+        }
+        case 'combat.group.merge': {
+            if (payload.groupId === payload.targetGroupId) throw new Error('Skupinu nelze sloucit samu se sebou.');
+            const members = groupMembers(state, payload.groupId);
+            const target = groupMembers(state, payload.targetGroupId);
+            const name = members[0].groupName;
+            joinGroup(state, members, payload.targetGroupId, target[0].groupName);
+            return `Skupina ${name || '-'} sloucena do ${target[0].groupName || '-'}`;
+        }
+        case 'combat.group.reveal': {
+            const members = groupMembers(state, payload.groupId);
+            members.forEach(character => {
+                character.revealedToPlayers = true;
+            });
+            return `Skupina ${members[0].groupName || '-'} odhalena`;
+        }
+        case 'combat.delay': {
+            const character = findCharacter(state, payload.characterId);
+            if (!state.combatState.active || !character || state.characters[state.combatState.currentTurn] !== character) throw new Error('Odlozit lze jen tah postavy, ktera je na rade.');
+            if (turnOrderIndexes(state).length < 2) throw new Error('Neni komu predat tah.');
+            const index = state.combatState.currentTurn;
+            character.delayed = true;
+            untickEffectDurations(state, character);
+            nextTurn(state);
+            state.combatState.playedThisRound = state.combatState.playedThisRound.filter(item => item !== index);
+            return `${character.name} odklada tah`;
+        }
+        case 'combat.delay.resume': {
+            const character = findCharacter(state, payload.characterId);
+            if (!state.combatState.active || !character?.delayed) throw new Error('Postava neodklada tah.');
+            const current = state.characters[state.combatState.currentTurn];
+            resumeDelayedTurn(state, character);
+            return `${character.name} se vraci do iniciativy po ${current.name} (${character.initiative ?? '-'})`;
+        }
+        case 'combat.ready': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character) throw new Error('Postava neexistuje.');
+            if (!state.combatState.active) throw new Error('Boj neni aktivni.');
+            const trigger = String(payload.trigger || '').trim();
+            if (!trigger) throw new Error('Chybi spoustec pripravene akce.');
+            character.readiedAction = { trigger, round: state.combatState.round };
+            return `${character.name} pripravuje akci: ${trigger}`;
+        }
+        case 'combat.ready.resolve': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character?.readiedAction) throw new Error('Pripravena akce neexistuje.');
+            if ((character.currentReactions || 0) < 1) throw new Error('Postava nema volnou reakci.');
+            const { trigger } = character.readiedAction;
+            character.currentReactions -= 1;
+            character.readiedAction = null;
+            return `${character.name}: pripravena akce (${trigger}) pouzita jako reakce`;
+        }
+        case 'combat.ready.cancel': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character?.readiedAction) throw new Error('Pripravena akce neexistuje.');
+            character.readiedAction = null;
+            return `${character.name}: pripravena akce zrusena`;
+        }
+        case 'combat.legendaryAction': {
+            const prompt = state.combatState.legendaryPrompt;
+            if (!state.combatState.active || !prompt?.monsterIds?.includes(payload.characterId)) throw new Error('Legendarni akce ted nelze pouzit.');
+            const character = findCharacter(state, payload.characterId);
+            const legendary = character?.monsterAbilities?.legendaryActions;
+            const entry = character?.monsterData?.legendaryActionEntries?.[Number(payload.index)];
+            if (!legendary?.enabled || !entry) throw new Error('Legendarni akce neexistuje.');
+            const cost = legendaryActionCost(entry);
+            if ((legendary.used || 0) + cost > (legendary.max || 0)) throw new Error('Nedostatek legendarnich akci.');
+            recordResourceUse(state, character, 'feature', 'Legendary actions', legendary.used || 0, (legendary.used || 0) + cost);
+            legendary.used = (legendary.used || 0) + cost;
+            prompt.monsterIds = prompt.monsterIds.filter(id => id !== character.id);
+            return `${character.name}: legendary ${legendaryActionName(entry)} (${cost}) ${legendary.used}/${legendary.max}`;
+        }
+        case 'combat.lairAction': {
+            if (!state.combatState.active || !state.characters.some(character => character.lair)) throw new Error('Boj nema tah doupete.');
+            const lair = state.characters[state.combatState.currentTurn];
+            if (!lair?.lair) throw new Error('Doupe ted neni na tahu.');
+            const monster = findCharacter(state, payload.monsterId);
+            if (!monster || !hasLairActions(monster)) throw new Error('Monstrum nema akce doupete.');
+            const lairAction = monster.monsterData.lairActions.find(entry => entry.name === payload.name);
+            if (!lairAction) throw new Error('Akce doupete neexistuje.');
+            const round = state.combatState.round;
+            const last = lair.lastLairAction;
+            if (last?.round === round) throw new Error('Doupe uz v tomto kole jednalo.');
+            if (last?.round === round - 1 && last.monsterId === monster.id && last.name === lairAction.name) throw new Error('Stejnou akci doupete nelze pouzit dve kola po sobe.');
+            lair.lastLairAction = { monsterId: monster.id, name: lairAction.name, round };
+            return `Doupe: ${lairAction.name}`;
+        }
         case 'combat.end':
             endCombat(state, false);
             return 'Ukoncen boj';
@@ -512,7 +929,8 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
                 active: Boolean(payload.combatState?.active),
                 currentTurn: Math.max(0, toNumber(payload.combatState?.currentTurn, 0)),
                 round: Math.max(1, toNumber(payload.combatState?.round, 1)),
-                playedThisRound: Array.isArray(payload.combatState?.playedThisRound) ? payload.combatState.playedThisRound : []
+                playedThisRound: Array.isArray(payload.combatState?.playedThisRound) ? payload.combatState.playedThisRound : [],
+                events: []
             };
             if (state.combatState.currentTurn >= state.characters.length) state.combatState.currentTurn = 0;
             return `Nacten combat stav (${characters.length} postav)`;
@@ -582,8 +1000,10 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             const slots = character.spellSlots[level];
             if (!slots) throw new Error('Spell slot level neexistuje.');
             const index = Number(payload.index);
+            const previousUsed = slots.used || 0;
             slots.used = index < slots.used ? index : index + 1;
             slots.used = clamp(slots.used, 0, slots.max || 0);
+            recordResourceUse(state, character, 'slot', `L${level}`, previousUsed, slots.used);
             return `${character.name}: spell slot L${level}`;
         }
         case 'spell.hitDie.toggle': {
@@ -604,7 +1024,9 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             ensureSpellShape(character);
             const feature = character.customFeatures[Number(payload.index)];
             if (!feature) throw new Error('Feature neexistuje.');
+            const previousUsed = feature.used || 0;
             feature.used = clamp(toNumber(payload.used, feature.used || 0), 0, feature.maxUses || 0);
+            recordResourceUse(state, character, 'feature', feature.name, previousUsed, feature.used);
             return `${character.name}: ${feature.name}`;
         }
         case 'spell.character.update': {
@@ -713,6 +1135,7 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
         case 'spell.rest.all': {
             const restType = payload.restType === 'long' ? 'long' : 'short';
             state.characters.filter(character => character.type === 'player').forEach(character => applyRest(character, restType));
+            if (restType === 'long') state.characters.forEach(resetLegendaryResistance);
             return `${restType === 'long' ? 'Long' : 'Short'} Rest All`;
         }
         case 'spellbook.known.add': {
@@ -770,7 +1193,9 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             if (!character || character.type !== 'monster') throw new Error('Monstrum neexistuje.');
             const feature = character.monsterAbilities?.customFeatures?.[Number(payload.index)];
             if (!feature) throw new Error('Feature neexistuje.');
+            const previousUsed = feature.used || 0;
             feature.used = clamp(toNumber(payload.used, feature.used || 0), 0, feature.maxUses || 0);
+            recordResourceUse(state, character, 'feature', feature.name, previousUsed, feature.used);
             return `${character.name}: ${feature.name}`;
         }
         case 'monster.spellSlot.toggle': {
@@ -779,8 +1204,10 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             const slots = character.monsterAbilities?.spellcasting?.spellSlots?.[String(payload.level)] || character.monsterAbilities?.spellSlots?.[String(payload.level)];
             if (!slots || slots.atWill) throw new Error('Spell slot level neexistuje.');
             const index = Number(payload.index);
+            const previousUsed = slots.used || 0;
             slots.used = index < slots.used ? index : index + 1;
             slots.used = clamp(slots.used, 0, slots.max || 0);
+            recordResourceUse(state, character, 'slot', `L${payload.level}`, previousUsed, slots.used);
             if (character.monsterAbilities?.spellSlots?.[String(payload.level)]) character.monsterAbilities.spellSlots[String(payload.level)].used = slots.used;
             return `${character.name}: monster spell slot L${payload.level}`;
         }
@@ -789,7 +1216,9 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             if (!character || character.type !== 'monster') throw new Error('Monstrum neexistuje.');
             const spell = character.monsterAbilities?.spellcasting?.perDaySpells?.[Number(payload.index)] || character.monsterAbilities?.perDaySpells?.[Number(payload.index)];
             if (!spell) throw new Error('Spell neexistuje.');
+            const previousUsed = spell.used || 0;
             spell.used = clamp(toNumber(payload.used, spell.used || 0), 0, spell.maxUses || 0);
+            recordResourceUse(state, character, 'feature', spell.name, previousUsed, spell.used);
             if (character.monsterAbilities?.perDaySpells?.[Number(payload.index)]) character.monsterAbilities.perDaySpells[Number(payload.index)].used = spell.used;
             return `${character.name}: ${spell.name}`;
         }
@@ -798,17 +1227,56 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
             if (!character || character.type !== 'monster') throw new Error('Monstrum neexistuje.');
             const legendary = character.monsterAbilities?.legendaryActions;
             if (!legendary?.enabled) throw new Error('Legendary actions nejsou aktivni.');
+            const previousUsed = legendary.used || 0;
             legendary.used = clamp(toNumber(payload.used, legendary.used || 0), 0, legendary.max || 0);
+            recordResourceUse(state, character, 'feature', 'Legendary actions', previousUsed, legendary.used);
             return `${character.name}: legendary ${legendary.used}/${legendary.max}`;
         }
+        case 'monster.legendaryResistance.uses': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character || character.type !== 'monster') throw new Error('Monstrum neexistuje.');
+            const resistance = character.monsterAbilities?.legendaryResistance;
+            if (!resistance?.max) throw new Error('Legendary resistance neni k dispozici.');
+            const previousUsed = resistance.used || 0;
+            resistance.used = clamp(toNumber(payload.used, resistance.used || 0), 0, resistance.max);
+            recordResourceUse(state, character, 'feature', 'Legendary resistance', previousUsed, resistance.used);
+            return `${character.name}: legendary resistance ${resistance.used}/${resistance.max}`;
+        }
         case 'monster.epic.uses': {
             const character = findCharacter(state, payload.characterId);
             if (!character || character.type !== 'monster') throw new Error('Monstrum neexistuje.');
             const epic = character.monsterAbilities?.epicActions?.actions?.[Number(payload.index)];
             if (!epic) throw new Error('Epic action neexistuje.');
+            const previousUsed = epic.used || 0;
             epic.used = clamp(toNumber(payload.used, epic.used || 0), 0, epic.maxUses || 0);
+            recordResourceUse(state, character, 'feature', epic.name, previousUsed, epic.used);
             return `${character.name}: epic ${epic.name}`;
         }
+        case 'monster.recharge.set': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character || character.type !== 'monster') throw new Error('Monstrum neexistuje.');
+            const recharge = character.monsterAbilities?.recharges?.[Number(payload.index)];
+            if (!recharge) throw new Error('Recharge schopnost neexistuje.');
+            recharge.available = Boolean(payload.available);
+            recharge.lastRoll = null;
+            return `${character.name}: ${recharge.name} ${recharge.available ? 'nabito' : 'pouzito'}`;
+        }
+        case 'monster.attack.roll': {
+            const character = findCharacter(state, payload.characterId);
+            if (!character || character.type !== 'monster') throw new Error('Monstrum neexistuje.');
+            const target = payload.targetCharacterId ? findCharacter(state, payload.targetCharacterId) : null;
+            if (payload.targetCharacterId && !target) throw new Error('Cil neexistuje.');
+            const attacks = Array.isArray(payload.attacks) ? payload.attacks : [];
+            if (attacks.length === 0) throw new Error('Utok chybi.');
+            const mode = normalizeRollMode(payload.mode);
+            const rolls = attacks.map(attack => rollMonsterAttack(attack, mode, target));
+            return {
+                label: `${character.name}${target ? ` -> ${target.name}` : ''}: ${rolls.map(describeMonsterAttack).join('; ')}`,
+                result: { targetCharacterId: target?.id || null, targetAc: target ? armorClass(target) : null, attacks: rolls },
+                visibility: character.revealedToPlayers ? 'all' : 'dm',
+                reversible: false
+            };
+        }
         case 'database.monster.upsert': {
             upsertDatabaseItem(state.monsterDatabase, normalizeMonsterDbItem(payload.monster || {}), 'monster_db');
             return `Databaze monster: ${payload.monster?.name || 'monstrum'}`;
@@ -906,46 +1374,170 @@ function applyActionMutation(state, action, client = { id: 'system', role: 'play
     }
 }
 
+function compareInitiative(a, b) {
+    return (b.initiative ?? -999) - (a.initiative ?? -999)
+        || Number(Boolean(a.lair)) - Number(Boolean(b.lair))
+        || (b.initiativeRoll?.dexterity ?? dexterityScore(b)) - (a.initiativeRoll?.dexterity ?? dexterityScore(a))
+        || (b.initiativeRoll?.rollOff || 0) - (a.initiativeRoll?.rollOff || 0);
+}
+
+function dexterityScore(character) {
+    return Number(character.type === 'monster' ? character.monsterData?.stats?.dexterity : character.abilityScores?.dexterity) || 10;
+}
+
 function sortInitiativePreservingTurn(state, updatedCharacterId) {
     if (!state.combatState.active) return;
     const current = state.characters[state.combatState.currentTurn];
     const currentId = current?.id || updatedCharacterId;
-    state.characters.sort((a, b) => (b.initiative ?? -999) - (a.initiative ?? -999));
+    const playedIds = playedCharacterIds(state);
+    state.characters.sort(compareInitiative);
     state.combatState.currentTurn = Math.max(0, state.characters.findIndex(c => c.id === currentId));
+    restorePlayedCharacters(state, playedIds);
+}
+
+function groupMembers(state, groupId) {
+    const members = groupId ? state.characters.filter(character => character.groupId === groupId) : [];
+    if (members.length === 0) throw new Error('Skupina neexistuje.');
+    return members;
+}
+
+function joinGroup(state, members, groupId, groupName) {
+    const leader = state.characters.find(character => character.groupId === groupId && !members.includes(character) && character.initiative !== null && character.initiative !== undefined)
+        || members.find(character => character.initiative !== null && character.initiative !== undefined);
+    members.forEach(character => {
+        character.groupId = groupId;
+        character.groupName = groupName;
+        if (!leader || !state.combatState.active || character === leader) return;
+        if (!character.ownInitiative) character.ownInitiative = { initiative: character.initiative ?? null, initiativeRoll: clone(character.initiativeRoll ?? null) };
+        character.initiative = leader.initiative;
+        character.initiativeRoll = clone(leader.initiativeRoll ?? null);
+    });
+    sortInitiativePreservingTurn(state);
+}
+
+function playedCharacterIds(state) {
+    return new Set(state.combatState.playedThisRound.map(index => state.characters[index]?.id).filter(Boolean));
+}
+
+function restorePlayedCharacters(state, playedIds) {
     state.combatState.playedThisRound = state.characters
         .map((character, index) => ({ character, index }))
-        .filter(item => state.combatState.playedThisRound.includes(item.index))
+        .filter(item => playedIds.has(item.character.id))
         .map(item => item.index);
 }
 
+function resumeDelayedTurn(state, character) {
+    const current = state.characters[state.combatState.currentTurn];
+    const playedIds = playedCharacterIds(state);
+    character.delayed = false;
+    character.initiative = current.initiative;
+    character.initiativeRoll = null;
+    state.characters = state.characters.filter(item => item !== character);
+    state.characters.splice(state.characters.indexOf(current) + 1, 0, character);
+    state.combatState.currentTurn = state.characters.indexOf(current);
+    restorePlayedCharacters(state, playedIds);
+}
+
+function rollD20() {
+    return Math.floor(Math.random() * 20) + 1;
+}
+
 function rollInitiative(character) {
-    return Math.floor(Math.random() * 20) + 1 + (character.initBonus || 0);
+    const advantage = character.sheetGeneral?.initiativeAdvantage;
+    return initiativeResult(character, advantage ? [rollD20(), rollD20()] : [rollD20()], 'rolled');
 }
 
-function startCombat(state) {
+function initiativeResult(character, rolls, source) {
+    return {
+        natural: Math.max(...rolls),
+        rolls,
+        modifier: character.initBonus || 0,
+        advantage: character.sheetGeneral?.initiativeAdvantage || '',
+        dexterity: dexterityScore(character),
+        rollOff: rollD20(),
+        source
+    };
+}
+
+function setInitiativeRoll(character, roll) {
+    character.initiative = roll.natural + roll.modifier;
+    character.initiativeRoll = clone(roll);
+}
+
+function describeInitiative(character) {
+    const roll = character.initiativeRoll;
+    if (!roll) return String(character.initiative ?? '-');
+    const natural = roll.rolls.length > 1 ? `d20 ${roll.rolls.join('/')} -> ${roll.natural}` : `d20 ${roll.natural}`;
+    return `${character.initiative} (${natural} ${roll.modifier < 0 ? '-' : '+'} ${Math.abs(roll.modifier)}${roll.advantage ? `, vyhoda: ${roll.advantage}` : ''})`;
+}
+
+function startCombat(state, surprisedIds) {
     const processedGroups = new Set();
+    const surprisedSet = new Set(Array.isArray(surprisedIds) ? surprisedIds.map(String) : []);
     state.characters.forEach(character => {
         if (!isCombatant(character)) {
             character.initiative = null;
+            character.initiativeRoll = null;
             return;
         }
         if (character.initiative === null || character.initiative === undefined) {
-            const initiative = rollInitiative(character);
-            character.initiative = initiative;
+            const roll = rollInitiative(character);
+            setInitiativeRoll(character, roll);
             if (character.groupId && !processedGroups.has(character.groupId)) {
                 processedGroups.add(character.groupId);
                 state.characters.forEach(other => {
-                    if (other.groupId === character.groupId) other.initiative = initiative;
+                    if (other.groupId === character.groupId) setInitiativeRoll(other, roll);
                 });
             }
         }
     });
+    state.characters = state.characters.filter(character => !character.lair);
+    ensureLairEntry(state);
     state.characters.sort((a, b) => {
         if (isCombatant(a) !== isCombatant(b)) return isCombatant(a) ? -1 : 1;
-        return (b.initiative ?? -999) - (a.initiative ?? -999);
+        return compareInitiative(a, b);
+    });
+    const surprised = state.characters.filter(character => isCombatant(character) && surprisedSet.has(character.id));
+    state.characters.forEach(character => {
+        character.surprised = surprised.includes(character);
+        character.delayed = false;
+        character.readiedAction = null;
+        if (character.surprised) character.currentReactions = 0;
     });
-    state.combatState = { active: true, currentTurn: firstCombatantIndex(state), round: 1, playedThisRound: [] };
+    state.combatState = { active: true, currentTurn: firstCombatantIndex(state), round: 1, playedThisRound: [], events: [] };
+    startCurrentTurn(state);
+    return surprised;
+}
+
+function startCurrentTurn(state) {
     revealCurrentMonster(state);
+    let current = state.characters[state.combatState.currentTurn];
+    while (current?.surprised) {
+        current.surprised = false;
+        if (state.combatState.round !== 1) break;
+        advanceTurn(state);
+        revealCurrentMonster(state);
+        current = state.characters[state.combatState.currentTurn];
+    }
+    state.combatState.turnsStarted = (state.combatState.turnsStarted || 0) + 1;
+}
+
+function hasLairActions(character) {
+    return !character.lair && isCombatant(character) && Boolean(character.monsterData?.hasLairActions) && (character.monsterData.lairActions || []).length > 0;
+}
+
+function ensureLairEntry(state) {
+    if (state.characters.some(character => character.lair) || !state.characters.some(hasLairActions)) return;
+    state.characters.push(normalizeCharacter({
+        id: makeId('lair'),
+        name: 'Lair',
+        type: 'monster',
+        lair: true,
+        maxHp: 1,
+        currentHp: 1,
+        initiative: 20,
+        diesAtZeroHp: false
+    }));
 }
 
 function isCombatant(character) {
@@ -959,6 +1551,10 @@ function combatantIndexes(state) {
         .map(item => item.index);
 }
 
+function turnOrderIndexes(state) {
+    return combatantIndexes(state).filter(index => index === state.combatState.currentTurn || !state.characters[index].delayed);
+}
+
 function firstCombatantIndex(state) {
     return combatantIndexes(state)[0] || 0;
 }
@@ -975,6 +1571,7 @@ function revealCurrentMonster(state) {
 function resetTurnResources(character) {
     character.maxReactions = Math.max(0, toNumber(character.maxReactions, 1));
     character.currentReactions = character.maxReactions;
+    character.readiedAction = null;
 }
 
 function resetMonsterTurnResources(monster) {
@@ -985,29 +1582,52 @@ function resetMonsterTurnResources(monster) {
             action.used = 0;
         });
     }
+    (abilities.recharges || []).forEach(recharge => {
+        if (recharge.available) return;
+        recharge.lastRoll = rollDiceExpression('1d6').total;
+        recharge.available = recharge.lastRoll >= recharge.min;
+    });
 }
 
 function nextTurn(state) {
     if (!state.combatState.active || state.characters.length === 0) return;
-    const indexes = combatantIndexes(state);
-    if (indexes.length === 0) return;
+    if (turnOrderIndexes(state).length === 0) return;
+    const ended = state.characters[state.combatState.currentTurn];
+    advanceTurn(state);
+    startCurrentTurn(state);
+    const next = state.characters[state.combatState.currentTurn];
+    const monsterIds = state.characters
+        .filter(character => character !== ended && character !== next && hasLegendaryActionsLeft(character))
+        .map(character => character.id);
+    state.combatState.legendaryPrompt = monsterIds.length > 0 ? { afterCharacterId: ended?.id || null, monsterIds } : null;
+}
+
+function advanceTurn(state) {
+    const indexes = turnOrderIndexes(state);
+    const ended = state.characters[state.combatState.currentTurn];
     const currentPosition = Math.max(0, indexes.indexOf(state.combatState.currentTurn));
     if (currentPosition < indexes.length - 1) {
         state.combatState.playedThisRound.push(state.combatState.currentTurn);
         state.combatState.currentTurn = indexes[currentPosition + 1];
     } else {
+        state.characters.forEach(character => {
+            character.delayed = false;
+        });
         state.combatState.round += 1;
-        state.combatState.currentTurn = indexes[0];
+        state.combatState.currentTurn = turnOrderIndexes(state)[0];
         state.combatState.playedThisRound = [];
     }
-    revealCurrentMonster(state);
+    tickEffectDurations(state, ended, state.characters[state.combatState.currentTurn]);
 }
 
 function previousTurn(state) {
     if (!state.combatState.active || state.characters.length === 0) return;
-    const indexes = combatantIndexes(state);
+    const indexes = turnOrderIndexes(state);
     if (indexes.length === 0) return;
+    const left = state.characters[state.combatState.currentTurn];
     const currentPosition = Math.max(0, indexes.indexOf(state.combatState.currentTurn));
+    state.combatState.legendaryPrompt = null;
+    if (currentPosition > 0 || state.combatState.round > 1) untickEffectDurations(state, left);
     if (currentPosition > 0) {
         state.combatState.currentTurn = indexes[currentPosition - 1];
         state.combatState.playedThisRound = state.combatState.playedThisRound.filter(index => index !== state.combatState.currentTurn);
@@ -1018,18 +1638,443 @@ function previousTurn(state) {
     }
 }
 
+function resetLegendaryResistance(character) {
+    if (character.monsterAbilities?.legendaryResistance) character.monsterAbilities.legendaryResistance.used = 0;
+}
+
+function hasLegendaryActionsLeft(character) {
+    const legendary = character.monsterAbilities?.legendaryActions;
+    return character.type === 'monster'
+        && isCombatant(character)
+        && character.lifeState !== 'dead'
+        && (character.currentHp || 0) > 0
+        && Boolean(legendary?.enabled)
+        && (legendary.used || 0) < (legendary.max || 0)
+        && (character.monsterData?.legendaryActionEntries || []).length > 0;
+}
+
+function ensureDeathSaves(character) {
+    if (!character.deathSaves || typeof character.deathSaves !== 'object') character.deathSaves = { successes: 0, failures: 0 };
+    return character.deathSaves;
+}
+
+function resetLifeState(character) {
+    character.lifeState = 'alive';
+    character.deathSaves = { successes: 0, failures: 0 };
+}
+
+function addDeathSaveFailures(character, count) {
+    const deathSaves = ensureDeathSaves(character);
+    deathSaves.failures = Math.min(3, deathSaves.failures + count);
+    if (deathSaves.failures >= 3) character.lifeState = 'dead';
+}
+
+function applyDamage(state, character, raw, damageType, critical, actor) {
+    return applyDamageParts(state, character, [{ amount: raw, damageType }], critical, actor);
+}
+
+function applyDamageParts(state, character, parts, critical, actor) {
+    const typedParts = parts.map(part => ({ ...applyDamageDefenses(character, part.amount, part.damageType), damageType: normalizeDamageTypes([part.damageType])[0] || null }));
+    const typedDamage = typedParts.reduce((sum, part) => sum + part.damage, 0);
+    const note = typedParts.length === 1 ? typedParts[0].note : ` [${typedParts.map(part => `${part.damage}${part.note}`).join(' + ')}]`;
+    let damage = typedDamage;
+    const wasAtZero = (character.currentHp || 0) <= 0;
+    const tempDamage = Math.min(character.tempHp || 0, damage);
+    character.tempHp = (character.tempHp || 0) - tempDamage;
+    damage -= tempDamage;
+    const overflow = Math.max(0, damage - (character.currentHp || 0));
+    character.currentHp = clamp((character.currentHp || 0) - damage, 0, character.maxHp || 1);
+    const lifeLabel = applyDamageToLifeState(character, damage, overflow, wasAtZero, critical);
+    typedParts.forEach(part => recordCombatEvent(state, { kind: 'damage', targetId: character.id, targetName: character.name, amount: part.damage, damageType: part.damageType }, actor));
+    if (!wasAtZero && character.currentHp <= 0) recordCombatEvent(state, { kind: 'ko', targetId: character.id, targetName: character.name, lifeState: character.lifeState }, actor);
+    return `${character.name}: -${typedDamage} HP${note}${lifeLabel}${trackConcentrationDamage(state, character, typedDamage)}`;
+}
+
+function deployEncounterGroups(state, groups, inLair, hpMode) {
+    const resolved = groups.map(group => ({ ...group, monster: state.monsterDatabase.find(monster => monster.id === group.monsterId) }));
+    if (resolved.length === 0) throw new Error('Setkani nema zadna monstra.');
+    if (resolved.some(group => !group.monster)) throw new Error('Monstrum v databazi neexistuje.');
+    const added = [];
+    resolved.forEach(({ monster, count, groupName, revealed }) => {
+        const groupId = groupName ? makeId('group') : null;
+        for (let index = 0; index < count; index += 1) {
+            const character = monsterCharacterFromDatabase(monster, count > 1 ? `${monster.name} ${index + 1}` : monster.name);
+            if ((hpMode === 'rolled' || hpMode === 'max') && monster.hitDice) {
+                character.maxHp = hitPointsFromFormula(monster.hitDice, hpMode);
+                character.currentHp = character.maxHp;
+            }
+            character.revealedToPlayers = revealed;
+            if (!inLair) character.monsterData = { ...character.monsterData, lairActions: [], hasLairActions: false };
+            character.groupId = groupId;
+            character.groupName = groupName || null;
+            added.push(character);
+        }
+    });
+    return added;
+}
+
+function hpModeLabel(hpMode) {
+    if (hpMode === 'rolled') return ', HP hozene';
+    if (hpMode === 'max') return ', HP maximum';
+    return '';
+}
+
+function describeEncounterGroups(state, groups) {
+    return groups.map(group => `${group.count}x ${state.monsterDatabase.find(monster => monster.id === group.monsterId)?.name || group.monsterId}`).join(', ');
+}
+
+function addToInitiative(state, added) {
+    if (!state.combatState.active) {
+        state.characters.push(...added);
+        return;
+    }
+    const groupInitiative = new Map();
+    added.forEach(character => {
+        if (character.initiative !== null && character.initiative !== undefined) return;
+        if (character.groupId && groupInitiative.has(character.groupId)) {
+            setInitiativeRoll(character, groupInitiative.get(character.groupId));
+            return;
+        }
+        const roll = rollInitiative(character);
+        setInitiativeRoll(character, roll);
+        if (character.groupId) groupInitiative.set(character.groupId, roll);
+    });
+    const existingIds = new Set(state.characters.map(character => character.id));
+    state.characters.push(...added);
+    ensureLairEntry(state);
+    sortInitiativePreservingTurn(state);
+    const skippedIds = new Set(state.characters.slice(0, state.combatState.currentTurn).filter(character => !existingIds.has(character.id)).map(character => character.id));
+    restorePlayedCharacters(state, new Set([...playedCharacterIds(state), ...skippedIds]));
+}
+
+function hitPointsFromFormula(formula, mode) {
+    let terms;
+    try {
+        terms = parseDiceExpression(String(formula || ''));
+    } catch (error) {
+        throw new Error('Neplatny vzorec HP.');
+    }
+    const total = mode === 'max'
+        ? terms.reduce((sum, term) => sum + term.sign * (term.constant ?? term.count * term.sides), 0)
+        : rollDiceExpression(String(formula)).total;
+    return Math.max(1, total);
+}
+
+function monsterCharacterFromDatabase(monster, name) {
+    const power = monster.monsterAbilities?.power;
+    const maxPower = Number(power?.max ?? monster.maxPower ?? 0) || 0;
+    return normalizeCharacter({
+        id: makeId('monster'),
+        name,
+        type: 'monster',
+        activeInCombat: true,
+        maxHp: Number(monster.hp || monster.maxHp || 1),
+        currentHp: Number(monster.hp || monster.maxHp || 1),
+        ac: Number(monster.ac || 10),
+        maxReactions: Number(monster.maxReactions || 1),
+        currentReactions: Number(monster.maxReactions || 1),
+        initBonus: Number(monster.initBonus || 0),
+        maxPower,
+        currentPower: Number(power?.current ?? maxPower) || 0,
+        powerName: String(power?.name || monster.powerName || 'Power'),
+        monsterData: monster,
+        monsterAbilities: monster.monsterAbilities
+    });
+}
+
+function applyHealing(state, character, amount, actor) {
+    const wasDown = character.lifeState === 'dying' || character.lifeState === 'stable';
+    const previousHp = character.currentHp || 0;
+    character.currentHp = clamp((character.currentHp || 0) + amount, 0, character.maxHp || 1);
+    recordCombatEvent(state, { kind: 'healing', targetId: character.id, targetName: character.name, amount: character.currentHp - previousHp }, actor);
+    if (character.currentHp > 0) resetLifeState(character);
+    return `${character.name}: +${amount} HP${wasDown && character.currentHp > 0 ? '; pri vedomi' : ''}`;
+}
+
+function abilityShort(ability) {
+    return ability.slice(0, 3).toUpperCase();
+}
+
+function applyDamageDefenses(character, raw, damageType) {
+    const type = normalizeDamageTypes([damageType])[0];
+    if (!type) return { damage: raw, note: '' };
+    const modifiers = [];
+    let damage = raw;
+    if ((character.damageImmunities || []).includes(type)) {
+        damage = 0;
+        modifiers.push('imunita');
+    } else {
+        if ((character.damageResistances || []).includes(type)) {
+            damage = Math.floor(damage / 2);
+            modifiers.push('odolnost');
+        }
+        if ((character.damageVulnerabilities || []).includes(type)) {
+            damage *= 2;
+            modifiers.push('zranitelnost');
+        }
+    }
+    return { damage, note: modifiers.length ? ` (${raw} ${type}, ${modifiers.join(', ')})` : ` (${type})` };
+}
+
+function describeDamageDefenses(character) {
+    return [
+        ['odolnost', character.damageResistances],
+        ['zranitelnost', character.damageVulnerabilities],
+        ['imunita', character.damageImmunities]
+    ].filter(([, types]) => types.length).map(([label, types]) => `${label} ${types.join(', ')}`).join('; ');
+}
+
+function applyDamageToLifeState(character, damage, overflow, wasAtZero, critical) {
+    if (damage <= 0 || character.currentHp > 0 || character.lifeState === 'dead') return '';
+    if (character.type === 'monster' && character.diesAtZeroHp !== false) {
+        character.lifeState = 'dead';
+        return '; mrtvy';
+    }
+    if (overflow >= (character.maxHp || 1)) {
+        character.lifeState = 'dead';
+        return '; okamzita smrt';
+    }
+    if (!wasAtZero || (character.lifeState !== 'dying' && character.lifeState !== 'stable')) {
+        resetLifeState(character);
+        character.lifeState = 'dying';
+        return '; umira';
+    }
+    character.lifeState = 'dying';
+    addDeathSaveFailures(character, critical ? 2 : 1);
+    return lifeStateLabel(character);
+}
+
+function lifeStateLabel(character) {
+    if (character.lifeState === 'dead') return '; mrtvy';
+    if (character.lifeState === 'stable') return '; stabilni';
+    if (character.lifeState === 'dying') return `; death saves ${character.deathSaves.successes}/3 uspechu, ${character.deathSaves.failures}/3 neuspechu`;
+    return '';
+}
+
+function isConcentrationEffect(effect) {
+    const name = String(typeof effect === 'string' ? effect : effect?.name || '').trim().toLowerCase();
+    return name === 'concentrating' || name === 'concentration';
+}
+
+function trackConcentrationDamage(state, character, damage) {
+    if (damage <= 0 || !(character.effects || []).some(isConcentrationEffect)) return '';
+    if (character.currentHp <= 0) {
+        const dropped = dropConcentration(state, character);
+        return `; koncentrace ztracena${dropped.length ? `, odebrano ${dropped.join(', ')}` : ''}`;
+    }
+    const dc = Math.max(10, Math.floor(damage / 2));
+    if (!Array.isArray(character.pendingConcentrationSaves)) character.pendingConcentrationSaves = [];
+    character.pendingConcentrationSaves.push({ id: makeId('concentration'), dc, damage });
+    return `; koncentrace DC ${dc}`;
+}
+
+function dropConcentration(state, character) {
+    const removed = [];
+    character.pendingConcentrationSaves = [];
+    state.characters.forEach(other => {
+        if (!Array.isArray(other.effects)) return;
+        other.effects = other.effects.filter(effect => {
+            const ownConcentration = other.id === character.id && isConcentrationEffect(effect);
+            const linked = effect && typeof effect === 'object' && effect.concentration && effect.sourceCharacterId === character.id;
+            if (!ownConcentration && !linked) return true;
+            removed.push(`${other.name} ${effect.name || effect}`);
+            return false;
+        });
+    });
+    return removed;
+}
+
+function effectDurationAnchorId(state, character, effect) {
+    const source = effect.sourceCharacterId ? findCharacter(state, effect.sourceCharacterId) : null;
+    return source && isCombatant(source) ? source.id : character.id;
+}
+
+function forEachTimedEffect(state, callback) {
+    state.characters.forEach(character => {
+        (character.effects || []).forEach(effect => {
+            if (effect && typeof effect === 'object' && effect.duration) callback(effect, effectDurationAnchorId(state, character, effect));
+        });
+    });
+}
+
+function tickEffectDurations(state, ended, started) {
+    forEachTimedEffect(state, (effect, anchorId) => {
+        if (effect.duration.unit === 'sourceTurn') {
+            if (ended?.id === anchorId && effect.sourceTurnStarted) effect.remainingRounds = 0;
+            if (started?.id === anchorId) effect.sourceTurnStarted = true;
+            return;
+        }
+        if (started?.id === anchorId) effect.remainingRounds = Math.max(0, toNumber(effect.remainingRounds, 0) - 1);
+    });
+}
+
+function untickEffectDurations(state, left) {
+    forEachTimedEffect(state, (effect, anchorId) => {
+        if (left?.id !== anchorId) return;
+        if (effect.duration.unit === 'sourceTurn') {
+            effect.sourceTurnStarted = false;
+            return;
+        }
+        effect.remainingRounds = Math.min(effectDurationRounds(effect.duration), toNumber(effect.remainingRounds, 0) + 1);
+    });
+}
+
+function removeExpiredEffects(state) {
+    const expired = [];
+    state.characters.forEach(character => {
+        if (!Array.isArray(character.effects)) return;
+        character.effects = character.effects.filter(effect => {
+            if (!effect || typeof effect !== 'object' || !effect.duration || effect.remainingRounds > 0) return true;
+            expired.push({ character, effect });
+            return false;
+        });
+    });
+    return expired;
+}
+
+function logExpiredEffects(state, client, page) {
+    const before = snapshotPage(state, page);
+    const expired = removeExpiredEffects(state);
+    if (expired.length === 0) return null;
+    const label = `Vyprsely efekty: ${expired.map(item => `${item.character.name} ${item.effect.name}`).join(', ')}`;
+    const visibility = expired.some(item => item.character.type === 'monster' && !item.character.revealedToPlayers) ? 'dm' : 'all';
+    return addLogEntry(state, { type: 'effect.expire', payload: { characterIds: expired.map(item => item.character.id) } }, client, page, label, createPatch(before, snapshotPage(state, page)), true, visibility);
+}
+
+function isOngoingDamageEffect(effect) {
+    return Boolean(effect && typeof effect === 'object' && effect.diceCount > 0 && effect.diceSides > 1);
+}
+
+function logOngoingDamage(state, client, page) {
+    const character = state.combatState.active ? state.characters[state.combatState.currentTurn] : null;
+    if (!character || !Array.isArray(character.effects)) return [];
+    return character.effects.filter(isOngoingDamageEffect).map(effect => {
+        if (character.lifeState === 'dead' || !character.effects.includes(effect)) return null;
+        const before = snapshotPage(state, page);
+        const roll = rollDiceExpression(`${effect.diceCount}d${effect.diceSides}`);
+        const source = effect.sourceCharacterId ? findCharacter(state, effect.sourceCharacterId) : null;
+        const damageLabel = applyDamage(state, character, roll.total, effect.damageType, false, source);
+        if (effect.saveToEnd && character.effects.includes(effect)) effect.savePending = true;
+        const saveLabel = effect.savePending ? `; save DC ${effect.saveToEnd.dc} ${abilityShort(effect.saveToEnd.ability)}` : '';
+        const label = `${effect.name} ${roll.normalized} = ${roll.total}: ${damageLabel}${saveLabel}`;
+        const visibility = character.type === 'monster' && !character.revealedToPlayers ? 'dm' : 'all';
+        return addLogEntry(state, { type: 'effect.ongoingDamage', payload: { characterId: character.id } }, client, page, label, createPatch(before, snapshotPage(state, page)), true, visibility);
+    }).filter(Boolean);
+}
+
+function describeEffectDuration(duration) {
+    if (duration.unit === 'sourceTurn') return 'do konce dalsiho tahu zdroje';
+    return `${duration.amount} ${duration.unit}`;
+}
+
 function endCombat(state, close) {
-    state.combatState = { active: false, currentTurn: 0, round: 1, playedThisRound: [] };
+    const recap = state.combatState.active ? buildCombatRecap(state) : state.combatState.recap || null;
+    state.combatState = { active: false, currentTurn: 0, round: 1, playedThisRound: [], recap };
+    state.characters = state.characters.filter(character => !character.lair);
     if (close) {
         state.characters = state.characters.filter(character => character.type === 'player');
     }
     state.characters.forEach(character => {
         character.initiative = null;
+        character.initiativeRoll = null;
+        character.ownInitiative = null;
+        character.surprised = false;
+        character.delayed = false;
+        character.readiedAction = null;
         if (character.type === 'monster') {
             character.currentPower = character.maxPower || 0;
             character.revealedToPlayers = false;
+            resetLegendaryResistance(character);
+        }
+    });
+}
+
+function rollMonsterAttack(attack, mode, target) {
+    const name = String(attack?.name || 'Utok');
+    const toHit = attack?.toHit === null || attack?.toHit === undefined ? null : Math.trunc(toNumber(attack.toHit, 0));
+    const roll = toHit === null ? null : rollDiceExpression(`1d20${toHit >= 0 ? '+' : ''}${toHit}`, { mode });
+    const natural = roll ? roll.terms[0].dice[0].kept : null;
+    const critical = roll ? natural === 20 : Boolean(attack?.critical);
+    const hit = roll && target ? critical || (natural !== 1 && roll.total >= armorClass(target)) : null;
+    const damage = hit === false ? [] : (Array.isArray(attack?.damage) ? attack.damage : []).map(part => {
+        const expression = String(part?.expression || '');
+        const result = rollDiceExpression(critical ? criticalDamageExpression(expression) : expression);
+        return { total: result.total, damageType: normalizeDamageTypes([part?.damageType])[0] || null, detail: describeDiceResult(result) };
+    });
+    return { name, total: roll ? roll.total : null, natural, critical, hit, detail: roll ? describeDiceResult(roll) : null, damage };
+}
+
+function describeMonsterAttack(attack) {
+    const outcome = attack.hit === null ? '' : attack.critical ? ' kriticky zasah' : attack.hit ? ' zasah' : ' minuti';
+    const damage = attack.damage.map(part => `${part.total}${part.damageType ? ` ${part.damageType}` : ''}`).join(' + ');
+    return `${attack.name}${attack.total === null ? '' : ` ${attack.total}`}${outcome}${damage ? `${attack.total === null ? ' ' : ', '}${damage}` : ''}`;
+}
+
+function recordCombatEvent(state, event, actor) {
+    if (!state.combatState.active) return;
+    if (!Array.isArray(state.combatState.events)) state.combatState.events = [];
+    state.combatState.events.push({ id: makeId('event'), actorId: actor?.id || null, actorName: actor?.name || null, ...event, round: state.combatState.round });
+}
+
+function recordResourceUse(state, character, kind, name, previousUsed, used) {
+    if (used <= previousUsed) return;
+    recordCombatEvent(state, { kind, name, amount: used - previousUsed }, character);
+}
+
+function actionActor(state, payload, client) {
+    if (payload.sourceCharacterId) return findCharacter(state, payload.sourceCharacterId) || null;
+    if (client?.role !== 'player') return null;
+    const current = state.combatState.active ? state.characters[state.combatState.currentTurn] : null;
+    if (current && canControlCharacter(current, client)) return current;
+    return state.characters.find(character => character.type === 'player' && canControlCharacter(character, client)) || null;
+}
+
+function buildCombatRecap(state) {
+    const events = state.combatState.events || [];
+    const combatants = new Map();
+    const combatant = (id, name) => {
+        if (!id) return null;
+        if (!combatants.has(id)) {
+            const character = findCharacter(state, id);
+            combatants.set(id, {
+                id,
+                name: character?.name || name || id,
+                type: character?.type || 'monster',
+                damageDealt: 0,
+                damageTaken: 0,
+                healingDone: 0,
+                healingReceived: 0,
+                knockouts: 0,
+                slots: {},
+                features: {}
+            });
+        }
+        return combatants.get(id);
+    };
+    state.characters.filter(character => isCombatant(character) && !character.lair).forEach(character => combatant(character.id, character.name));
+    const knockouts = [];
+    events.forEach(event => {
+        const actor = combatant(event.actorId, event.actorName);
+        if (event.kind === 'damage') {
+            combatant(event.targetId, event.targetName).damageTaken += event.amount;
+            if (actor && event.actorId !== event.targetId) actor.damageDealt += event.amount;
+        } else if (event.kind === 'healing') {
+            combatant(event.targetId, event.targetName).healingReceived += event.amount;
+            if (actor) actor.healingDone += event.amount;
+        } else if (event.kind === 'ko') {
+            if (actor && event.actorId !== event.targetId) actor.knockouts += 1;
+            knockouts.push({ round: event.round, targetId: event.targetId, targetName: event.targetName, actorName: actor?.name || null, lifeState: event.lifeState });
+        } else if ((event.kind === 'slot' || event.kind === 'feature') && actor) {
+            const spent = event.kind === 'slot' ? actor.slots : actor.features;
+            spent[event.name] = (spent[event.name] || 0) + event.amount;
         }
     });
+    return {
+        rounds: state.combatState.round,
+        endedAt: new Date().toISOString(),
+        combatants: [...combatants.values()],
+        knockouts
+    };
 }
 
 function getInventoryCollection(character, collection) {
@@ -1209,7 +2254,10 @@ function applyRest(character, restType) {
     character.customFeatures.forEach(feature => regainFeatureUses(feature, restType));
     if (restType !== 'long') return;
 
-    character.currentHp = character.maxHp || 1;
+    if (character.lifeState !== 'dead') {
+        character.currentHp = character.maxHp || 1;
+        resetLifeState(character);
+    }
     character.tempHp = 0;
     Object.keys(character.spellSlots || {}).forEach(level => {
         character.spellSlots[level].used = 0;
@@ -1360,21 +2408,36 @@ function epicSlotsForLevel(level) {
 }
 
 function applyGameAction(state, action, client) {
-    const page = action.page || pageForAction(action.type);
+    const page = pageForAction(action.type);
     const before = snapshotPage(state, page);
-    const label = applyActionMutation(state, action, client);
-    const after = snapshotPage(state, page);
-    const visibility = action.type.startsWith('monster.') || action.type.startsWith('database.monster') || action.type === 'database.importAll' || action.type === 'character.deleteSavedPlayer' || (action.type.startsWith('toolbelt.') && action.type !== 'toolbelt.dice.add')
+    const turnsStarted = state.combatState.turnsStarted;
+    const outcome = applyActionMutation(state, action, client);
+    const label = typeof outcome === 'string' ? outcome : outcome.label;
+    const patch = createPatch(before, snapshotPage(state, page));
+    const visibility = action.type.startsWith('monster.') || action.type.startsWith('database.monster') || action.type === 'database.importAll' || action.type === 'character.deleteSavedPlayer' || action.type.startsWith('player.account.') || action.type.startsWith('encounter.') || action.type === 'combat.legendaryAction' || action.type.startsWith('combat.group.') || (action.type.startsWith('toolbelt.') && action.type !== 'toolbelt.dice.add')
         ? 'dm'
         : 'all';
-    const entry = addLogEntry(state, action, client, page, label, before, after, true, visibility);
+    const entry = addLogEntry(state, action, client, page, label, patch, typeof outcome === 'string' || outcome.reversible !== false, typeof outcome !== 'string' && outcome.visibility ? outcome.visibility : visibility);
+    if (typeof outcome !== 'string' && outcome.result !== undefined) entry.result = outcome.result;
+    if (state.combatState.active && state.combatState.turnsStarted !== turnsStarted) {
+        logExpiredEffects(state, client, page);
+        logOngoingDamage(state, client, page);
+    }
     return { entry, state };
 }
 
+function historyTarget(state, page, direction) {
+    if (direction === 'redo') {
+        const stack = state.redoStacks[page] || [];
+        return state.actionLog.find(item => item.id === stack[stack.length - 1]) || null;
+    }
+    return [...state.actionLog].reverse().find(item => item.page === page && item.reversible && !item.undone) || null;
+}
+
 function undoPage(state, page, client) {
-    const entry = [...state.actionLog].reverse().find(item => item.page === page && item.reversible && !item.undone);
+    const entry = historyTarget(state, page, 'undo');
     if (!entry) throw new Error('Na teto strance neni co vratit.');
-    restorePage(state, page, entry.before);
+    restorePage(state, page, applyPatch(snapshotPage(state, page), invertPatch(entry.patch)));
     entry.undone = true;
     if (!state.redoStacks[page]) state.redoStacks[page] = [];
     state.redoStacks[page].push(entry.id);
@@ -1384,8 +2447,7 @@ function undoPage(state, page, client) {
         client,
         page,
         `Undo: ${entry.label}`,
-        snapshotPage(state, page),
-        snapshotPage(state, page),
+        [],
         false,
         entry.visibility
     );
@@ -1397,7 +2459,7 @@ function redoPage(state, page, client) {
     const entryId = stack.pop();
     const entry = state.actionLog.find(item => item.id === entryId);
     if (!entry || !entry.undone) throw new Error('Na teto strance neni co znovu provest.');
-    restorePage(state, page, entry.after);
+    restorePage(state, page, applyPatch(snapshotPage(state, page), entry.patch));
     entry.undone = false;
     const redoEntry = addLogEntry(
         state,
@@ -1405,8 +2467,7 @@ function redoPage(state, page, client) {
         client,
         page,
         `Redo: ${entry.label}`,
-        snapshotPage(state, page),
-        snapshotPage(state, page),
+        [],
         false,
         entry.visibility
     );
@@ -1415,6 +2476,7 @@ function redoPage(state, page, client) {
 
 module.exports = {
     applyGameAction,
+    historyTarget,
     undoPage,
     redoPage,
     snapshotPage,
@@ -0,0 +1,13 @@
+import type { AbilityKey, Character } from '../src/shared/types';
+
+export type SheetBonusTarget = 'save' | 'skill' | 'abilityCheck' | 'ac' | 'initiative' | 'spellAttack' | 'spellDc';
+
+export const ABILITY_SHORTS: Record<AbilityKey, string>;
+export function defaultAbilityScores(): Record<AbilityKey, number>;
+export function abilityModifier(score: number): number;
+export function clampAbilityScore(score: number): number;
+export function adjustedAbilityScores(character: Character): { scores: Record<AbilityKey, number>; adjustments: Partial<Record<AbilityKey, string[]>> };
+export function saveBonus(character: Character, ability: AbilityKey, adjustedScores?: Record<AbilityKey, number>): number;
+export function creatureSaveBonus(character: Character, ability: AbilityKey): number;
+export function armorClass(character: Character): number;
+export function bonusTotal(character: Character, targetType: SheetBonusTarget, targetKey: string, status: { proficient: boolean; expert: boolean }): number;
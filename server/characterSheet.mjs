@@ -0,0 +1,106 @@
+export const ABILITY_SHORTS = {
+    strength: 'STR',
+    dexterity: 'DEX',
+    constitution: 'CON',
+    intelligence: 'INT',
+    wisdom: 'WIS',
+    charisma: 'CHA'
+};
+
+export function defaultAbilityScores() {
+    return {
+        strength: 10,
+        dexterity: 10,
+        constitution: 10,
+        intelligence: 10,
+        wisdom: 10,
+        charisma: 10
+    };
+}
+
+export function abilityModifier(score) {
+    return Math.floor((score - 10) / 2);
+}
+
+export function clampAbilityScore(score) {
+    return Math.max(1, Math.min(30, Math.round(Number(score) || 10)));
+}
+
+export function adjustedAbilityScores(character) {
+    const scores = { ...defaultAbilityScores(), ...(character.abilityScores || {}) };
+    const adjustments = {};
+
+    (character.effects || []).forEach(effect => {
+        const current = normalizeEffectLike(effect);
+        if (!current.ability || !ABILITY_SHORTS[current.ability]) return;
+        const value = Number(current.value ?? current.level ?? 0);
+        if (!Number.isFinite(value)) return;
+
+        if (current.name === 'Ability Score Set') {
+            scores[current.ability] = clampAbilityScore(value);
+            adjustments[current.ability] = [...(adjustments[current.ability] || []), `set ${scores[current.ability]}`];
+        } else if (current.name === 'Ability Score Increased') {
+            scores[current.ability] = clampAbilityScore(scores[current.ability] + value);
+            adjustments[current.ability] = [...(adjustments[current.ability] || []), `+${value}`];
+        } else if (current.name === 'Ability Score Reduced') {
+            scores[current.ability] = clampAbilityScore(scores[current.ability] - value);
+            adjustments[current.ability] = [...(adjustments[current.ability] || []), `-${value}`];
+        }
+    });
+
+    return { scores, adjustments };
+}
+
+export function saveBonus(character, ability, adjustedScores = adjustedAbilityScores(character).scores) {
+    const proficient = (character.savingThrowProficiencies || []).includes(ability);
+    return abilityModifier(adjustedScores[ability]) + (proficient ? character.proficiencyBonus || 0 : 0) + bonusTotal(character, 'save', ability, { proficient, expert: false });
+}
+
+export function creatureSaveBonus(character, ability) {
+    if (character.type !== 'monster') return saveBonus(character, ability);
+    const monster = character.monsterData || {};
+    const listed = String(monster.saves || '').match(new RegExp(`\\b${ABILITY_SHORTS[ability] || ''}\\w*\\s*([+-]\\d+)`, 'i'));
+    if (listed) return Number(listed[1]);
+    return abilityModifier(Number(monster.stats?.[ability]) || 10);
+}
+
+export function armorClass(character) {
+    return (character.ac || 10) + bonusTotal(character, 'ac', 'ac', { proficient: false, expert: false }) + acEffectBonus(character);
+}
+
+export function bonusTotal(character, targetType, targetKey, status) {
+    return (character.sheetBonuses || [])
+        .filter(bonus => bonusApplies(bonus, targetType, targetKey, status))
+        .reduce((sum, bonus) => sum + bonusValue(character, bonus), 0);
+}
+
+function bonusApplies(bonus, targetType, targetKey, status) {
+    if (bonus.condition === 'ifNotProficientOrExpert' && (status.proficient || status.expert)) return false;
+    if (bonus.targetType === targetType && bonus.targetKey === targetKey) return true;
+    if (['ac', 'initiative', 'spellAttack', 'spellDc'].includes(targetType) && bonus.targetType === targetType) return true;
+    if (targetType === 'save' && bonus.targetType === 'allSaves') return true;
+    if (targetType === 'skill' && bonus.targetType === 'allSkills') return true;
+    if (targetType === 'abilityCheck' && bonus.targetType === 'allAbilityChecks') return true;
+    return false;
+}
+
+function acEffectBonus(character) {
+    return (character.effects || []).reduce((sum, effect) => {
+        const current = normalizeEffectLike(effect);
+        const value = Number(current.value ?? current.level ?? 0);
+        if (!Number.isFinite(value)) return sum;
+        if (current.name === 'Armor Class Increased') return sum + value;
+        if (current.name === 'Armor Class Reduced') return sum - value;
+        return sum;
+    }, 0);
+}
+
+function bonusValue(character, bonus) {
+    if (bonus.valueMode === 'halfProficiency') return Math.floor((character.proficiencyBonus || 0) / 2);
+    return Number(bonus.value) || 0;
+}
+
+function normalizeEffectLike(effect) {
+    if (typeof effect === 'string') return { name: effect, ability: null, value: null, level: null };
+    return effect || {};
+}
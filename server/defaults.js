@@ -50,6 +50,8 @@ function createInitialState() {
             acc[page] = [];
             return acc;
         }, {}),
+        playerAccounts: [],
+        encounters: [],
         nextSequence: 1
     };
 }
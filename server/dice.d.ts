@@ -0,0 +1,6 @@
+import type { DiceRollMode, DiceRollOptions, DiceRollResult, ParsedDiceTerm } from '../src/shared/dice';
+
+export function rollDiceExpression(expression: string, options?: DiceRollOptions): DiceRollResult;
+export function parseDiceExpression(expression: string): ParsedDiceTerm[];
+export function describeDiceResult(result: DiceRollResult): string;
+export function normalizeRollMode(mode: unknown): DiceRollMode;
@@ -0,0 +1,159 @@
+const { clone } = require('./utils');
+
+function createPatch(before, after, path = []) {
+    if (Object.is(before, after)) return [];
+    if (Array.isArray(before) && Array.isArray(after)) return diffArrays(before, after, path);
+    if (isPlainObject(before) && isPlainObject(after)) return diffObjects(before, after, path);
+    return [{ op: 'replace', path, value: clone(after ?? null), oldValue: clone(before ?? null) }];
+}
+
+function diffObjects(before, after, path) {
+    const ops = [];
+    Object.keys(before).forEach(key => {
+        if (before[key] !== undefined && after[key] === undefined) {
+            ops.push({ op: 'remove', path: [...path, key], oldValue: clone(before[key]) });
+        }
+    });
+    Object.keys(after).forEach(key => {
+        if (after[key] === undefined) return;
+        if (before[key] === undefined) {
+            ops.push({ op: 'add', path: [...path, key], value: clone(after[key]) });
+            return;
+        }
+        ops.push(...createPatch(before[key], after[key], [...path, key]));
+    });
+    return ops;
+}
+
+function diffArrays(before, after, path) {
+    if (isKeyedArray(before) && isKeyedArray(after)) return diffKeyedArrays(before, after, path);
+    const ops = [];
+    const shared = Math.min(before.length, after.length);
+    for (let index = before.length - 1; index >= shared; index -= 1) {
+        ops.push({ op: 'remove', path: [...path, index], oldValue: clone(before[index]) });
+    }
+    for (let index = 0; index < shared; index += 1) {
+        ops.push(...createPatch(before[index], after[index], [...path, index]));
+    }
+    for (let index = shared; index < after.length; index += 1) {
+        ops.push({ op: 'add', path: [...path, index], value: clone(after[index]) });
+    }
+    return ops;
+}
+
+function diffKeyedArrays(before, after, path) {
+    const ops = [];
+    const beforeById = new Map(before.map(item => [item.id, item]));
+    const afterIds = new Set(after.map(item => item.id));
+    for (let index = before.length - 1; index >= 0; index -= 1) {
+        const item = before[index];
+        if (!afterIds.has(item.id)) ops.push({ op: 'remove', path: [...path, { id: item.id, index }], oldValue: clone(item) });
+    }
+
+    const working = before.filter(item => afterIds.has(item.id)).map(item => item.id);
+    after.forEach((item, index) => {
+        if (beforeById.has(item.id)) return;
+        ops.push({ op: 'add', path: [...path, { id: item.id, index }], value: clone(item) });
+        working.splice(Math.min(index, working.length), 0, item.id);
+    });
+
+    const order = after.map(item => item.id);
+    if (working.some((id, index) => id !== order[index])) {
+        ops.push({ op: 'reorder', path, order, oldOrder: working });
+    }
+
+    after.forEach(item => {
+        if (!beforeById.has(item.id)) return;
+        ops.push(...createPatch(beforeById.get(item.id), item, [...path, { id: item.id }]));
+    });
+    return ops;
+}
+
+function invertPatch(patch) {
+    return [...(patch || [])].reverse().map(op => {
+        if (op.op === 'add') return { op: 'remove', path: op.path, oldValue: op.value };
+        if (op.op === 'remove') return { op: 'add', path: op.path, value: op.oldValue };
+        if (op.op === 'reorder') return { op: 'reorder', path: op.path, order: op.oldOrder, oldOrder: op.order };
+        return { op: 'replace', path: op.path, value: op.oldValue, oldValue: op.value };
+    });
+}
+
+function forwardPatch(patch) {
+    return (patch || []).map(({ oldValue, oldOrder, ...op }) => op);
+}
+
+function applyPatch(document, patch) {
+    return (patch || []).reduce(applyOperation, document);
+}
+
+function applyOperation(document, op) {
+    if (op.op === 'reorder') {
+        const target = resolvePath(document, op.path);
+        if (Array.isArray(target)) reorderById(target, op.order);
+        return document;
+    }
+    if (op.path.length === 0) {
+        return op.op === 'remove' ? null : clone(op.value);
+    }
+
+    const parent = resolvePath(document, op.path.slice(0, -1));
+    if (parent === undefined || parent === null || typeof parent !== 'object') return document;
+    const segment = op.path[op.path.length - 1];
+
+    if (Array.isArray(parent)) {
+        const keyed = segment !== null && typeof segment === 'object';
+        const existing = keyed ? parent.findIndex(item => item?.id === segment.id) : Number(segment);
+        if (op.op === 'remove') {
+            if (existing >= 0 && existing < parent.length) parent.splice(existing, 1);
+        } else if (op.op === 'add') {
+            if (keyed && existing >= 0) parent[existing] = clone(op.value);
+            else parent.splice(Math.min(keyed ? segment.index : existing, parent.length), 0, clone(op.value));
+        } else if (existing >= 0 && existing < parent.length) {
+            parent[existing] = clone(op.value);
+        }
+        return document;
+    }
+
+    if (op.op === 'remove') delete parent[segment];
+    else parent[segment] = clone(op.value);
+    return document;
+}
+
+function resolvePath(document, path) {
+    return path.reduce((current, segment) => {
+        if (current === undefined || current === null || typeof current !== 'object') return undefined;
+        if (segment !== null && typeof segment === 'object') {
+            return Array.isArray(current) ? current.find(item => item?.id === segment.id) : undefined;
+        }
+        return current[segment];
+    }, document);
+}
+
+function reorderById(items, order) {
+    const rank = new Map(order.map((id, index) => [id, index]));
+    const sorted = items
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => (rank.get(a.item?.id) ?? order.length + a.index) - (rank.get(b.item?.id) ?? order.length + b.index))
+        .map(entry => entry.item);
+    items.splice(0, items.length, ...sorted);
+}
+
+function isKeyedArray(items) {
+    const ids = new Set();
+    return items.every(item => {
+        if (!isPlainObject(item) || typeof item.id !== 'string' || !item.id || ids.has(item.id)) return false;
+        ids.add(item.id);
+        return true;
+    });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    createPatch,
+    applyPatch,
+    invertPatch,
+    forwardPatch
+};
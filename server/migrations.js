@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const { createEmptyInventory, createInitialState, PAGE_SCOPES } = require('./defaults');
 const { DEFAULT_CONDITIONS } = require('./conditionPresets');
-const { clone, makeId } = require('./utils');
+const { createPatch } = require('./history');
+const { extractRecharges, legendaryResistanceUses } = require('./monsterRules.mjs');
+const { clamp, clone, makeId } = require('./utils');
 
 function normalizeEffect(effect) {
     if (!effect) return null;
@@ -15,9 +18,58 @@ function normalizeEffect(effect) {
     if (effect.diceCount !== undefined && effect.diceCount !== null) normalized.diceCount = Math.max(0, Number(effect.diceCount) || 0);
     if (effect.diceSides !== undefined && effect.diceSides !== null) normalized.diceSides = Math.max(0, Number(effect.diceSides) || 0);
     if (effect.damageType !== undefined && effect.damageType !== null) normalized.damageType = String(effect.damageType);
+    const duration = normalizeEffectDuration(effect.duration);
+    if (duration) {
+        const total = effectDurationRounds(duration);
+        normalized.duration = duration;
+        normalized.remainingRounds = Math.max(0, Math.min(total, Math.round(Number(effect.remainingRounds ?? total))));
+        if (duration.unit === 'sourceTurn') normalized.sourceTurnStarted = Boolean(effect.sourceTurnStarted);
+    }
+    if (effect.sourceCharacterId) normalized.sourceCharacterId = String(effect.sourceCharacterId);
+    if (effect.concentration && normalized.sourceCharacterId) normalized.concentration = true;
+    const saveToEnd = normalizeEffectSave(effect.saveToEnd);
+    if (saveToEnd) {
+        normalized.saveToEnd = saveToEnd;
+        if (effect.savePending) normalized.savePending = true;
+    }
     return normalized;
 }
 
+function normalizeEffectSave(save) {
+    if (!save || typeof save !== 'object') return null;
+    const ability = normalizeAbilityKey(save.ability);
+    if (!ability) return null;
+    return { ability, dc: Math.max(1, Math.min(30, Math.round(Number(save.dc) || 10))) };
+}
+
+const LIFE_STATES = ['alive', 'dying', 'stable', 'dead'];
+
+const DAMAGE_TYPES = ['acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic', 'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'];
+
+const QUALIFIED_DAMAGE_CLAUSE = /\b(?:non-?magical|magic(?:al)?|silvered|adamantine)\b/;
+
+function normalizeDamageTypes(value) {
+    const items = Array.isArray(value)
+        ? value
+        : String(value || '').toLowerCase().split(';').filter(clause => !QUALIFIED_DAMAGE_CLAUSE.test(clause)).flatMap(clause => clause.match(/[a-z]+/g) || []);
+    return [...new Set(items.map(item => String(item || '').trim().toLowerCase()).filter(item => DAMAGE_TYPES.includes(item)))];
+}
+
+const EFFECT_DURATION_ROUNDS = { rounds: 1, minutes: 10, hours: 600, sourceTurn: 1 };
+
+function normalizeEffectDuration(duration) {
+    if (!duration || typeof duration !== 'object') return null;
+    const unit = Object.keys(EFFECT_DURATION_ROUNDS).includes(duration.unit) ? duration.unit : null;
+    if (!unit) return null;
+    if (unit === 'sourceTurn') return { unit, amount: 1 };
+    const amount = Math.max(0, Math.round(Number(duration.amount) || 0));
+    return amount > 0 ? { unit, amount } : null;
+}
+
+function effectDurationRounds(duration) {
+    return duration.amount * EFFECT_DURATION_ROUNDS[duration.unit];
+}
+
 const ABILITY_KEYS = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
 const SKILL_KEYS = [
     'acrobatics', 'animalHandling', 'arcana', 'athletics', 'deception', 'history',
@@ -114,6 +166,7 @@ function normalizeSheetGeneral(general) {
     const speeds = source.speeds && typeof source.speeds === 'object' ? source.speeds : {};
     return {
         spellcastingAbility: normalizeAbilityKey(source.spellcastingAbility) || 'charisma',
+        initiativeAdvantage: String(source.initiativeAdvantage || '').trim(),
         speeds: {
             walk: Math.max(0, Number(speeds.walk) || 30),
             fly: Math.max(0, Number(speeds.fly) || 0),
@@ -125,6 +178,21 @@ function normalizeSheetGeneral(general) {
     };
 }
 
+function normalizeInitiativeRoll(roll) {
+    if (!roll || !Number.isFinite(Number(roll.natural))) return null;
+    const natural = clamp(Math.round(Number(roll.natural)), 1, 20);
+    const rolls = Array.isArray(roll.rolls) ? roll.rolls.map(value => clamp(Math.round(Number(value) || 1), 1, 20)) : [];
+    return {
+        natural,
+        rolls: rolls.length > 0 ? rolls : [natural],
+        modifier: Number(roll.modifier) || 0,
+        advantage: String(roll.advantage || ''),
+        dexterity: Number(roll.dexterity) || 10,
+        rollOff: Math.max(0, Number(roll.rollOff) || 0),
+        source: ['rolled', 'player'].includes(roll.source) ? roll.source : 'rolled'
+    };
+}
+
 function normalizeSkillAbilityOverrides(overrides) {
     const source = overrides && typeof overrides === 'object' ? overrides : {};
     const result = {};
@@ -148,6 +216,7 @@ function normalizeTags(tags) {
 
 function normalizeCharacter(char) {
     const type = char.type === 'monster' ? 'monster' : 'player';
+    const ownerIds = normalizeOwnerIds(char.ownerIds);
     return {
         id: String(char.id || makeId(type)),
         name: char.name || (type === 'monster' ? 'Monstrum' : 'Postava'),
@@ -166,12 +235,46 @@ function normalizeCharacter(char) {
         currentPower: Number.isFinite(Number(char.currentPower)) ? Number(char.currentPower) : (Number(char.maxPower) || 0),
         powerName: char.powerName || 'Power',
         effects: Array.isArray(char.effects) ? char.effects.map(normalizeEffect).filter(Boolean) : [],
+        pendingConcentrationSaves: Array.isArray(char.pendingConcentrationSaves)
+            ? char.pendingConcentrationSaves.map(save => ({
+                id: String(save.id || makeId('concentration')),
+                dc: Math.max(10, Number(save.dc) || 10),
+                damage: Math.max(0, Number(save.damage) || 0)
+            }))
+            : [],
+        lifeState: LIFE_STATES.includes(char.lifeState) ? char.lifeState : 'alive',
+        deathSaves: {
+            successes: Math.max(0, Math.min(3, Number(char.deathSaves?.successes) || 0)),
+            failures: Math.max(0, Math.min(3, Number(char.deathSaves?.failures) || 0))
+        },
+        diesAtZeroHp: type === 'monster' && char.diesAtZeroHp !== false,
+        damageResistances: normalizeDamageTypes(char.damageResistances ?? char.monsterData?.damageResistances),
+        damageVulnerabilities: normalizeDamageTypes(char.damageVulnerabilities ?? char.monsterData?.damageVulnerabilities),
+        damageImmunities: normalizeDamageTypes(char.damageImmunities ?? char.monsterData?.damageImmunities),
         activeInCombat: type === 'monster'
             ? true
             : (char.activeInCombat !== undefined ? Boolean(char.activeInCombat) : true),
         revealedToPlayers: char.revealedToPlayers !== undefined ? Boolean(char.revealedToPlayers) : type === 'player',
+        ownerIds,
+        sharedWithPlayers: char.sharedWithPlayers !== undefined ? Boolean(char.sharedWithPlayers) : ownerIds.length === 0,
         groupId: char.groupId || null,
         groupName: char.groupName || null,
+        lair: type === 'monster' && Boolean(char.lair),
+        surprised: Boolean(char.surprised),
+        delayed: Boolean(char.delayed),
+        initiativeRoll: normalizeInitiativeRoll(char.initiativeRoll),
+        ownInitiative: char.ownInitiative && typeof char.ownInitiative === 'object'
+            ? {
+                initiative: char.ownInitiative.initiative === null || char.ownInitiative.initiative === undefined ? null : Number(char.ownInitiative.initiative),
+                initiativeRoll: normalizeInitiativeRoll(char.ownInitiative.initiativeRoll)
+            }
+            : null,
+        readiedAction: char.readiedAction?.trigger
+            ? { trigger: String(char.readiedAction.trigger), round: Math.max(1, Number(char.readiedAction.round) || 1) }
+            : null,
+        lastLairAction: char.lastLairAction?.name
+            ? { monsterId: String(char.lastLairAction.monsterId || ''), name: String(char.lastLairAction.name), round: Math.max(1, Number(char.lastLairAction.round) || 1) }
+            : null,
         monsterData: char.monsterData ? normalizeMonsterDbItem(char.monsterData) : undefined,
         monsterAbilities: type === 'monster' ? normalizeMonsterAbilities(char.monsterAbilities, char) : (char.monsterAbilities ? clone(char.monsterAbilities) : undefined),
         spellcasterLevel: Number(char.spellcasterLevel) || 0,
@@ -195,6 +298,46 @@ function normalizeCharacter(char) {
     };
 }
 
+function normalizeOwnerIds(ownerIds) {
+    return Array.isArray(ownerIds) ? [...new Set(ownerIds.map(String).filter(Boolean))] : [];
+}
+
+function normalizeEncounter(encounter) {
+    const source = encounter || {};
+    return {
+        id: String(source.id || makeId('encounter')),
+        name: String(source.name || 'Encounter').trim() || 'Encounter',
+        notes: String(source.notes || ''),
+        lair: Boolean(source.lair),
+        monsters: normalizeEncounterGroups(source.monsters),
+        waves: (Array.isArray(source.waves) ? source.waves : []).map((wave, index) => ({
+            id: String(wave?.id || makeId('wave')),
+            name: String(wave?.name || `Wave ${index + 1}`).trim() || `Wave ${index + 1}`,
+            monsters: normalizeEncounterGroups(wave?.monsters)
+        }))
+    };
+}
+
+function normalizeEncounterGroups(groups) {
+    return (Array.isArray(groups) ? groups : [])
+        .map(group => ({
+            monsterId: String(group?.monsterId || ''),
+            count: Math.max(1, Math.round(Number(group?.count) || 1)),
+            groupName: String(group?.groupName || '').trim(),
+            revealed: Boolean(group?.revealed)
+        }))
+        .filter(group => group.monsterId);
+}
+
+function normalizePlayerAccount(account) {
+    const source = account || {};
+    return {
+        id: String(source.id || makeId('account')),
+        name: String(source.name || 'Player').trim() || 'Player',
+        token: String(source.token || crypto.randomBytes(12).toString('hex'))
+    };
+}
+
 function normalizeSpell(spell) {
     const source = spell || {};
     const level = normalizeSpellLevel(source.levelKey || source.levelLabel || source.level || source.Level);
@@ -270,9 +413,11 @@ function normalizeMonsterAbilities(abilities, source = {}) {
     const perDaySpells = current.perDaySpells || spellcasting.perDaySpells || [];
     const power = current.power || {};
     const maxPower = Number(source.maxPower ?? power.max) || 0;
+    const recharges = Array.isArray(current.recharges) ? current.recharges.map(normalizeMonsterRecharge) : detectMonsterRecharges(source.monsterData);
+    const legendaryResistance = current.legendaryResistance ? normalizeLegendaryResistance(current.legendaryResistance) : detectLegendaryResistance(source.monsterData);
     return {
         ...clone(current),
-        enabled: Boolean(current.enabled || maxPower || current.legendaryActions?.enabled || current.epicActions?.enabled || Object.keys(spellSlots).length || perDaySpells.length || current.customFeatures?.length),
+        enabled: Boolean(current.enabled || maxPower || current.legendaryActions?.enabled || current.epicActions?.enabled || Object.keys(spellSlots).length || perDaySpells.length || current.customFeatures?.length || recharges.length || legendaryResistance.max),
         power: {
             enabled: Boolean(power.enabled || maxPower),
             name: String(power.name || source.powerName || 'Power'),
@@ -290,6 +435,8 @@ function normalizeMonsterAbilities(abilities, source = {}) {
         spellSlots: normalizeMonsterSpellSlots(spellSlots),
         perDaySpells: normalizeMonsterPerDaySpells(perDaySpells),
         customFeatures: Array.isArray(current.customFeatures) ? clone(current.customFeatures) : [],
+        recharges,
+        legendaryResistance,
         legendaryActions: {
             enabled: Boolean(current.legendaryActions?.enabled),
             max: Math.max(0, Number(current.legendaryActions?.max) || 0),
@@ -310,6 +457,33 @@ function normalizeMonsterAbilities(abilities, source = {}) {
     };
 }
 
+function normalizeMonsterRecharge(recharge) {
+    const lastRoll = Number(recharge?.lastRoll);
+    return {
+        id: String(recharge?.id || makeId('recharge')),
+        name: String(recharge?.name || 'Recharge'),
+        min: Math.max(2, Math.min(6, Math.round(Number(recharge?.min) || 6))),
+        available: recharge?.available !== false,
+        lastRoll: lastRoll >= 1 && lastRoll <= 6 ? lastRoll : null
+    };
+}
+
+function detectMonsterRecharges(monsterData) {
+    const source = monsterData || {};
+    return extractRecharges(['actions', 'bonusActions', 'reactions', 'legendaryActionEntries'].flatMap(key => normalizeMonsterTextEntries(source[key])))
+        .map(normalizeMonsterRecharge);
+}
+
+function normalizeLegendaryResistance(resistance) {
+    const max = Math.max(0, Math.round(Number(resistance?.max) || 0));
+    return { max, used: Math.max(0, Math.min(max, Math.round(Number(resistance?.used) || 0))) };
+}
+
+function detectLegendaryResistance(monsterData) {
+    const source = monsterData || {};
+    return normalizeLegendaryResistance({ max: legendaryResistanceUses(['defensiveFeatures', 'features'].flatMap(key => normalizeMonsterTextEntries(source[key]))) });
+}
+
 function normalizeMonsterSpellSlots(slots) {
     const result = {};
     Object.entries(slots || {}).forEach(([level, value]) => {
@@ -346,6 +520,7 @@ function normalizeMonsterDbItem(monster) {
         name: String(source.name || 'Monster'),
         hp: Number(source.hp || source.maxHp) || 1,
         maxHp: Number(source.maxHp || source.hp) || 1,
+        hitDice: String(source.hitDice || '').replace(/\s+/g, ''),
         ac: Number(source.ac) || 10,
         maxReactions: Math.max(0, Number(source.maxReactions) || 1),
         initBonus: Number.isFinite(Number(source.initBonus)) ? Number(source.initBonus) : Math.floor(((stats.dexterity || 10) - 10) / 2),
@@ -359,6 +534,9 @@ function normalizeMonsterDbItem(monster) {
         proficiency: String(source.proficiency || ''),
         type: String(source.type || ''),
         size: String(source.size || ''),
+        damageResistances: normalizeDamageTypes(source.damageResistances),
+        damageVulnerabilities: normalizeDamageTypes(source.damageVulnerabilities),
+        damageImmunities: normalizeDamageTypes(source.damageImmunities),
         maxPower,
         powerName,
         description: source.description || source.statblock || '',
@@ -372,9 +550,10 @@ function normalizeMonsterDbItem(monster) {
         lairActions: normalizeMonsterTextEntries(source.lairActions),
         hasLairActions: Boolean(source.hasLairActions || (source.lairActions || []).length),
         hasMythicActions: Boolean(source.hasMythicActions || (source.mythicActions || []).length),
-        monsterAbilities: normalizeMonsterAbilities(source.monsterAbilities, { maxPower, powerName, currentPower: source.currentPower }),
+        monsterAbilities: normalizeMonsterAbilities(source.monsterAbilities, { maxPower, powerName, currentPower: source.currentPower, monsterData: source }),
         tags: normalizeTags(source.tags),
-        source: source.source || ''
+        source: source.source || '',
+        ...(source.scaledFrom ? { scaledFrom: { monsterId: String(source.scaledFrom.monsterId || ''), name: String(source.scaledFrom.name || ''), challenge: String(source.scaledFrom.challenge || '') } } : {})
     };
 }
 
@@ -544,6 +723,17 @@ function normalizeDiceRolls(diceRolls) {
     ]));
 }
 
+function migrateHistoryEntry(entry) {
+    if (!entry || (entry.before === undefined && entry.after === undefined)) return entry;
+    const { before, after, ...rest } = entry;
+    return {
+        ...rest,
+        patch: Array.isArray(rest.patch)
+            ? rest.patch
+            : rest.reversible === false ? [] : createPatch(before || {}, after || {})
+    };
+}
+
 function migrateAutosave(rawData) {
     const state = createInitialState();
     const data = rawData || {};
@@ -583,10 +773,12 @@ function migrateAutosave(rawData) {
         : [];
     state.itemDatabase = legacyItems;
 
-    state.actionLog = Array.isArray(data.actionLog) ? data.actionLog : [];
+    state.actionLog = Array.isArray(data.actionLog) ? data.actionLog.map(migrateHistoryEntry) : [];
     state.redoStacks = normalizeRedoStacks(data.redoStacks);
     state.nextSequence = Number(data.nextSequence) || (state.actionLog.length + 1);
     state.toolbelt = normalizeToolbelt(data.toolbelt);
+    state.playerAccounts = Array.isArray(data.playerAccounts) ? data.playerAccounts.map(normalizePlayerAccount) : [];
+    state.encounters = Array.isArray(data.encounters) ? data.encounters.map(normalizeEncounter) : [];
 
     return state;
 }
@@ -601,6 +793,13 @@ module.exports = {
     normalizeSpell,
     normalizeSpellbook,
     normalizeCharacterAbility,
+    normalizeEffectDuration,
+    effectDurationRounds,
+    normalizeDamageTypes,
+    normalizeEffectSave,
+    normalizeOwnerIds,
+    normalizePlayerAccount,
+    normalizeEncounter,
     seedConditions,
     migrateAutosave
 };
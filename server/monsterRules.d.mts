@@ -0,0 +1,8 @@
+import type { MonsterRecharge } from '../src/shared/types';
+
+export function extractRecharges(entries: Array<{ name: string; description?: string }>): MonsterRecharge[];
+export function isLegendaryResistance(entry: { name: string }): boolean;
+export function legendaryResistanceUses(entries: Array<{ name: string }>): number;
+export function legendaryActionCost(entry: { name: string; description?: string }): number;
+export function legendaryActionName(entry: { name: string }): string;
+export function criticalDamageExpression(expression: string): string;
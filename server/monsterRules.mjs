@@ -0,0 +1,32 @@
+const LEGENDARY_RESISTANCE = /^Legendary Resistance\s*\((\d+)\s*\/\s*Day\)/i;
+const LEGENDARY_COST = /\s*\(Costs?\s+(\d+)\s+Actions?\)/i;
+const RECHARGE = /^(.+?)\s*\(Recharge\s+(\d)(?:\s*[-\u2013]\s*6)?\)/i;
+
+export function extractRecharges(entries) {
+    return (entries || []).flatMap(entry => {
+        const match = String(entry?.name || '').match(RECHARGE);
+        return match ? [{ name: match[1].trim(), min: Number(match[2]) || 6, available: true, lastRoll: null }] : [];
+    });
+}
+
+export function isLegendaryResistance(entry) {
+    return LEGENDARY_RESISTANCE.test(String(entry?.name || ''));
+}
+
+export function legendaryResistanceUses(entries) {
+    const match = (entries || []).map(entry => String(entry?.name || '').match(LEGENDARY_RESISTANCE)).find(Boolean);
+    return match ? Number(match[1]) : 0;
+}
+
+export function legendaryActionCost(entry) {
+    const match = `${entry.name} ${entry.description || ''}`.match(LEGENDARY_COST);
+    return match ? Math.max(1, Number(match[1])) : 1;
+}
+
+export function legendaryActionName(entry) {
+    return String(entry.name || '').replace(LEGENDARY_COST, '');
+}
+
+export function criticalDamageExpression(expression) {
+    return String(expression || '').replace(/(\d+)d(\d+)/gi, (_, count, sides) => `${Number(count) * 2}d${sides}`);
+}
@@ -1,10 +1,15 @@
 const PLAYER_ALLOWED_TYPES = new Set([
     'character.adjustHp',
     'character.reaction.set',
+    'character.initiative.submit',
+    'character.concentration.resolve',
+    'character.deathSave.roll',
+    'character.stabilize',
     'effect.add',
     'effect.remove',
     'effect.level.set',
     'effect.dice.set',
+    'effect.save.resolve',
     'inventory.currency.set',
     'inventory.item.add',
     'inventory.item.update',
@@ -34,6 +39,9 @@ const PLAYER_ALLOWED_TYPES = new Set([
     'database.condition.upsert',
     'character.activateInCombat',
     'character.deactivateFromCombat',
+    'combat.ready',
+    'combat.ready.resolve',
+    'combat.ready.cancel',
     'toolbelt.dice.add'
 ]);
 
@@ -50,7 +58,13 @@ function actionCharacterIds(action) {
     return ids;
 }
 
-function canPlayerChangeAction(state, action) {
+function canControlCharacter(character, client) {
+    const ownerIds = Array.isArray(character.ownerIds) ? character.ownerIds : [];
+    const shared = character.sharedWithPlayers !== undefined ? Boolean(character.sharedWithPlayers) : ownerIds.length === 0;
+    return shared || Boolean(client.playerId && ownerIds.includes(client.playerId));
+}
+
+function canPlayerChangeAction(state, action, client) {
     if (!PLAYER_ALLOWED_TYPES.has(action.type)) {
         return { ok: false, reason: 'Player nemuze provest tuto akci.' };
     }
@@ -76,20 +90,35 @@ function canPlayerChangeAction(state, action) {
         }
     }
 
+    const payload = action.payload || {};
+    const controlledIds = [payload.characterId, payload.sourceCharacterId].filter(Boolean);
+    for (const id of controlledIds) {
+        if (!canControlCharacter(findCharacter(state, id), client)) {
+            return { ok: false, reason: 'Tuto postavu nevlastnis.' };
+        }
+    }
+
     return { ok: true };
 }
 
 function authorizeAction(state, action, client) {
     if (client.role === 'dm') return { ok: true };
-    return canPlayerChangeAction(state, action);
+    return canPlayerChangeAction(state, action, client);
 }
 
-function canUseHistory(page, client) {
+function canUseHistory(state, page, client, entry) {
     if (client.role === 'dm') return true;
-    return page === 'combat' || page === 'spells' || page === 'inventory';
+    if (page !== 'combat' && page !== 'spells' && page !== 'inventory') return false;
+    if (!entry) return true;
+    const ids = Array.isArray(entry.characterIds) ? entry.characterIds : [];
+    return ids.length > 0 && ids.every(id => {
+        const character = findCharacter(state, id);
+        return Boolean(character && character.type === 'player' && canControlCharacter(character, client));
+    });
 }
 
 module.exports = {
     authorizeAction,
+    canControlCharacter,
     canUseHistory
 };
@@ -1,36 +1,60 @@
-const { applyGameAction, redoPage, undoPage } = require('./actions');
+const { applyGameAction, historyTarget, redoPage, undoPage } = require('./actions');
+const { createPatch, forwardPatch } = require('./history');
 const { authorizeAction, canUseHistory } = require('./permissions');
 const { filterHistoryForPlayer, filterStateForClient, stripHistorySnapshots } = require('./visibility');
 
+const CLIENT_ROLES = ['dm', 'player'];
+const DATABASE_SLICES = ['monsterDatabase', 'magicItemDatabase', 'potionDatabase', 'conditionDatabase', 'spellDatabase', 'itemDatabase', 'playerAccounts', 'encounters'];
+const PAGE_SLICES = {
+    combat: ['characters', 'combatState'],
+    inventory: ['characters'],
+    spells: ['characters'],
+    monsters: ['characters'],
+    toolbelt: ['toolbelt'],
+    databases: ['characters', ...DATABASE_SLICES]
+};
+const HISTORY_SLICES = ['actionLog', 'redoStacks', 'nextSequence'];
+
 function createSocketHandlers({ io, stateRef, dmToken, saveState }) {
     const clients = new Map();
+    const roleStates = new Map();
 
     function clientFor(socket) {
         return clients.get(socket.id) || { id: socket.id, role: 'player' };
     }
 
+    function socketsForRole(role) {
+        return [...io.sockets.sockets.values()].filter(socket => clientFor(socket).role === role);
+    }
+
     function emitStateTo(socket) {
         const client = clientFor(socket);
-        socket.emit('state:init', filterStateForClient(stateRef.current, client.role));
+        const cached = roleStates.get(client.role);
+        if (cached && cached.nextSequence !== stateRef.current.nextSequence) syncRole(client.role, null, socket);
+        const state = filterStateForClient(stateRef.current, client.role);
+        if (!roleStates.has(client.role)) roleStates.set(client.role, state);
+        socket.emit('state:init', state);
     }
 
-    function broadcastPatch(entry) {
-        io.sockets.sockets.forEach(socket => {
-            const client = clientFor(socket);
-            socket.emit('state:patch', {
-                state: filterStateForClient(stateRef.current, client.role),
-                entry: sanitizeEntry(entry, client.role)
-            });
-        });
+    function syncRole(role, entry, skipSocket = null) {
+        const sockets = socketsForRole(role).filter(socket => socket !== skipSocket);
+        if (sockets.length === 0) {
+            roleStates.delete(role);
+            return;
+        }
+        const previous = roleStates.get(role);
+        const slices = previous ? stateSlicesForEntry(entry) : null;
+        const changed = filterStateForClient(stateRef.current, role, slices);
+        const next = { ...previous, ...changed };
+        roleStates.set(role, next);
+        const payload = previous
+            ? { baseSequence: previous.nextSequence, sequence: next.nextSequence, patch: forwardPatch(Object.keys(changed).flatMap(key => createPatch(previous[key], changed[key], [key]))) }
+            : { sequence: next.nextSequence, state: next };
+        sockets.forEach(socket => socket.emit('state:patch', { ...payload, entry: sanitizeEntry(entry, role) }));
     }
 
-    function broadcastHistory() {
-        io.sockets.sockets.forEach(socket => {
-            const client = clientFor(socket);
-            socket.emit('history:updated', client.role === 'dm'
-                ? stripHistorySnapshots(stateRef.current.actionLog)
-                : filterHistoryForPlayer(stateRef.current.actionLog));
-        });
+    function broadcastPatch(entry) {
+        CLIENT_ROLES.forEach(role => syncRole(role, entry));
     }
 
     io.on('connection', socket => {
@@ -40,8 +64,15 @@ function createSocketHandlers({ io, stateRef, dmToken, saveState }) {
         socket.on('auth:register', payload => {
             const requestedRole = payload?.mode === 'dm' ? 'dm' : 'player';
             const role = requestedRole === 'dm' && payload?.token === dmToken ? 'dm' : 'player';
-            clients.set(socket.id, { id: socket.id, role });
-            socket.emit('auth:registered', { role, validDmToken: requestedRole !== 'dm' || role === 'dm' });
+            const account = role === 'player' && payload?.token
+                ? (stateRef.current.playerAccounts || []).find(item => item.token === payload.token)
+                : null;
+            clients.set(socket.id, { id: socket.id, role, playerId: account ? account.id : null });
+            socket.emit('auth:registered', {
+                role,
+                validDmToken: requestedRole !== 'dm' || role === 'dm',
+                player: account ? { id: account.id, name: account.name } : null
+            });
             emitStateTo(socket);
         });
 
@@ -55,7 +86,6 @@ function createSocketHandlers({ io, stateRef, dmToken, saveState }) {
                 if (typeof ack === 'function') ack({ ok: true, entry: sanitizeEntry(entry, client.role) });
                 socket.emit('action:accepted', sanitizeEntry(entry, client.role));
                 broadcastPatch(entry);
-                broadcastHistory();
             } catch (error) {
                 const message = error.message || 'Akce selhala.';
                 if (typeof ack === 'function') ack({ ok: false, error: message });
@@ -63,6 +93,10 @@ function createSocketHandlers({ io, stateRef, dmToken, saveState }) {
             }
         });
 
+        socket.on('state:resync', () => {
+            emitStateTo(socket);
+        });
+
         socket.on('history:list', (_payload, ack) => {
             const client = clientFor(socket);
             const list = client.role === 'dm'
@@ -75,12 +109,11 @@ function createSocketHandlers({ io, stateRef, dmToken, saveState }) {
             const client = clientFor(socket);
             const page = payload?.page || 'combat';
             try {
-                if (!canUseHistory(page, client)) throw new Error('Pro tuto historii nemas opravneni.');
+                if (!canUseHistory(stateRef.current, page, client, historyTarget(stateRef.current, page, 'undo'))) throw new Error('Pro tuto historii nemas opravneni.');
                 const { entry } = undoPage(stateRef.current, page, client);
                 saveState();
                 if (typeof ack === 'function') ack({ ok: true, entry: sanitizeEntry(entry, client.role) });
                 broadcastPatch(entry);
-                broadcastHistory();
             } catch (error) {
                 const message = error.message || 'Undo selhalo.';
                 if (typeof ack === 'function') ack({ ok: false, error: message });
@@ -92,12 +125,11 @@ function createSocketHandlers({ io, stateRef, dmToken, saveState }) {
             const client = clientFor(socket);
             const page = payload?.page || 'combat';
             try {
-                if (!canUseHistory(page, client)) throw new Error('Pro tuto historii nemas opravneni.');
+                if (!canUseHistory(stateRef.current, page, client, historyTarget(stateRef.current, page, 'redo'))) throw new Error('Pro tuto historii nemas opravneni.');
                 const { entry } = redoPage(stateRef.current, page, client);
                 saveState();
                 if (typeof ack === 'function') ack({ ok: true, entry: sanitizeEntry(entry, client.role) });
                 broadcastPatch(entry);
-                broadcastHistory();
             } catch (error) {
                 const message = error.message || 'Redo selhalo.';
                 if (typeof ack === 'function') ack({ ok: false, error: message });
@@ -106,20 +138,29 @@ function createSocketHandlers({ io, stateRef, dmToken, saveState }) {
         });
 
         socket.on('disconnect', () => {
+            const client = clientFor(socket);
             clients.delete(socket.id);
+            if (!socketsForRole(client.role).some(other => other !== socket)) roleStates.delete(client.role);
         });
     });
 }
 
+function stateSlicesForEntry(entry) {
+    const pageSlices = entry ? PAGE_SLICES[entry.page] : null;
+    return pageSlices ? [...pageSlices, ...HISTORY_SLICES] : null;
+}
+
 function sanitizeEntry(entry, role) {
     if (!entry) return entry;
     if (role !== 'dm' && entry.visibility === 'dm') return null;
     const safe = { ...entry };
     delete safe.before;
     delete safe.after;
+    delete safe.patch;
     return safe;
 }
 
 module.exports = {
-    createSocketHandlers
+    createSocketHandlers,
+    stateSlicesForEntry
 };
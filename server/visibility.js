@@ -7,56 +7,71 @@ function filterCharacterForPlayer(character) {
     const visible = clone(character);
     delete visible.monsterData;
     delete visible.monsterAbilities;
+    delete visible.damageResistances;
+    delete visible.damageVulnerabilities;
+    delete visible.damageImmunities;
     visible.currentPower = undefined;
     visible.maxPower = undefined;
     return visible;
 }
 
-function filterStateForClient(state, role) {
-    if (role === 'dm') {
-        return {
-            schemaVersion: state.schemaVersion,
-            characters: clone(state.characters || []),
-            combatState: clone(state.combatState),
-            monsterDatabase: clone(state.monsterDatabase || []),
-            magicItemDatabase: clone(state.magicItemDatabase || []),
-            potionDatabase: clone(state.potionDatabase || []),
-            conditionDatabase: clone(state.conditionDatabase || []),
-            spellDatabase: clone(state.spellDatabase || []),
-            itemDatabase: clone(state.itemDatabase || []),
-            toolbelt: clone(state.toolbelt || {}),
-            actionLog: stripHistorySnapshots(state.actionLog),
-            redoStacks: clone(state.redoStacks || {}),
-            nextSequence: state.nextSequence
-        };
-    }
+function publicCombatState(state) {
+    const { events, ...combatState } = clone(state.combatState);
+    return combatState;
+}
+
+const DM_SLICES = {
+    schemaVersion: state => state.schemaVersion,
+    characters: state => clone(state.characters || []),
+    combatState: publicCombatState,
+    monsterDatabase: state => clone(state.monsterDatabase || []),
+    magicItemDatabase: state => clone(state.magicItemDatabase || []),
+    potionDatabase: state => clone(state.potionDatabase || []),
+    conditionDatabase: state => clone(state.conditionDatabase || []),
+    spellDatabase: state => clone(state.spellDatabase || []),
+    itemDatabase: state => clone(state.itemDatabase || []),
+    toolbelt: state => clone(state.toolbelt || {}),
+    playerAccounts: state => clone(state.playerAccounts || []),
+    encounters: state => clone(state.encounters || []),
+    actionLog: state => stripHistorySnapshots(state.actionLog),
+    redoStacks: state => clone(state.redoStacks || {}),
+    nextSequence: state => state.nextSequence
+};
 
-    return {
-        schemaVersion: state.schemaVersion,
-        characters: state.characters.map(filterCharacterForPlayer).filter(Boolean),
-        combatState: clone(state.combatState),
-        monsterDatabase: [],
-        magicItemDatabase: clone(state.magicItemDatabase || []),
-        potionDatabase: clone(state.potionDatabase || []),
-        conditionDatabase: clone(state.conditionDatabase || []),
-        spellDatabase: clone(state.spellDatabase || []),
-        itemDatabase: [],
-        toolbelt: {
-            diceRolls: clone(state.toolbelt?.diceRolls || {}),
-            improvNames: [],
-            calendar: {
-                weekday: '',
-                day: 0,
-                month: '',
-                year: 0,
-                records: []
-            },
-            notes: []
+const PLAYER_SLICES = {
+    schemaVersion: state => state.schemaVersion,
+    characters: state => state.characters.map(filterCharacterForPlayer).filter(Boolean),
+    combatState: state => ({ ...publicCombatState(state), legendaryPrompt: null, recap: null }),
+    monsterDatabase: () => [],
+    magicItemDatabase: state => clone(state.magicItemDatabase || []),
+    potionDatabase: state => clone(state.potionDatabase || []),
+    conditionDatabase: state => clone(state.conditionDatabase || []),
+    spellDatabase: state => clone(state.spellDatabase || []),
+    itemDatabase: () => [],
+    toolbelt: state => ({
+        diceRolls: clone(state.toolbelt?.diceRolls || {}),
+        improvNames: [],
+        calendar: {
+            weekday: '',
+            day: 0,
+            month: '',
+            year: 0,
+            records: []
         },
-        actionLog: filterHistoryForPlayer(state.actionLog),
-        redoStacks: {},
-        nextSequence: state.nextSequence
-    };
+        notes: []
+    }),
+    playerAccounts: state => (state.playerAccounts || []).map(account => ({ id: account.id, name: account.name })),
+    encounters: () => [],
+    actionLog: state => filterHistoryForPlayer(state.actionLog),
+    redoStacks: () => ({}),
+    nextSequence: state => state.nextSequence
+};
+
+function filterStateForClient(state, role, slices = null) {
+    const builders = role === 'dm' ? DM_SLICES : PLAYER_SLICES;
+    return Object.fromEntries(Object.keys(builders)
+        .filter(key => !slices || slices.includes(key))
+        .map(key => [key, builders[key](state)]));
 }
 
 function filterHistoryForPlayer(actionLog) {
@@ -73,6 +88,7 @@ function stripHistoryEntrySnapshot(entry) {
     const safe = { ...entry };
     delete safe.before;
     delete safe.after;
+    delete safe.patch;
     return safe;
 }
 
@@ -92,6 +92,8 @@ export function App() {
     );
   }
 
+  const playerName = state.playerAccounts?.find(account => account.id === socket.player?.id)?.name || socket.player?.name;
+
   return (
     <DatabaseReferenceProvider state={state}>
       <main className="app-shell">
@@ -101,10 +103,11 @@ export function App() {
           <p>Server-authoritative local Wi-Fi session companion</p>
         </div>
         <div className="status-stack">
-          <span className={`pill ${isDM ? 'dm' : 'player'}`}>{isDM ? 'DM View' : 'Player View'}</span>
+          <span className={`pill ${isDM ? 'dm' : 'player'}`}>{isDM ? 'DM View' : playerName ? `Player View: ${playerName}` : 'Player View'}</span>
           <span className={`connection ${socket.connected ? 'ok' : 'bad'}`}>{socket.connected ? 'Connected' : 'Disconnected'}</span>
           {isDM && <button className="btn success small" onClick={socket.autosave}>Autosave</button>}
           {socket.invalidDmToken && <span className="warning-text">DM token invalid - player mode active</span>}
+          {socket.invalidPlayerToken && <span className="warning-text">Player link invalid - shared characters only</span>}
         </div>
       </header>
 
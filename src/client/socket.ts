@@ -1,5 +1,6 @@
 import { io, Socket } from 'socket.io-client';
-import type { ActionLogEntry, ClientRole, GameAction, GameState, PageScope } from '../shared/types';
+import type { ActionLogEntry, ClientRole, GameAction, GameState, PageScope, PlayerAccount } from '../shared/types';
+import { applyStatePatch, type StatePatchMessage } from './statePatch';
 
 export interface SocketClient {
   socket: Socket;
@@ -11,27 +12,44 @@ export interface SocketClient {
 export function connectSocket(params: {
   mode: ClientRole;
   token: string | null;
-  onRegistered: (role: ClientRole, validDmToken: boolean) => void;
+  onRegistered: (role: ClientRole, validDmToken: boolean, player: PlayerAccount | null) => void;
   onState: (state: GameState) => void;
   onHistory: (log: ActionLogEntry[]) => void;
   onError: (message: string) => void;
 }): SocketClient {
   const socket = io();
+  let current: GameState | null = null;
+  let resyncPending = false;
+
+  function receiveState(state: GameState) {
+    current = state;
+    params.onState(state);
+  }
 
   socket.on('connect', () => {
     socket.emit('auth:register', { mode: params.mode, token: params.token });
   });
 
-  socket.on('auth:registered', (payload: { role: ClientRole; validDmToken: boolean }) => {
-    params.onRegistered(payload.role, payload.validDmToken);
+  socket.on('auth:registered', (payload: { role: ClientRole; validDmToken: boolean; player?: PlayerAccount | null }) => {
+    params.onRegistered(payload.role, payload.validDmToken, payload.player || null);
   });
 
   socket.on('state:init', (state: GameState) => {
-    params.onState(state);
+    resyncPending = false;
+    receiveState(state);
   });
 
-  socket.on('state:patch', (payload: { state: GameState }) => {
-    params.onState(payload.state);
+  socket.on('state:patch', (payload: StatePatchMessage<GameState>) => {
+    if (payload.state) {
+      receiveState(payload.state);
+      return;
+    }
+    if (!current || payload.baseSequence !== current.nextSequence) {
+      if (!resyncPending) socket.emit('state:resync');
+      resyncPending = true;
+      return;
+    }
+    receiveState(applyStatePatch(current, payload.patch || []));
   });
 
   socket.on('history:updated', (log: ActionLogEntry[]) => {
@@ -0,0 +1,64 @@
+export type PatchPathSegment = string | number | { id: string; index?: number };
+
+export interface StatePatchOperation {
+  op: 'add' | 'remove' | 'replace' | 'reorder';
+  path: PatchPathSegment[];
+  value?: unknown;
+  order?: string[];
+}
+
+export interface StatePatchMessage<T> {
+  baseSequence?: number;
+  sequence: number;
+  patch?: StatePatchOperation[];
+  state?: T;
+}
+
+export function applyStatePatch<T>(document: T, patch: StatePatchOperation[]): T {
+  return patch.reduce<unknown>((current, op) => updateAt(current, op.path, op), document) as T;
+}
+
+function updateAt(container: unknown, path: PatchPathSegment[], op: StatePatchOperation): unknown {
+  if (path.length === 0) {
+    if (op.op === 'reorder') return Array.isArray(container) ? reorderById(container, op.order || []) : container;
+    return op.op === 'remove' ? null : op.value;
+  }
+  if (container === null || typeof container !== 'object') return container;
+
+  const [segment, ...rest] = path;
+  const last = rest.length === 0 && op.op !== 'reorder';
+
+  if (Array.isArray(container)) {
+    const keyed = segment !== null && typeof segment === 'object';
+    const index = keyed ? container.findIndex(item => (item as { id?: string } | null)?.id === segment.id) : Number(segment);
+    const copy = [...container];
+    if (last && op.op === 'add') {
+      if (keyed && index >= 0) copy[index] = op.value;
+      else copy.splice(Math.min(keyed ? segment.index ?? copy.length : index, copy.length), 0, op.value);
+      return copy;
+    }
+    if (index < 0 || index >= copy.length) return container;
+    if (last && op.op === 'remove') copy.splice(index, 1);
+    else copy[index] = last ? op.value : updateAt(copy[index], rest, op);
+    return copy;
+  }
+
+  const record = container as Record<string, unknown>;
+  const key = String(segment);
+  if (last) {
+    const copy = { ...record };
+    if (op.op === 'remove') delete copy[key];
+    else copy[key] = op.value;
+    return copy;
+  }
+  if (!(key in record)) return container;
+  return { ...record, [key]: updateAt(record[key], rest, op) };
+}
+
+function reorderById(items: unknown[], order: string[]) {
+  const rank = new Map(order.map((id, index) => [id, index]));
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (rank.get((a.item as { id?: string } | null)?.id ?? '') ?? order.length + a.index) - (rank.get((b.item as { id?: string } | null)?.id ?? '') ?? order.length + b.index))
+    .map(entry => entry.item);
+}
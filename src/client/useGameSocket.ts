@@ -1,6 +1,6 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { connectSocket, type SocketClient } from './socket';
-import type { ActionLogEntry, ClientRole, GameAction, GameState, PageScope } from '../shared/types';
+import type { ActionLogEntry, ClientRole, GameAction, GameState, PageScope, PlayerAccount } from '../shared/types';
 
 export function useGameSocket() {
   const params = useMemo(() => new URLSearchParams(window.location.search), []);
@@ -9,6 +9,8 @@ export function useGameSocket() {
   const [role, setRole] = useState<ClientRole>('player');
   const [connected, setConnected] = useState(false);
   const [invalidDmToken, setInvalidDmToken] = useState(false);
+  const [player, setPlayer] = useState<PlayerAccount | null>(null);
+  const [invalidPlayerToken, setInvalidPlayerToken] = useState(false);
   const [state, setState] = useState<GameState | null>(null);
   const [history, setHistory] = useState<ActionLogEntry[]>([]);
   const [toast, setToast] = useState<string | null>(null);
@@ -18,9 +20,11 @@ export function useGameSocket() {
     const client = connectSocket({
       mode: requestedMode,
       token,
-      onRegistered(nextRole, validDmToken) {
+      onRegistered(nextRole, validDmToken, nextPlayer) {
         setRole(nextRole);
         setInvalidDmToken(!validDmToken);
+        setPlayer(nextPlayer);
+        setInvalidPlayerToken(requestedMode === 'player' && Boolean(token) && !nextPlayer);
       },
       onState(nextState) {
         setState(nextState);
@@ -88,6 +92,8 @@ export function useGameSocket() {
     role,
     connected,
     invalidDmToken,
+    player,
+    invalidPlayerToken,
     state,
     history,
     toast,
@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import type { Character, GameAction } from '../shared/types';
+
+interface Props {
+  character: Character;
+  canEdit: boolean;
+  isDM: boolean;
+  submitAction: (action: GameAction) => Promise<unknown>;
+}
+
+const LIFE_STATE_LABELS: Record<string, string> = {
+  dying: 'Dying',
+  stable: 'Stable',
+  dead: 'Dead'
+};
+
+export function DeathSaves({ character, canEdit, isDM, submitAction }: Props) {
+  const [roll, setRoll] = useState('');
+  const lifeState = character.lifeState || 'alive';
+  if (lifeState === 'alive') return null;
+  const successes = character.deathSaves?.successes || 0;
+  const failures = character.deathSaves?.failures || 0;
+
+  async function rollSave() {
+    await submitAction({ type: 'character.deathSave.roll', payload: { characterId: character.id, roll: roll === '' ? null : Number(roll) } });
+    setRoll('');
+  }
+
+  return (
+    <div className={`death-saves ${lifeState}`} role="group" aria-label={`${character.name} death saves`}>
+      <span className="type-pill">{LIFE_STATE_LABELS[lifeState]}</span>
+      {lifeState === 'dying' && (
+        <>
+          <span className="death-save-track" aria-label={`${successes} successes`}>
+            {[0, 1, 2].map(index => <span key={index} className={`feature-box success ${index < successes ? 'used' : ''}`} />)}
+          </span>
+          <span className="death-save-track" aria-label={`${failures} failures`}>
+            {[0, 1, 2].map(index => <span key={index} className={`feature-box failure ${index < failures ? 'used' : ''}`} />)}
+          </span>
+        </>
+      )}
+      {canEdit && lifeState === 'dying' && (
+        <>
+          <input className="tiny-input" value={roll} onChange={event => setRoll(event.target.value)} type="number" min={1} max={20} placeholder="d20" aria-label="Death save d20" />
+          <button className="btn purple small" onClick={rollSave}>{roll === '' ? 'Roll death save' : 'Record death save'}</button>
+          <button className="btn success small" onClick={() => submitAction({ type: 'character.stabilize', payload: { characterId: character.id } })}>Stabilize</button>
+        </>
+      )}
+      {isDM && lifeState === 'dead' && (
+        <button className="btn success small" onClick={() => submitAction({ type: 'character.revive', payload: { characterId: character.id, hp: 1 } })}>Revive</button>
+      )}
+    </div>
+  );
+}
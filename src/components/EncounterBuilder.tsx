@@ -0,0 +1,207 @@
+import { useState } from 'react';
+import type { Character, Encounter, EncounterMonster, EncounterWave, GameAction, MonsterDatabaseEntry } from '../shared/types';
+import { characterLevel, encounterSummary, monsterXp } from '../shared/encounters';
+import { SearchPicker } from './SearchPicker';
+
+interface Props {
+  encounters: Encounter[];
+  monsters: MonsterDatabaseEntry[];
+  party: Character[];
+  submitAction: (action: GameAction) => Promise<unknown>;
+}
+
+const DIFFICULTY_LABELS = {
+  trivial: 'Trivial',
+  easy: 'Easy',
+  medium: 'Medium',
+  hard: 'Hard',
+  deadly: 'Deadly'
+};
+
+export function EncounterBuilder({ encounters, monsters, party, submitAction }: Props) {
+  const [encounterId, setEncounterId] = useState('');
+  const [name, setName] = useState('');
+  const [notes, setNotes] = useState('');
+  const [lair, setLair] = useState(false);
+  const [groups, setGroups] = useState<EncounterMonster[]>([]);
+  const [waves, setWaves] = useState<EncounterWave[]>([]);
+  const [stage, setStage] = useState('');
+  const [levels, setLevels] = useState<Record<string, string>>({});
+  const [search, setSearch] = useState('');
+  const [hpMode, setHpMode] = useState('average');
+  const partyLevels = party.map(character => Number(levels[character.id] ?? characterLevel(character)) || 1);
+  const summary = encounterSummary([...groups, ...waves.flatMap(wave => wave.monsters)], monsters, partyLevels);
+  const saved = encounters.find(encounter => encounter.id === encounterId) || null;
+  const draft = { name: name.trim() || 'Encounter', notes, lair, monsters: groups, waves };
+  const dirty = !saved || JSON.stringify({ name: saved.name, notes: saved.notes, lair: saved.lair, monsters: saved.monsters, waves: saved.waves }) !== JSON.stringify(draft);
+  const stageWave = waves.find(wave => wave.id === stage) || null;
+  const stageGroups = stageWave ? stageWave.monsters : groups;
+
+  function loadEncounter(id: string) {
+    const encounter = encounters.find(item => item.id === id);
+    setEncounterId(id);
+    setName(encounter?.name || '');
+    setNotes(encounter?.notes || '');
+    setLair(Boolean(encounter?.lair));
+    setGroups(encounter ? encounter.monsters.map(group => ({ ...group })) : []);
+    setWaves(encounter ? encounter.waves.map(wave => ({ ...wave, monsters: wave.monsters.map(group => ({ ...group })) })) : []);
+    setStage('');
+  }
+
+  function updateStage(update: (current: EncounterMonster[]) => EncounterMonster[]) {
+    if (stageWave) setWaves(current => current.map(wave => wave.id === stageWave.id ? { ...wave, monsters: update(wave.monsters) } : wave));
+    else setGroups(update);
+  }
+
+  function addMonster(monster: MonsterDatabaseEntry) {
+    updateStage(current => current.some(group => group.monsterId === monster.id)
+      ? current.map(group => group.monsterId === monster.id ? { ...group, count: group.count + 1 } : group)
+      : [...current, { monsterId: monster.id, count: 1, groupName: '', revealed: false }]);
+    setSearch('');
+  }
+
+  function updateGroup(monsterId: string, changes: Partial<EncounterMonster>) {
+    updateStage(current => current.map(group => group.monsterId === monsterId ? { ...group, ...changes } : group));
+  }
+
+  function setCount(monsterId: string, count: number) {
+    if (count > 0) updateGroup(monsterId, { count });
+    else updateStage(current => current.filter(group => group.monsterId !== monsterId));
+  }
+
+  function addWave() {
+    const wave = { id: `wave-${Date.now()}`, name: `Wave ${waves.length + 1}`, monsters: [] };
+    setWaves(current => [...current, wave]);
+    setStage(wave.id);
+  }
+
+  function removeWave(waveId: string) {
+    setWaves(current => current.filter(wave => wave.id !== waveId));
+    setStage('');
+  }
+
+  async function saveEncounter() {
+    const id = encounterId || `encounter-${Date.now()}`;
+    await submitAction({ type: 'encounter.upsert', payload: { encounter: { id, ...draft } } });
+    setEncounterId(id);
+  }
+
+  async function removeEncounter() {
+    if (!saved || !window.confirm(`Delete encounter ${saved.name}?`)) return;
+    await submitAction({ type: 'encounter.remove', payload: { encounterId: saved.id } });
+    loadEncounter('');
+  }
+
+  return (
+    <div className="stack compact-stack" data-testid="encounter-builder">
+      <div className="form-grid">
+        <select value={encounterId} onChange={event => loadEncounter(event.target.value)} aria-label="Saved encounter">
+          <option value="">New encounter</option>
+          {encounters.map(encounter => <option key={encounter.id} value={encounter.id}>{encounter.name}</option>)}
+        </select>
+        <input value={name} onChange={event => setName(event.target.value)} placeholder="Encounter name" aria-label="Encounter name" />
+      </div>
+      <textarea value={notes} onChange={event => setNotes(event.target.value)} placeholder="Encounter notes" aria-label="Encounter notes" rows={2} />
+      <label className="inline-check">
+        <input type="checkbox" checked={lair} onChange={event => setLair(event.target.checked)} />
+        Fought in lair (lair actions)
+      </label>
+
+      <div className="button-row">
+        {party.length === 0 && <p className="empty">No player characters in combat.</p>}
+        {party.map((character, index) => (
+          <label key={character.id} className="inline-check">
+            {character.name} lvl
+            <input
+              className="tiny-input"
+              value={levels[character.id] ?? String(partyLevels[index])}
+              onChange={event => setLevels(current => ({ ...current, [character.id]: event.target.value }))}
+              type="number"
+              min={1}
+              max={20}
+              aria-label={`${character.name} level`}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="input-action-row">
+        <select value={stage} onChange={event => setStage(event.target.value)} aria-label="Add monsters to">
+          <option value="">Initial monsters</option>
+          {waves.map(wave => <option key={wave.id} value={wave.id}>{wave.name}</option>)}
+        </select>
+        <button className="btn" onClick={addWave}>Add wave</button>
+      </div>
+      {stageWave && (
+        <div className="input-action-row">
+          <input value={stageWave.name} onChange={event => setWaves(current => current.map(wave => wave.id === stageWave.id ? { ...wave, name: event.target.value } : wave))} aria-label="Wave name" />
+          <button className="btn danger" onClick={() => removeWave(stageWave.id)}>Remove wave</button>
+        </div>
+      )}
+
+      <SearchPicker
+        items={monsters}
+        query={search}
+        onQueryChange={setSearch}
+        onSelect={addMonster}
+        placeholder="Search monsters to add"
+        getId={monster => monster.id}
+        getLabel={monster => monster.name}
+        getMeta={monster => `CR ${monster.challenge || '-'} | ${monsterXp(monster)} XP`}
+      />
+
+      {stageGroups.length === 0 && <p className="empty">No monsters in {stageWave ? stageWave.name : 'the initial setup'}.</p>}
+      {stageGroups.map(group => {
+        const monster = monsters.find(item => item.id === group.monsterId);
+        const label = monster?.name || 'Monster';
+        return (
+          <div key={group.monsterId} className="input-action-row">
+            <strong>{monster?.name || 'Missing monster'}</strong>
+            <input className="tiny-input" value={group.count} onChange={event => setCount(group.monsterId, Number(event.target.value) || 0)} type="number" min={0} aria-label={`${label} count`} />
+            <input value={group.groupName} onChange={event => updateGroup(group.monsterId, { groupName: event.target.value })} placeholder="Group" aria-label={`${label} group`} />
+            <label className="inline-check">
+              <input type="checkbox" checked={group.revealed} onChange={event => updateGroup(group.monsterId, { revealed: event.target.checked })} aria-label={`${label} revealed`} />
+              Revealed
+            </label>
+            <span className="type-pill">{monster ? monsterXp(monster) * group.count : 0} XP</span>
+          </div>
+        );
+      })}
+
+      <div className="button-row">
+        <span className="type-pill">Easy {summary.thresholds.easy}</span>
+        <span className="type-pill">Medium {summary.thresholds.medium}</span>
+        <span className="type-pill">Hard {summary.thresholds.hard}</span>
+        <span className="type-pill">Deadly {summary.thresholds.deadly}</span>
+      </div>
+      <p data-testid="encounter-summary">
+        {summary.baseXp} XP x{summary.multiplier} = <strong>{summary.adjustedXp} adjusted XP</strong> ({DIFFICULTY_LABELS[summary.difficulty]})
+      </p>
+
+      <div className="button-row">
+        <button className="btn success" onClick={saveEncounter} disabled={summary.monsterCount === 0}>Save encounter</button>
+        <select value={hpMode} onChange={event => setHpMode(event.target.value)} aria-label="Encounter monster HP">
+          <option value="average">Average HP</option>
+          <option value="rolled">Roll HP per copy</option>
+          <option value="max">Max HP</option>
+        </select>
+        <button className="btn warning" onClick={() => saved && submitAction({ type: 'encounter.deploy', payload: { encounterId: saved.id, hpMode } })} disabled={!saved || dirty}>Deploy to combat</button>
+        {saved && <button className="btn danger" onClick={removeEncounter}>Delete</button>}
+      </div>
+      {saved && saved.waves.length > 0 && (
+        <div className="button-row">
+          {saved.waves.map(wave => (
+            <button
+              key={wave.id}
+              className="btn warning"
+              onClick={() => submitAction({ type: 'encounter.wave.trigger', payload: { encounterId: saved.id, waveId: wave.id, hpMode } })}
+              disabled={wave.monsters.length === 0}
+            >
+              Trigger {wave.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
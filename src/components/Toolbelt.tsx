@@ -1,7 +1,7 @@
 import { FormEvent, useMemo, useState } from 'react';
 import { Modal } from './Modal';
 import { MarkdownEditor, MarkdownRenderer } from './Markdown';
-import type { AbilityKey, CalendarRecord, ClientRole, GameAction, GameState, ToolbeltNote } from '../shared/types';
+import type { AbilityKey, ActionLogEntry, CalendarRecord, ClientRole, DiceHistoryEntry, GameAction, GameState, ToolbeltNote } from '../shared/types';
 import {
   ABILITIES,
   SKILLS,
@@ -12,7 +12,7 @@ import {
   signed,
   skillBonus
 } from '../shared/characterSheet';
-import { type DiceRollMode, type DiceRollResult, rollDiceExpression } from '../shared/dice';
+import type { DiceRollMode } from '../shared/dice';
 
 interface Props {
   role: ClientRole;
@@ -174,27 +174,22 @@ function DiceRollerModal({ state, submitAction, onClose }: { state: GameState; s
   const [mode, setMode] = useState<DiceRollMode>('normal');
   const [rerollOnes, setRerollOnes] = useState(false);
   const [error, setError] = useState('');
+  const [lastRoll, setLastRoll] = useState<DiceHistoryEntry | null>(null);
   const entries = useMemo(() => Object.values(state.toolbelt?.diceRolls || {}).flat().sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp))), [state.toolbelt?.diceRolls]);
 
   async function submit(event: FormEvent) {
     event.preventDefault();
-    try {
-      const result = rollDiceExpression(expression, { mode, rerollOnes });
-      await submitAction({
-        type: 'toolbelt.dice.add',
-        page: 'toolbelt',
-        payload: {
-          expression: result.normalized,
-          total: result.total,
-          detail: describeDiceResult(result),
-          mode,
-          rerollOnes
-        }
-      });
-      setError('');
-    } catch (err) {
-      setError(err instanceof Error ? err.message : 'Could not roll that expression.');
+    const ack = await submitAction({
+      type: 'toolbelt.dice.add',
+      page: 'toolbelt',
+      payload: { expression, mode, rerollOnes }
+    }) as { ok?: boolean; error?: string; entry?: ActionLogEntry | null } | undefined;
+    if (ack && ack.ok === false) {
+      setError(ack.error || 'Could not roll that expression.');
+      return;
     }
+    setLastRoll(ack?.entry?.result ? ack.entry.result as DiceHistoryEntry : null);
+    setError('');
   }
 
   return (
@@ -222,6 +217,15 @@ function DiceRollerModal({ state, submitAction, onClose }: { state: GameState; s
           <button className="btn success" type="submit">Roll</button>
         </form>
         {error && <p className="warning-text">{error}</p>}
+        {lastRoll && (
+          <div className="dice-log-entry dice-last-roll" aria-label="Last roll">
+            <div className="dice-log-summary">
+              <strong>{lastRoll.expression}</strong>
+              <b>{lastRoll.total}</b>
+            </div>
+            <p>{lastRoll.detail}</p>
+          </div>
+        )}
 
         <div className="dice-log" aria-label="Dice log">
           {entries.length === 0 && <p className="empty">No rolls yet.</p>}
@@ -572,13 +576,6 @@ function calendarCells(year: number, monthIndex: number) {
   ];
 }
 
-function describeDiceResult(result: DiceRollResult) {
-  return result.terms.map(term => {
-    if (!term.dice) return `${term.sign < 0 ? '-' : '+'}${term.notation}: ${term.constant}`;
-    return `${term.sign < 0 ? '-' : '+'}${term.notation}: ${term.dice.map(die => `${die.kept}${die.rolls.length > 1 ? ` (${die.rolls.join('/')})` : ''}${die.rerolledOnes.length ? ` rerolled to ${die.rerolledOnes.join('/')}` : ''}`).join(', ')}`;
-  }).join(' | ').replace(/^\+/, '');
-}
-
 function rollD20(mode: DiceRollMode) {
   const first = Math.floor(Math.random() * 20) + 1;
   if (mode === 'normal') return first;
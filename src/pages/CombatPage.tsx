@@ -1,11 +1,17 @@
 import { ChangeEvent, FormEvent, useMemo, useRef, useState } from 'react';
-import type { Character, ClientRole, GameAction, GameState, MonsterDatabaseEntry } from '../shared/types';
-import { effectToString, hpClass, monsterHealthLabel } from '../shared/defaults';
+import type { AbilityKey, Character, ClientRole, CombatRecap, Effect, EffectDurationUnit, GameAction, GameState, MonsterDatabaseEntry, MonsterTextEntry } from '../shared/types';
+import { DAMAGE_TYPES, effectDurationLabel, effectToString, hpClass, monsterHealthLabel, parseDamageTypes } from '../shared/defaults';
 import { CollapsiblePanelGroup } from '../components/CollapsiblePanel';
+import { DeathSaves } from '../components/DeathSaves';
+import { EncounterBuilder } from '../components/EncounterBuilder';
 import { MarkdownRenderer } from '../components/Markdown';
 import { Modal } from '../components/Modal';
 import { SearchPicker } from '../components/SearchPicker';
-import { ABILITIES, armorClass } from '../shared/characterSheet';
+import { ABILITIES, armorClass, creatureSaveBonus, initiativeBreakdown, signed } from '../shared/characterSheet';
+import { legendaryActionCost, legendaryActionName } from '../shared/monsterParser';
+import { CHALLENGE_RATINGS, challengeLabel, scaleMonsterToChallenge } from '../shared/monsterScaling';
+import { challengeRating } from '../shared/encounters';
+import { combatRecapMarkdown, knockoutLine, spentResources } from '../shared/combatRecap';
 
 interface Props {
   state: GameState;
@@ -20,10 +26,16 @@ export function CombatPage({ state, role, submitAction, onOpenSpells, onOpenInve
   const isDM = role === 'dm';
   const current = state.characters[state.combatState.currentTurn];
   const [effectCharacterId, setEffectCharacterId] = useState<string | null>(null);
+  const [surprisedIds, setSurprisedIds] = useState<string[]>([]);
   const combatFileInputRef = useRef<HTMLInputElement | null>(null);
   const effectCharacter = state.characters.find(character => String(character.id) === effectCharacterId) || null;
   const combatCharacters = state.characters.filter(character => character.type === 'monster' || character.activeInCombat !== false);
 
+  async function startCombat() {
+    await submitAction({ type: 'combat.start', payload: { surprisedIds: surprisedIds.filter(id => combatCharacters.some(character => character.id === id)) } });
+    setSurprisedIds([]);
+  }
+
   function saveCombatData() {
     const payload = {
       schemaVersion: state.schemaVersion,
@@ -76,7 +88,32 @@ export function CombatPage({ state, role, submitAction, onOpenSpells, onOpenInve
               title: 'Add monster from database',
               summary: 'Search saved monsters.',
               content: <AddMonsterFromDatabase monsters={state.monsterDatabase} submitAction={submitAction} />
-            }] : [])
+            }] : []),
+            {
+              id: 'encounter-builder',
+              title: 'Encounter builder',
+              summary: 'XP budget and saved encounters.',
+              content: (
+                <EncounterBuilder
+                  encounters={state.encounters || []}
+                  monsters={state.monsterDatabase}
+                  party={combatCharacters.filter(character => character.type === 'player')}
+                  submitAction={submitAction}
+                />
+              )
+            },
+            {
+              id: 'monster-groups',
+              title: 'Monster groups',
+              summary: 'Shared initiative, group damage and reveal.',
+              content: <GroupManager characters={combatCharacters.filter(character => character.type === 'monster' && !character.lair)} submitAction={submitAction} />
+            },
+            {
+              id: 'area-effect',
+              title: 'Area effect',
+              summary: 'Damage or heal several combatants.',
+              content: <AreaEffectForm characters={combatCharacters.filter(character => !character.lair)} submitAction={submitAction} />
+            }
           ]}
         />
       )}
@@ -93,7 +130,7 @@ export function CombatPage({ state, role, submitAction, onOpenSpells, onOpenInve
           </div>
           {isDM && (
             <div className="button-row">
-              {!state.combatState.active && <button className="btn success" onClick={() => submitAction({ type: 'combat.start' })}>Start combat</button>}
+              {!state.combatState.active && <button className="btn success" onClick={startCombat}>Start combat</button>}
               {state.combatState.active && <button className="btn warning" onClick={() => submitAction({ type: 'combat.previousTurn' })}>Previous</button>}
               {state.combatState.active && <button className="btn warning" onClick={() => submitAction({ type: 'combat.nextTurn' })}>Next turn</button>}
               {state.combatState.active && <button className="btn danger" onClick={() => submitAction({ type: 'combat.end' })}>End</button>}
@@ -106,14 +143,48 @@ export function CombatPage({ state, role, submitAction, onOpenSpells, onOpenInve
             </div>
           )}
         </div>
-        {state.combatState.active && <InitiativeLine characters={state.characters} currentTurn={state.combatState.currentTurn} played={state.combatState.playedThisRound} />}
+        {isDM && !state.combatState.active && combatCharacters.length > 0 && (
+          <div className="button-row">
+            <span>Surprised:</span>
+            {combatCharacters.filter(character => !character.lair).map(character => (
+              <label key={character.id} className="inline-check">
+                <input
+                  type="checkbox"
+                  checked={surprisedIds.includes(character.id)}
+                  onChange={event => setSurprisedIds(current => event.target.checked ? [...current, character.id] : current.filter(id => id !== character.id))}
+                  aria-label={`${character.name} surprised`}
+                />
+                {character.name}
+              </label>
+            ))}
+          </div>
+        )}
+        {state.combatState.active && <InitiativeLine characters={state.characters} currentTurn={state.combatState.currentTurn} played={state.combatState.playedThisRound} showHp={isDM} />}
+        {isDM && state.combatState.active && state.combatState.legendaryPrompt && (
+          <LegendaryPrompt characters={state.characters} prompt={state.combatState.legendaryPrompt} submitAction={submitAction} />
+        )}
       </section>
 
+      {isDM && !state.combatState.active && state.combatState.recap && <CombatRecapView recap={state.combatState.recap} submitAction={submitAction} />}
+
       <section className="section">
         <h2>Characters and monsters</h2>
         <div className="character-grid">
           {combatCharacters.map((character) => {
             const index = state.characters.findIndex(item => item.id === character.id);
+            if (character.lair) {
+              return (
+                <LairCard
+                  key={character.id}
+                  lair={character}
+                  characters={state.characters}
+                  isDM={isDM}
+                  round={state.combatState.round}
+                  active={state.combatState.active && index === state.combatState.currentTurn}
+                  submitAction={submitAction}
+                />
+              );
+            }
             return (
             <CharacterCard
               key={character.id}
@@ -123,6 +194,7 @@ export function CombatPage({ state, role, submitAction, onOpenSpells, onOpenInve
               conditions={state.conditionDatabase || []}
               active={state.combatState.active && index === state.combatState.currentTurn}
               played={state.combatState.active && state.combatState.playedThisRound.includes(index)}
+              inCombat={state.combatState.active}
               submitAction={submitAction}
               onOpenEffects={() => setEffectCharacterId(String(character.id))}
               onOpenSpells={() => onOpenSpells(String(character.id))}
@@ -137,7 +209,9 @@ export function CombatPage({ state, role, submitAction, onOpenSpells, onOpenInve
         <EffectModal
           character={effectCharacter}
           canEdit={isDM || effectCharacter.type === 'player'}
+          canEditDefenses={isDM}
           conditions={state.conditionDatabase || []}
+          characters={state.characters}
           submitAction={submitAction}
           onClose={() => setEffectCharacterId(null)}
         />
@@ -146,6 +220,53 @@ export function CombatPage({ state, role, submitAction, onOpenSpells, onOpenInve
   );
 }
 
+function CombatRecapView({ recap, submitAction }: { recap: CombatRecap; submitAction: Props['submitAction'] }) {
+  const date = recap.endedAt.slice(0, 10);
+
+  return (
+    <section className="section" data-testid="combat-recap">
+      <div className="section-title-row">
+        <div>
+          <h2>Combat recap</h2>
+          <p>{recap.rounds} {recap.rounds === 1 ? 'round' : 'rounds'}, {recap.knockouts.length} KO</p>
+        </div>
+        <button
+          className="btn"
+          onClick={() => submitAction({ type: 'toolbelt.note.upsert', page: 'toolbelt', payload: { date, title: `Combat recap ${date}`, text: combatRecapMarkdown(recap, `Combat recap ${date}`) } })}
+        >
+          Export to Notepad
+        </button>
+      </div>
+      <div className="recap-table">
+        <div className="recap-header">
+          <span>Combatant</span>
+          <span>Dealt</span>
+          <span>Taken</span>
+          <span>Healed</span>
+          <span>KOs</span>
+        </div>
+        {recap.combatants.map(combatant => (
+          <div className="recap-row" key={combatant.id} data-testid={`recap-${combatant.id}`}>
+            <div>
+              <strong>{combatant.name}</strong>
+              {spentResources(combatant).length > 0 && <span>{spentResources(combatant).join(', ')}</span>}
+            </div>
+            <b>{combatant.damageDealt}</b>
+            <b>{combatant.damageTaken}</b>
+            <b>{combatant.healingDone}</b>
+            <b>{combatant.knockouts}</b>
+          </div>
+        ))}
+      </div>
+      {recap.knockouts.map(knockout => (
+        <p key={`${knockout.round}-${knockout.targetId}`}>
+          {knockoutLine(knockout)}
+        </p>
+      ))}
+    </section>
+  );
+}
+
 function AddCharacterForm({ submitAction }: { submitAction: Props['submitAction'] }) {
   const [form, setForm] = useState({
     name: '',
@@ -200,14 +321,213 @@ function AddCharacterForm({ submitAction }: { submitAction: Props['submitAction'
   );
 }
 
+function GroupManager({ characters, submitAction }: { characters: Character[]; submitAction: Props['submitAction'] }) {
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [name, setName] = useState('');
+  const groups = characters.reduce<Array<{ id: string; name: string; members: Character[] }>>((result, character) => {
+    if (!character.groupId) return result;
+    const group = result.find(item => item.id === character.groupId);
+    if (group) group.members.push(character);
+    else result.push({ id: character.groupId, name: character.groupName || 'Group', members: [character] });
+    return result;
+  }, []);
+
+  async function createGroup() {
+    const characterIds = selectedIds.filter(id => characters.some(character => character.id === id));
+    if (characterIds.length === 0) return;
+    await submitAction({ type: 'combat.group.create', payload: { characterIds, name: name.trim() } });
+    setSelectedIds([]);
+    setName('');
+  }
+
+  return (
+    <div className="stack compact-stack">
+      {characters.length === 0 && <p className="empty">No monsters in combat.</p>}
+      <div className="button-row">
+        {characters.map(character => (
+          <label key={character.id} className="inline-check">
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(character.id)}
+              onChange={event => setSelectedIds(current => event.target.checked ? [...current, character.id] : current.filter(id => id !== character.id))}
+            />
+            {character.name}{character.groupName ? ` (${character.groupName})` : ''}
+          </label>
+        ))}
+      </div>
+      <div className="input-action-row">
+        <input value={name} onChange={event => setName(event.target.value)} placeholder="Group name" aria-label="New group name" />
+        <button className="btn success" onClick={createGroup} disabled={selectedIds.length === 0}>Create group</button>
+      </div>
+      {groups.map(group => <GroupControls key={group.id} group={group} groups={groups} submitAction={submitAction} />)}
+    </div>
+  );
+}
+
+function GroupControls({
+  group,
+  groups,
+  submitAction
+}: {
+  group: { id: string; name: string; members: Character[] };
+  groups: Array<{ id: string; name: string }>;
+  submitAction: Props['submitAction'];
+}) {
+  const [name, setName] = useState(group.name);
+  const [mergeInto, setMergeInto] = useState('');
+  const [damage, setDamage] = useState('');
+  const [damageType, setDamageType] = useState('');
+  const others = groups.filter(item => item.id !== group.id);
+  const living = group.members.filter(character => character.lifeState !== 'dead');
+
+  async function damageGroup() {
+    const amount = Math.abs(Number(damage));
+    if (!amount || living.length === 0) return;
+    await submitAction({
+      type: 'character.adjustHpBatch',
+      payload: { amount: -amount, damageType: damageType || null, save: null, targets: living.map(character => ({ characterId: character.id })) }
+    });
+    setDamage('');
+  }
+
+  return (
+    <div className="stack compact-stack" role="group" aria-label={`${group.name} group controls`}>
+      <div className="input-action-row">
+        <input value={name} onChange={event => setName(event.target.value)} aria-label={`${group.name} group name`} />
+        <button className="btn small" onClick={() => submitAction({ type: 'combat.group.rename', payload: { groupId: group.id, name: name.trim() } })} disabled={!name.trim() || name.trim() === group.name}>Rename</button>
+        <button className="btn warning small" onClick={() => submitAction({ type: 'combat.group.reveal', payload: { groupId: group.id } })} disabled={group.members.every(character => character.revealedToPlayers)}>Reveal group</button>
+      </div>
+      <div className="button-row">
+        {group.members.map(character => (
+          <span key={character.id} className="type-pill">
+            {character.name} {character.currentHp}/{character.maxHp}
+            <button className="btn small" onClick={() => submitAction({ type: 'combat.group.split', payload: { characterIds: [character.id] } })} aria-label={`Split ${character.name} from ${group.name}`}>Split</button>
+          </span>
+        ))}
+      </div>
+      {others.length > 0 && (
+        <div className="input-action-row">
+          <select value={mergeInto} onChange={event => setMergeInto(event.target.value)} aria-label={`Merge ${group.name} into`}>
+            <option value="">Merge into...</option>
+            {others.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+          </select>
+          <button className="btn small" onClick={() => mergeInto && submitAction({ type: 'combat.group.merge', payload: { groupId: group.id, targetGroupId: mergeInto } })} disabled={!mergeInto}>Merge</button>
+        </div>
+      )}
+      <div className="input-action-row">
+        <input value={damage} onChange={event => setDamage(event.target.value)} type="number" min={1} placeholder="Damage" aria-label={`${group.name} group damage`} />
+        <DamageTypeSelect value={damageType} onChange={setDamageType} />
+        <button className="btn danger small" onClick={damageGroup} disabled={living.length === 0}>Damage group</button>
+      </div>
+    </div>
+  );
+}
+
+function AreaEffectForm({ characters, submitAction }: { characters: Character[]; submitAction: Props['submitAction'] }) {
+  const [targetIds, setTargetIds] = useState<string[]>([]);
+  const [mode, setMode] = useState<'damage' | 'healing'>('damage');
+  const [amount, setAmount] = useState('');
+  const [damageType, setDamageType] = useState('');
+  const [saveAbility, setSaveAbility] = useState<AbilityKey | ''>('');
+  const [saveDc, setSaveDc] = useState('15');
+  const [onSuccess, setOnSuccess] = useState<'half' | 'none'>('half');
+  const [rolls, setRolls] = useState<Record<string, string>>({});
+  const [sourceCharacterId, setSourceCharacterId] = useState('');
+  const targets = characters.filter(character => targetIds.includes(character.id));
+  const ability = mode === 'damage' ? saveAbility : '';
+
+  function toggleTarget(characterId: string, checked: boolean) {
+    setTargetIds(current => checked ? [...current, characterId] : current.filter(id => id !== characterId));
+  }
+
+  async function apply() {
+    const value = Math.abs(Number(amount));
+    if (!value || targets.length === 0) return;
+    await submitAction({
+      type: 'character.adjustHpBatch',
+      payload: {
+        amount: mode === 'damage' ? -value : value,
+        damageType: mode === 'damage' && damageType ? damageType : null,
+        save: ability ? { ability, dc: Number(saveDc) || 10, onSuccess } : null,
+        sourceCharacterId: sourceCharacterId || null,
+        targets: targets.map(character => ability
+          ? { characterId: character.id, saveRoll: rolls[character.id] ? Number(rolls[character.id]) : null }
+          : { characterId: character.id })
+      }
+    });
+    setAmount('');
+    setRolls({});
+  }
+
+  return (
+    <div className="stack compact-stack">
+      <div className="button-row">
+        {characters.map(character => (
+          <label key={character.id} className="inline-check">
+            <input type="checkbox" checked={targetIds.includes(character.id)} onChange={event => toggleTarget(character.id, event.target.checked)} />
+            {character.name}
+          </label>
+        ))}
+      </div>
+      <div className="form-grid">
+        <select value={mode} onChange={event => setMode(event.target.value as 'damage' | 'healing')} aria-label="Area effect mode">
+          <option value="damage">Damage</option>
+          <option value="healing">Healing</option>
+        </select>
+        <input value={amount} onChange={event => setAmount(event.target.value)} type="number" min={1} placeholder="Amount" aria-label="Area amount" />
+        <select value={sourceCharacterId} onChange={event => setSourceCharacterId(event.target.value)} aria-label="Area source">
+          <option value="">No source</option>
+          {characters.map(character => <option key={character.id} value={character.id}>{character.name}</option>)}
+        </select>
+        {mode === 'damage' && <DamageTypeSelect value={damageType} onChange={setDamageType} />}
+        {mode === 'damage' && (
+          <select value={saveAbility} onChange={event => setSaveAbility(event.target.value as AbilityKey | '')} aria-label="Area save">
+            <option value="">No save</option>
+            {ABILITIES.map(item => <option key={item.key} value={item.key}>{item.label} save</option>)}
+          </select>
+        )}
+        {ability && <input value={saveDc} onChange={event => setSaveDc(event.target.value)} type="number" min={1} max={30} aria-label="Area save DC" />}
+        {ability && (
+          <select value={onSuccess} onChange={event => setOnSuccess(event.target.value as 'half' | 'none')} aria-label="On successful save">
+            <option value="half">Half damage on success</option>
+            <option value="none">No damage on success</option>
+          </select>
+        )}
+      </div>
+      {ability && targets.map(character => (
+        <div key={character.id} className="input-action-row">
+          <strong>{character.name}</strong>
+          <input className="tiny-input" value={rolls[character.id] || ''} onChange={event => setRolls(current => ({ ...current, [character.id]: event.target.value }))} type="number" min={1} max={20} placeholder="d20" aria-label={`${character.name} save d20`} />
+          <span className="type-pill" aria-label={`${character.name} save bonus`}>{signed(creatureSaveBonus(character, ability))}</span>
+        </div>
+      ))}
+      <button className={`btn ${mode === 'damage' ? 'danger' : 'success'}`} onClick={apply} disabled={targets.length === 0}>
+        Apply to {targets.length} {targets.length === 1 ? 'target' : 'targets'}
+      </button>
+    </div>
+  );
+}
+
 function AddMonsterFromDatabase({ monsters, submitAction }: { monsters: MonsterDatabaseEntry[]; submitAction: Props['submitAction'] }) {
   const [selectedMonster, setSelectedMonster] = useState<MonsterDatabaseEntry | null>(null);
   const [count, setCount] = useState('1');
+  const [hpMode, setHpMode] = useState('average');
+  const [scaleTo, setScaleTo] = useState('');
   const [search, setSearch] = useState('');
   const matchingMonsters = matchingItems(monsters, search);
+  const chosenMonster = selectedMonster && matchingMonsters.includes(selectedMonster) ? selectedMonster : matchingMonsters[0] || monsters[0];
+  const scalable = Boolean(chosenMonster) && challengeRating(chosenMonster?.challenge) !== null;
+  const scaledMonster = chosenMonster && scalable && scaleTo !== '' ? scaleMonsterToChallenge(chosenMonster, Number(scaleTo)) : null;
+  const spawnMonster = scaledMonster && chosenMonster ? { ...scaledMonster, id: `${chosenMonster.id}-cr-${scaleTo}` } : chosenMonster;
+  const hitDice = String(spawnMonster?.hitDice || '');
+
+  async function saveScaled() {
+    if (!scaledMonster) return;
+    await submitAction({ type: 'database.monster.upsert', payload: { monster: scaledMonster } });
+  }
 
   async function addMonster() {
-    const monster = selectedMonster && matchingMonsters.includes(selectedMonster) ? selectedMonster : matchingMonsters[0] || monsters[0];
+    const monster = spawnMonster;
     if (!monster) return;
     const copies = Math.max(1, Number(count) || 1);
     for (let index = 0; index < copies; index += 1) {
@@ -222,6 +542,7 @@ function AddMonsterFromDatabase({ monsters, submitAction }: { monsters: MonsterD
           type: 'monster',
           maxHp: Number(monster.hp || monster.maxHp || 1),
           currentHp: Number(monster.hp || monster.maxHp || 1),
+          ...(monster.hitDice && hpMode !== 'average' ? { hitDice: monster.hitDice, hpMode } : {}),
           ac: Number(monster.ac || 10),
           maxReactions: Number(monster.maxReactions || 1),
           currentReactions: Number(monster.maxReactions || 1),
@@ -233,11 +554,11 @@ function AddMonsterFromDatabase({ monsters, submitAction }: { monsters: MonsterD
           monsterAbilities: monster.monsterAbilities
         }
       });
-      if (monster.hasLairActions || monster.hasMythicActions) {
+      if (monster.hasMythicActions) {
         await submitAction({
           type: 'character.add',
           payload: {
-            name: `${name} ${monster.hasMythicActions ? 'Mythic' : 'Lair'} Actions`,
+            name: `${name} Mythic Actions`,
             type: 'monster',
             maxHp: 1,
             currentHp: 1,
@@ -249,12 +570,12 @@ function AddMonsterFromDatabase({ monsters, submitAction }: { monsters: MonsterD
             maxPower: 0,
             powerName: 'Power',
             monsterData: {
-              name: `${name} ${monster.hasMythicActions ? 'Mythic' : 'Lair'} Actions`,
+              name: `${name} Mythic Actions`,
               hp: 1,
               ac: 10,
               initBonus: 0,
-              description: monster.hasMythicActions ? entriesToDescription(monster.mythicActions) : entriesToDescription(monster.lairActions),
-              actions: monster.hasMythicActions ? monster.mythicActions : monster.lairActions
+              description: entriesToDescription(monster.mythicActions),
+              actions: monster.mythicActions
             }
           }
         });
@@ -278,20 +599,52 @@ function AddMonsterFromDatabase({ monsters, submitAction }: { monsters: MonsterD
       />
       <div className="button-row">
       <input className="small-input" type="number" min={1} value={count} onChange={event => setCount(event.target.value)} />
+      <select value={hitDice ? hpMode : 'average'} onChange={event => setHpMode(event.target.value)} disabled={!hitDice} aria-label="Monster HP">
+        <option value="average">Average HP</option>
+        <option value="rolled">Roll HP per copy{hitDice ? ` (${hitDice})` : ''}</option>
+        <option value="max">Max HP</option>
+      </select>
+      <select value={scalable ? scaleTo : ''} onChange={event => setScaleTo(event.target.value)} disabled={!scalable} aria-label="Scale to CR">
+        <option value="">Original CR</option>
+        {CHALLENGE_RATINGS.map(rating => <option key={rating} value={String(rating)}>Scale to CR {challengeLabel(rating)}</option>)}
+      </select>
       <button className="btn success" onClick={addMonster}>Add to combat</button>
+      <button className="btn" onClick={saveScaled} disabled={!scaledMonster}>Save scaled to database</button>
       </div>
+      {spawnMonster?.scaledFrom && (
+        <div className="button-row">
+          <span className="type-pill">{spawnMonster.name}: HP {spawnMonster.hp}{spawnMonster.hitDice ? ` (${spawnMonster.hitDice})` : ''} · AC {spawnMonster.ac}</span>
+          <span className="type-pill">Scaled from {spawnMonster.scaledFrom.name} (CR {spawnMonster.scaledFrom.challenge || '-'})</span>
+        </div>
+      )}
     </div>
   );
 }
 
-function InitiativeLine({ characters, currentTurn, played }: { characters: Character[]; currentTurn: number; played: number[] }) {
+function InitiativeLine({ characters, currentTurn, played, showHp }: { characters: Character[]; currentTurn: number; played: number[]; showHp: boolean }) {
   return (
     <div className="initiative-line">
-      {characters.map((character, index) => (character.type === 'monster' || character.activeInCombat !== false) && (
-        <span key={character.id} className={index === currentTurn ? 'current' : played.includes(index) ? 'played' : ''}>
-          {character.name} ({character.initiative ?? '-'})
+      {characters.map((character, index) => {
+        if (character.type !== 'monster' && character.activeInCombat === false) return null;
+        if (character.groupId) {
+          const members = characters.map((member, memberIndex) => ({ member, memberIndex })).filter(item => item.member.groupId === character.groupId);
+          if (members[0].memberIndex !== index) return null;
+          const isCurrent = members.some(item => item.memberIndex === currentTurn);
+          const allPlayed = members.every(item => played.includes(item.memberIndex));
+          const hp = members.reduce((sum, item) => sum + Math.max(0, item.member.currentHp), 0);
+          const maxHp = members.reduce((sum, item) => sum + item.member.maxHp, 0);
+          return (
+            <span key={character.groupId} className={isCurrent ? 'current' : allPlayed ? 'played' : ''} title={members.map(item => item.member.name).join(', ')}>
+              {character.groupName || 'Group'} ({character.initiative ?? '-'}) ×{members.length}{showHp ? ` · HP ${hp}/${maxHp}` : ''}
+            </span>
+          );
+        }
+        return (
+        <span key={character.id} className={[index === currentTurn ? 'current' : played.includes(index) ? 'played' : '', character.surprised ? 'surprised' : '', character.delayed ? 'delayed' : ''].filter(Boolean).join(' ')}>
+          {character.name} ({character.initiative ?? '-'}){character.surprised ? ' surprised' : ''}{character.delayed ? ' delayed' : ''}{character.readiedAction ? ' readied' : ''}
         </span>
-      ))}
+        );
+      })}
     </div>
   );
 }
@@ -303,6 +656,7 @@ function CharacterCard({
   conditions,
   active,
   played,
+  inCombat,
   submitAction,
   onOpenEffects,
   onOpenSpells,
@@ -315,6 +669,7 @@ function CharacterCard({
   conditions: Array<Record<string, unknown>>;
   active: boolean;
   played: boolean;
+  inCombat: boolean;
   submitAction: Props['submitAction'];
   onOpenEffects: () => void;
   onOpenSpells: () => void;
@@ -323,8 +678,10 @@ function CharacterCard({
 }) {
   const isDM = role === 'dm';
   const canEdit = isDM || character.type === 'player';
-  const [drafts, setDrafts] = useState({ damage: '', healing: '', tempHp: '', effect: '' });
+  const [drafts, setDrafts] = useState({ damage: '', damageType: '', healing: '', tempHp: '', effect: '' });
   const hpPercent = useMemo(() => Math.max(0, Math.min(100, (character.currentHp / character.maxHp) * 100)), [character.currentHp, character.maxHp]);
+  const legendaryResistance = character.type === 'monster' ? character.monsterAbilities?.legendaryResistance : undefined;
+  const pendingEffectSave = character.effects.findIndex(effect => typeof effect !== 'string' && effect.savePending && effect.saveToEnd);
 
   function setDraft(key: string, value: string) {
     setDrafts(current => ({ ...current, [key]: value }));
@@ -333,7 +690,8 @@ function CharacterCard({
   async function applyHp(key: 'damage' | 'healing') {
     const raw = Number(drafts[key]);
     if (!raw) return;
-    await submitAction({ type: 'character.adjustHp', payload: { characterId: character.id, amount: key === 'damage' ? -Math.abs(raw) : Math.abs(raw) } });
+    const damageType = key === 'damage' && drafts.damageType ? { damageType: drafts.damageType } : {};
+    await submitAction({ type: 'character.adjustHp', payload: { characterId: character.id, amount: key === 'damage' ? -Math.abs(raw) : Math.abs(raw), ...damageType } });
     setDraft(key, '');
   }
 
@@ -364,7 +722,7 @@ function CharacterCard({
   }
 
   return (
-    <article className={`character-card ${active ? 'active' : ''} ${played ? 'played' : ''}`} data-testid={`character-${character.name}`}>
+    <article className={`character-card ${active ? 'active' : ''} ${played ? 'played' : ''} ${character.lifeState === 'dead' ? 'dead' : ''}`} data-testid={`character-${character.name}`}>
       <div className="card-header">
         <div>
           <button className="name-button" onClick={onOpenEffects} title="Open conditions and effects">
@@ -397,6 +755,36 @@ function CharacterCard({
         </div>
       )}
 
+      {(isDM || character.type === 'player') && <DamageDefenses character={character} />}
+
+      {character.initiativeRoll && (isDM || character.type === 'player') && (
+        <div className="button-row" role="group" aria-label={`${character.name} initiative breakdown`}>
+          {initiativeBreakdown(character.initiativeRoll).map(part => <span key={part} className="type-pill">{part}</span>)}
+        </div>
+      )}
+
+      {isDM && legendaryResistance && legendaryResistance.max > 0 && (
+        <div className="quick-row" role="group" aria-label={`${character.name} legendary resistance`}>
+          <span className="type-pill">Legendary resistance {legendaryResistance.max - legendaryResistance.used}/{legendaryResistance.max}</span>
+          {Array.from({ length: legendaryResistance.max }, (_, pipIndex) => (
+            <button
+              key={pipIndex}
+              className={`feature-box ${pipIndex < legendaryResistance.used ? 'used' : ''}`}
+              onClick={() => submitAction({ type: 'monster.legendaryResistance.uses', payload: { characterId: character.id, used: pipIndex < legendaryResistance.used ? pipIndex : pipIndex + 1 } })}
+              aria-label={`${character.name} legendary resistance ${pipIndex + 1}`}
+              title="Legendary resistance"
+            />
+          ))}
+          <button
+            className="btn warning small"
+            onClick={() => submitAction({ type: 'monster.legendaryResistance.uses', payload: { characterId: character.id, used: legendaryResistance.used + 1 } })}
+            disabled={legendaryResistance.used >= legendaryResistance.max}
+          >
+            Use legendary resistance
+          </button>
+        </div>
+      )}
+
       <div className="effect-row">
         {character.effects.map((effect, effectIndex) => {
           const condition = conditionForEffect(conditions, effect);
@@ -422,6 +810,16 @@ function CharacterCard({
         })}
       </div>
 
+      {(isDM || character.type === 'player') && <DeathSaves character={character} canEdit={canEdit} isDM={isDM} submitAction={submitAction} />}
+
+      {canEdit && character.pendingConcentrationSaves?.[0] && (
+        <ConcentrationSavePrompt key={character.pendingConcentrationSaves[0].id} character={character} submitAction={submitAction} />
+      )}
+
+      {canEdit && pendingEffectSave >= 0 && (
+        <EffectSavePrompt key={pendingEffectSave} character={character} index={pendingEffectSave} submitAction={submitAction} />
+      )}
+
       {canEdit && (
         <div className="card-controls">
           <div className="quick-row">
@@ -445,8 +843,11 @@ function CharacterCard({
               );
             })}
           </div>
+          {inCombat && <TurnOptions character={character} isDM={isDM} active={active} submitAction={submitAction} />}
+          {!inCombat && character.type === 'player' && <InitiativeRollInput character={character} submitAction={submitAction} />}
           <div className="input-action-row">
             <input value={drafts.damage} onChange={event => setDraft('damage', event.target.value)} type="number" placeholder="Damage" data-testid={`damage-${character.name}`} />
+            <DamageTypeSelect value={drafts.damageType} onChange={value => setDraft('damageType', value)} />
             <button className="btn danger small" onClick={() => applyHp('damage')}>Apply</button>
             <input value={drafts.healing} onChange={event => setDraft('healing', event.target.value)} type="number" placeholder="Heal" data-testid={`heal-${character.name}`} />
             <button className="btn success small" onClick={() => applyHp('healing')}>Apply</button>
@@ -473,6 +874,16 @@ function CharacterCard({
                   placeholder="Power"
                 />
               )}
+              {character.type === 'monster' && (
+                <label className="inline-check">
+                  <input
+                    type="checkbox"
+                    checked={character.diesAtZeroHp !== false}
+                    onChange={event => submitAction({ type: 'character.deathRule.set', payload: { characterId: character.id, diesAtZeroHp: event.target.checked } })}
+                  />
+                  Dies at 0 HP
+                </label>
+              )}
             </div>
           )}
         </div>
@@ -481,16 +892,216 @@ function CharacterCard({
   );
 }
 
+function LegendaryPrompt({
+  characters,
+  prompt,
+  submitAction
+}: {
+  characters: Character[];
+  prompt: NonNullable<GameState['combatState']['legendaryPrompt']>;
+  submitAction: Props['submitAction'];
+}) {
+  const after = characters.find(character => character.id === prompt.afterCharacterId);
+  const monsters = prompt.monsterIds
+    .map(id => characters.find(character => character.id === id))
+    .filter((character): character is Character => Boolean(character));
+  if (monsters.length === 0) return null;
+
+  return (
+    <div className="stack compact-stack" data-testid="legendary-prompt">
+      <strong>Legendary actions after {after?.name || 'this turn'}</strong>
+      {monsters.map(monster => {
+        const legendary = monster.monsterAbilities?.legendaryActions;
+        const remaining = Math.max(0, (legendary?.max || 0) - (legendary?.used || 0));
+        return (
+          <div key={monster.id} className="button-row">
+            <span className="type-pill">{monster.name} {remaining}/{legendary?.max || 0}</span>
+            {((monster.monsterData?.legendaryActionEntries || []) as MonsterTextEntry[]).map((entry, index) => {
+              const cost = legendaryActionCost(entry);
+              return (
+                <button
+                  key={entry.id || `${entry.name}-${index}`}
+                  className="btn purple small"
+                  onClick={() => submitAction({ type: 'combat.legendaryAction', payload: { characterId: monster.id, index } })}
+                  disabled={cost > remaining}
+                  title={entry.description}
+                >
+                  {legendaryActionName(entry)} ({cost})
+                </button>
+              );
+            })}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function InitiativeRollInput({ character, submitAction }: { character: Character; submitAction: Props['submitAction'] }) {
+  const [natural, setNatural] = useState('');
+
+  async function submit() {
+    await submitAction({ type: 'character.initiative.submit', payload: { characterId: character.id, natural: Number(natural) } });
+    setNatural('');
+  }
+
+  return (
+    <div className="input-action-row">
+      <input value={natural} onChange={event => setNatural(event.target.value)} type="number" min={1} max={20} placeholder="d20 roll" aria-label={`${character.name} initiative d20`} />
+      <button className="btn small" onClick={submit} disabled={!(Number(natural) >= 1 && Number(natural) <= 20)}>Submit initiative roll</button>
+    </div>
+  );
+}
+
+function TurnOptions({ character, isDM, active, submitAction }: { character: Character; isDM: boolean; active: boolean; submitAction: Props['submitAction'] }) {
+  const [trigger, setTrigger] = useState('');
+  const readied = character.readiedAction;
+
+  async function ready() {
+    if (!trigger.trim()) return;
+    await submitAction({ type: 'combat.ready', payload: { characterId: character.id, trigger: trigger.trim() } });
+    setTrigger('');
+  }
+
+  return (
+    <div className="input-action-row" role="group" aria-label={`${character.name} turn options`}>
+      {isDM && active && !character.delayed && <button className="btn warning small" onClick={() => submitAction({ type: 'combat.delay', payload: { characterId: character.id } })}>Delay</button>}
+      {character.delayed && <span className="type-pill">Delayed</span>}
+      {isDM && character.delayed && <button className="btn warning small" onClick={() => submitAction({ type: 'combat.delay.resume', payload: { characterId: character.id } })}>Act after current turn</button>}
+      {readied ? (
+        <>
+          <span className="type-pill" title={`Readied in round ${readied.round}`}>Readied: {readied.trigger}</span>
+          <button className="btn purple small" onClick={() => submitAction({ type: 'combat.ready.resolve', payload: { characterId: character.id } })} disabled={(character.currentReactions ?? 0) < 1}>Resolve as reaction</button>
+          <button className="btn small" onClick={() => submitAction({ type: 'combat.ready.cancel', payload: { characterId: character.id } })}>Drop readied action</button>
+        </>
+      ) : (
+        <>
+          <input value={trigger} onChange={event => setTrigger(event.target.value)} placeholder="Ready trigger" aria-label={`${character.name} ready trigger`} />
+          <button className="btn purple small" onClick={ready} disabled={!trigger.trim()}>Ready</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function LairCard({
+  lair,
+  characters,
+  isDM,
+  round,
+  active,
+  submitAction
+}: {
+  lair: Character;
+  characters: Character[];
+  isDM: boolean;
+  round: number;
+  active: boolean;
+  submitAction: Props['submitAction'];
+}) {
+  const last = lair.lastLairAction;
+  const usedThisRound = last?.round === round;
+  const owners = characters.filter(character => !character.lair && character.monsterData?.hasLairActions);
+
+  return (
+    <article className={`character-card ${active ? 'active' : ''}`} data-testid="character-Lair">
+      <div className="card-header">
+        <div>
+          <strong>{lair.name}</strong>
+          <span className="type-pill">Initiative 20</span>
+        </div>
+        {last && <span className="type-pill">Last: {last.name} (round {last.round})</span>}
+      </div>
+      {isDM && owners.map(monster => (
+        <div key={monster.id} className="stack compact-stack">
+          <strong>{monster.name}</strong>
+          {((monster.monsterData?.lairActions || []) as MonsterTextEntry[]).map(entry => {
+            const repeated = last?.round === round - 1 && last.monsterId === monster.id && last.name === entry.name;
+            return (
+              <div key={entry.id || entry.name} className="input-action-row">
+                <span title={entry.description}>{entry.name}</span>
+                <button
+                  className="btn purple small"
+                  onClick={() => submitAction({ type: 'combat.lairAction', payload: { monsterId: monster.id, name: entry.name } })}
+                  disabled={!active || usedThisRound || repeated}
+                  title={repeated ? 'Used last round' : entry.description}
+                  aria-label={`Use lair action ${entry.name}`}
+                >
+                  Use
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </article>
+  );
+}
+
+function ConcentrationSavePrompt({ character, submitAction }: { character: Character; submitAction: Props['submitAction'] }) {
+  const pending = character.pendingConcentrationSaves || [];
+  const save = pending[0];
+  const [roll, setRoll] = useState('');
+  const bonus = creatureSaveBonus(character, 'constitution');
+
+  async function resolve() {
+    await submitAction({
+      type: 'character.concentration.resolve',
+      payload: { characterId: character.id, saveId: save.id, roll: roll === '' ? null : Number(roll) }
+    });
+    setRoll('');
+  }
+
+  return (
+    <div className="concentration-save" role="group" aria-label={`${character.name} concentration save`}>
+      <strong>Concentration save DC {save.dc}</strong>
+      <span className="type-pill">{save.damage} damage{pending.length > 1 ? ` (+${pending.length - 1} more)` : ''}</span>
+      <input className="tiny-input" value={roll} onChange={event => setRoll(event.target.value)} type="number" min={1} max={20} placeholder="d20" aria-label="Concentration d20" />
+      <span className="type-pill" aria-label="Concentration save bonus">CON {signed(bonus)}</span>
+      <button className="btn purple small" onClick={resolve}>{roll === '' ? 'Roll save' : 'Resolve'}</button>
+    </div>
+  );
+}
+
+function EffectSavePrompt({ character, index, submitAction }: { character: Character; index: number; submitAction: Props['submitAction'] }) {
+  const effect = character.effects[index] as Effect;
+  const save = effect.saveToEnd as NonNullable<Effect['saveToEnd']>;
+  const abilityLabel = ABILITIES.find(item => item.key === save.ability)?.short || save.ability;
+  const [roll, setRoll] = useState('');
+  const bonus = creatureSaveBonus(character, save.ability);
+
+  async function resolve() {
+    await submitAction({
+      type: 'effect.save.resolve',
+      payload: { characterId: character.id, index, roll: roll === '' ? null : Number(roll) }
+    });
+    setRoll('');
+  }
+
+  return (
+    <div className="concentration-save" role="group" aria-label={`${character.name} ${effect.name} save`}>
+      <strong>{effect.name} save DC {save.dc} {abilityLabel}</strong>
+      <input className="tiny-input" value={roll} onChange={event => setRoll(event.target.value)} type="number" min={1} max={20} placeholder="d20" aria-label="Effect save d20" />
+      <span className="type-pill" aria-label="Effect save bonus">{abilityLabel} {signed(bonus)}</span>
+      <button className="btn purple small" onClick={resolve}>{roll === '' ? 'Roll save' : 'Resolve'}</button>
+    </div>
+  );
+}
+
 export function EffectModal({
   character,
   canEdit,
+  canEditDefenses = false,
   conditions,
+  characters = [],
   submitAction,
   onClose
 }: {
   character: Character;
   canEdit: boolean;
+  canEditDefenses?: boolean;
   conditions: Array<Record<string, unknown>>;
+  characters?: Character[];
   submitAction: Props['submitAction'];
   onClose: () => void;
 }) {
@@ -502,6 +1113,12 @@ export function EffectModal({
   const [diceCount, setDiceCount] = useState('2');
   const [diceSides, setDiceSides] = useState('4');
   const [damageType, setDamageType] = useState('fire');
+  const [durationUnit, setDurationUnit] = useState<EffectDurationUnit | ''>('');
+  const [durationAmount, setDurationAmount] = useState('1');
+  const [sourceCharacterId, setSourceCharacterId] = useState('');
+  const [concentration, setConcentration] = useState(false);
+  const [saveAbility, setSaveAbility] = useState('');
+  const [saveDc, setSaveDc] = useState('13');
   const matchingConditions = matchingItems(conditions, search);
   const conditionForAdd = selectedCondition && matchingConditions.includes(selectedCondition) ? selectedCondition : matchingConditions[0] || selectedCondition;
   const isAbilityAdjustment = Boolean(conditionForAdd?.statAdjustmentType);
@@ -529,7 +1146,11 @@ export function EffectModal({
         value: condition?.statAdjustmentType ? Number(level) || 1 : null,
         diceCount: diceEnabled ? Number(diceCount) || Number(condition?.defaultDiceCount) || 1 : null,
         diceSides: diceEnabled ? Number(diceSides) || Number(condition?.defaultDiceSides) || 4 : null,
-        damageType: diceEnabled ? damageType || String(condition?.defaultDamageType || '') : null
+        damageType: diceEnabled ? damageType || String(condition?.defaultDamageType || '') : null,
+        duration: durationUnit ? { unit: durationUnit, amount: Number(durationAmount) || 1 } : null,
+        sourceCharacterId: sourceCharacterId || null,
+        concentration: Boolean(sourceCharacterId) && concentration,
+        saveToEnd: diceEnabled && saveAbility ? { ability: saveAbility, dc: Number(saveDc) || 10 } : null
       }
     });
     setCustom('');
@@ -554,6 +1175,7 @@ export function EffectModal({
               characterId={character.id}
               effect={effect}
               index={index}
+              durationLabel={effectDurationLabel(effect, characters)}
               canEdit={canEdit}
               condition={conditions.find(condition => String(condition.name) === effectName(effect))}
               submitAction={submitAction}
@@ -599,6 +1221,11 @@ export function EffectModal({
                   <input value={diceCount} onChange={event => setDiceCount(event.target.value)} type="number" min={1} placeholder="Dice count" />
                   <input value={diceSides} onChange={event => setDiceSides(event.target.value)} type="number" min={2} placeholder="Die sides" />
                   <input value={damageType} onChange={event => setDamageType(event.target.value)} placeholder="Damage type" />
+                  <select value={saveAbility} onChange={event => setSaveAbility(event.target.value)} aria-label="Save to end">
+                    <option value="">No save to end</option>
+                    {ABILITIES.map(item => <option key={item.key} value={item.key}>{item.label} save</option>)}
+                  </select>
+                  {saveAbility && <input value={saveDc} onChange={event => setSaveDc(event.target.value)} type="number" min={1} max={30} aria-label="Save to end DC" />}
                 </>
               )}
               <button
@@ -610,10 +1237,35 @@ export function EffectModal({
                 Add selected
               </button>
             </div>
+            <div className="form-grid">
+              <select value={durationUnit} onChange={event => setDurationUnit(event.target.value as EffectDurationUnit | '')} aria-label="Effect duration">
+                <option value="">No duration</option>
+                <option value="rounds">Rounds</option>
+                <option value="minutes">Minutes</option>
+                <option value="hours">Hours</option>
+                <option value="sourceTurn">Until end of source's next turn</option>
+              </select>
+              {durationUnit && durationUnit !== 'sourceTurn' && (
+                <input value={durationAmount} onChange={event => setDurationAmount(event.target.value)} type="number" min={1} aria-label="Duration amount" />
+              )}
+              {characters.length > 0 && (
+                <select value={sourceCharacterId} onChange={event => setSourceCharacterId(event.target.value)} aria-label="Effect source">
+                  <option value="">No source</option>
+                  {characters.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                </select>
+              )}
+              {sourceCharacterId && (
+                <label className="inline-check">
+                  <input type="checkbox" checked={concentration} onChange={event => setConcentration(event.target.checked)} />
+                  Ends with source concentration
+                </label>
+              )}
+            </div>
             <div className="form-grid">
               <input value={custom} onChange={event => setCustom(event.target.value)} placeholder="Custom effect" />
               <button className="btn success" onClick={() => addEffect(custom)}>Add custom</button>
             </div>
+            {canEditDefenses && <DamageDefensesForm character={character} submitAction={submitAction} />}
           </div>
         )}
       </div>
@@ -621,10 +1273,68 @@ export function EffectModal({
   );
 }
 
+export function DamageTypeSelect({ value, onChange }: { value: string; onChange: (value: string) => void }) {
+  return (
+    <select value={value} onChange={event => onChange(event.target.value)} aria-label="Damage type">
+      <option value="">Untyped</option>
+      {DAMAGE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+    </select>
+  );
+}
+
+export function DamageDefenses({ character }: { character: Character }) {
+  const groups = [
+    { label: 'Resistant', types: character.damageResistances || [] },
+    { label: 'Vulnerable', types: character.damageVulnerabilities || [] },
+    { label: 'Immune', types: character.damageImmunities || [] }
+  ].filter(group => group.types.length > 0);
+  if (groups.length === 0) return null;
+  return (
+    <div className="effect-row">
+      {groups.map(group => <span key={group.label} className="type-pill">{group.label}: {group.types.join(', ')}</span>)}
+    </div>
+  );
+}
+
+function DamageDefensesForm({ character, submitAction }: { character: Character; submitAction: Props['submitAction'] }) {
+  const [form, setForm] = useState({
+    damageResistances: (character.damageResistances || []).join(', '),
+    damageVulnerabilities: (character.damageVulnerabilities || []).join(', '),
+    damageImmunities: (character.damageImmunities || []).join(', ')
+  });
+
+  function update(key: keyof typeof form, value: string) {
+    setForm(current => ({ ...current, [key]: value }));
+  }
+
+  return (
+    <div className="form-grid">
+      <input value={form.damageResistances} onChange={event => update('damageResistances', event.target.value)} placeholder="Resistances" aria-label="Damage resistances" />
+      <input value={form.damageVulnerabilities} onChange={event => update('damageVulnerabilities', event.target.value)} placeholder="Vulnerabilities" aria-label="Damage vulnerabilities" />
+      <input value={form.damageImmunities} onChange={event => update('damageImmunities', event.target.value)} placeholder="Immunities" aria-label="Damage immunities" />
+      <button
+        className="btn purple"
+        onClick={() => submitAction({
+          type: 'character.defenses.set',
+          payload: {
+            characterId: character.id,
+            damageResistances: parseDamageTypes(form.damageResistances),
+            damageVulnerabilities: parseDamageTypes(form.damageVulnerabilities),
+            damageImmunities: parseDamageTypes(form.damageImmunities)
+          }
+        })}
+      >
+        Save defenses
+      </button>
+    </div>
+  );
+}
+
 function ActiveEffectRow({
   characterId,
   effect,
   index,
+  durationLabel,
   canEdit,
   condition,
   submitAction
@@ -632,6 +1342,7 @@ function ActiveEffectRow({
   characterId: string;
   effect: Character['effects'][number];
   index: number;
+  durationLabel: string | null;
   canEdit: boolean;
   condition?: Record<string, unknown>;
   submitAction: Props['submitAction'];
@@ -647,6 +1358,7 @@ function ActiveEffectRow({
   return (
     <div className="active-effect-row">
       <span className={`effect-tag ${conditionKindClass(condition)}`} title={conditionTooltip(condition)}>{effectToString(effect)}</span>
+      {durationLabel && <span className="type-pill" aria-label={`${effectToString(effect)} remaining`}>{durationLabel}</span>}
       {condition && (
         <div className="effect-description">
           <MarkdownRenderer text={String(condition.description || condition.effect || '')} emptyLabel="No condition details." />
@@ -706,7 +1418,7 @@ function conditionForEffect(conditions: Array<Record<string, unknown>>, effect:
 }
 
 export function effectRequiresManagement(effect: Character['effects'][number], condition?: Record<string, unknown>) {
-  return Boolean(condition?.hasLevels || conditionHasDice(condition) || (typeof effect !== 'string' && (effect.level || (effect.diceCount && effect.diceSides))));
+  return Boolean(condition?.hasLevels || conditionHasDice(condition) || (typeof effect !== 'string' && (effect.level || effect.duration || (effect.diceCount && effect.diceSides))));
 }
 
 function conditionHasDice(condition?: Record<string, unknown> | null) {
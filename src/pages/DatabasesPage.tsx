@@ -1,8 +1,9 @@
 import { ChangeEvent, FormEvent, useMemo, useRef, useState } from 'react';
-import type { Character, ClientRole, GameAction, GameState } from '../shared/types';
+import type { Character, ClientRole, GameAction, GameState, PlayerAccount } from '../shared/types';
 import { CollapsiblePanel } from '../components/CollapsiblePanel';
 import { MarkdownEditor, MarkdownRenderer } from '../components/Markdown';
 import { parseMonsterMarkdown } from '../shared/monsterParser';
+import { parseDamageTypes } from '../shared/defaults';
 
 interface Props {
   state: GameState;
@@ -140,10 +141,13 @@ export function DatabasesPage({ state, role, submitAction, onBackToCombat }: Pro
         </div>
       </CollapsiblePanel>
 
+      {active === 'characters' && isDM && <PlayerAccountsPanel accounts={state.playerAccounts || []} submitAction={submitAction} />}
+
       {active === 'characters' ? (
         <CharacterDatabase
           key={active}
           characters={filtered as Character[]}
+          accounts={state.playerAccounts || []}
           isDM={isDM}
           submitAction={submitAction}
         />
@@ -259,12 +263,117 @@ function databaseCardKey(kind: DatabaseKind, item: Record<string, unknown>, inde
   return `${kind}:${String(id)}:${index}`;
 }
 
+function PlayerAccountsPanel({ accounts, submitAction }: { accounts: PlayerAccount[]; submitAction: Props['submitAction'] }) {
+  const [name, setName] = useState('');
+
+  function addAccount(event: FormEvent) {
+    event.preventDefault();
+    if (!name.trim()) return;
+    submitAction({ type: 'player.account.add', payload: { name: name.trim() } });
+    setName('');
+  }
+
+  function joinLink(account: PlayerAccount) {
+    return `${window.location.origin}${window.location.pathname}?mode=player&token=${encodeURIComponent(account.token || '')}`;
+  }
+
+  return (
+    <CollapsiblePanel title="Players" summary="Join links for each player. Owned characters can only be changed by their owners.">
+      <form className="button-row" onSubmit={addAccount}>
+        <input value={name} onChange={event => setName(event.target.value)} placeholder="Player name" aria-label="Player name" />
+        <button className="btn success small" type="submit">Add Player</button>
+      </form>
+      {accounts.length === 0 && <p className="empty">No player join links yet.</p>}
+      {accounts.map(account => (
+        <div key={account.id} className="button-row">
+          <strong>{account.name}</strong>
+          <input readOnly value={joinLink(account)} aria-label={`${account.name} join link`} onFocus={event => event.target.select()} />
+          <button
+            className="btn small"
+            onClick={() => {
+              const next = window.prompt('Rename player', account.name);
+              if (next?.trim()) submitAction({ type: 'player.account.update', payload: { accountId: account.id, name: next.trim() } });
+            }}
+          >
+            Rename
+          </button>
+          <button
+            className="btn warning small"
+            onClick={() => {
+              if (window.confirm(`Create a new join link for ${account.name}? The old link stops working.`)) {
+                submitAction({ type: 'player.account.update', payload: { accountId: account.id, regenerateToken: true } });
+              }
+            }}
+          >
+            New Link
+          </button>
+          <button
+            className="btn danger small"
+            onClick={() => {
+              if (window.confirm(`Remove ${account.name}? Their characters lose this owner.`)) {
+                submitAction({ type: 'player.account.remove', payload: { accountId: account.id } });
+              }
+            }}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+    </CollapsiblePanel>
+  );
+}
+
+function CharacterOwners({
+  character,
+  accounts,
+  isDM,
+  submitAction
+}: {
+  character: Character;
+  accounts: PlayerAccount[];
+  isDM: boolean;
+  submitAction: Props['submitAction'];
+}) {
+  const ownerIds = character.ownerIds || [];
+  const shared = character.sharedWithPlayers ?? ownerIds.length === 0;
+  const ownerNames = accounts.filter(account => ownerIds.includes(account.id)).map(account => account.name);
+
+  function setOwners(nextOwnerIds: string[], nextShared: boolean) {
+    submitAction({ type: 'character.owners.set', payload: { characterId: character.id, ownerIds: nextOwnerIds, sharedWithPlayers: nextShared } });
+  }
+
+  if (!isDM) {
+    return <p>Owners: {ownerNames.length ? ownerNames.join(', ') : 'none'}{shared ? ' (shared)' : ''}</p>;
+  }
+
+  return (
+    <div className="button-row">
+      {accounts.map(account => (
+        <label key={account.id} className="inline-check">
+          <input
+            type="checkbox"
+            checked={ownerIds.includes(account.id)}
+            onChange={event => setOwners(event.target.checked ? [...ownerIds, account.id] : ownerIds.filter(id => id !== account.id), shared)}
+          />
+          {account.name}
+        </label>
+      ))}
+      <label className="inline-check">
+        <input type="checkbox" checked={shared} onChange={event => setOwners(ownerIds, event.target.checked)} />
+        Shared with all players
+      </label>
+    </div>
+  );
+}
+
 function CharacterDatabase({
   characters,
+  accounts,
   isDM,
   submitAction
 }: {
   characters: Character[];
+  accounts: PlayerAccount[];
   isDM: boolean;
   submitAction: Props['submitAction'];
 }) {
@@ -288,6 +397,7 @@ function CharacterDatabase({
             <div className="stat"><span>Spell level</span><strong>{character.spellcasterLevel || 0}</strong></div>
             <div className="stat"><span>Inventory</span><strong>{inventoryCount(character)}</strong></div>
           </div>
+          <CharacterOwners character={character} accounts={accounts} isDM={isDM} submitAction={submitAction} />
           <div className="button-row">
             {character.activeInCombat === false ? (
               <button className="btn success small" onClick={() => submitAction({ type: 'character.activateInCombat', payload: { characterId: character.id } })}>Activate in Combat</button>
@@ -354,6 +464,7 @@ function DatabaseEditorModal({
     atHigherLevels: String(initial?.atHigherLevels || ''),
     importKey: String(initial?.importKey || ''),
     hp: String(initial?.hp || '10'),
+    hitDice: String(initial?.hitDice || ''),
     ac: String(initial?.ac || '10'),
     maxReactions: String(initial?.maxReactions || '1'),
     speed: String(initial?.speed || ''),
@@ -366,6 +477,9 @@ function DatabaseEditorModal({
     proficiency: String(initial?.proficiency || ''),
     monsterType: String(initial?.type || ''),
     size: String(initial?.size || ''),
+    damageResistances: listToText(initial?.damageResistances),
+    damageVulnerabilities: listToText(initial?.damageVulnerabilities),
+    damageImmunities: listToText(initial?.damageImmunities),
     initBonus: String(initial?.initBonus || '0'),
     maxPower: String(initial?.maxPower || '0'),
     currentPower: String((initial?.monsterAbilities as Record<string, unknown> | undefined)?.power && typeof (initial?.monsterAbilities as Record<string, unknown>).power === 'object'
@@ -458,6 +572,7 @@ function DatabaseEditorModal({
         ...base,
         hp: Number(form.hp) || 1,
         maxHp: Number(form.hp) || 1,
+        hitDice: String(form.hitDice).replace(/\s+/g, ''),
         ac: Number(form.ac) || 10,
         maxReactions: Number(form.maxReactions) || 1,
         speed: form.speed,
@@ -470,6 +585,9 @@ function DatabaseEditorModal({
         proficiency: form.proficiency,
         type: form.monsterType,
         size: form.size,
+        damageResistances: parseDamageTypes(String(form.damageResistances)),
+        damageVulnerabilities: parseDamageTypes(String(form.damageVulnerabilities)),
+        damageImmunities: parseDamageTypes(String(form.damageImmunities)),
         initBonus: Number(form.initBonus) || 0,
         maxPower,
         powerName: form.powerName,
@@ -523,6 +641,7 @@ function DatabaseEditorModal({
       name: parsed.name,
       description: parsed.description || '',
       hp: String(parsed.hp || 10),
+      hitDice: parsed.hitDice,
       ac: String(parsed.ac || 10),
       speed: parsed.speed || '',
       stats: statsToText(parsed.stats),
@@ -534,6 +653,9 @@ function DatabaseEditorModal({
       proficiency: parsed.proficiency || '',
       monsterType: parsed.type || '',
       size: parsed.size || '',
+      damageResistances: listToText(parsed.damageResistances),
+      damageVulnerabilities: listToText(parsed.damageVulnerabilities),
+      damageImmunities: listToText(parsed.damageImmunities),
       initBonus: String(parsed.initBonus || 0),
       defensiveFeatures: entriesToText(parsed.defensiveFeatures),
       features: entriesToText(parsed.features),
@@ -641,6 +763,7 @@ function DatabaseEditorModal({
                 <button type="button" className="btn purple" onClick={parsePastedMonster}>Parse statblock</button>
               </div>
               <input value={String(form.hp)} onChange={event => update('hp', event.target.value)} type="number" min={1} placeholder="HP" />
+              <input value={String(form.hitDice)} onChange={event => update('hitDice', event.target.value)} placeholder="Hit dice (12d10+36)" aria-label="Hit dice" />
               <input value={String(form.ac)} onChange={event => update('ac', event.target.value)} type="number" min={1} placeholder="AC" />
               <input value={String(form.maxReactions)} onChange={event => update('maxReactions', event.target.value)} type="number" min={0} placeholder="Reactions per round" />
               <input value={String(form.speed)} onChange={event => update('speed', event.target.value)} placeholder="Speed" />
@@ -653,6 +776,9 @@ function DatabaseEditorModal({
               <input value={String(form.proficiency)} onChange={event => update('proficiency', event.target.value)} placeholder="Proficiency" />
               <input value={String(form.monsterType)} onChange={event => update('monsterType', event.target.value)} placeholder="Type" />
               <input value={String(form.size)} onChange={event => update('size', event.target.value)} placeholder="Size" />
+              <input value={String(form.damageResistances)} onChange={event => update('damageResistances', event.target.value)} placeholder="Damage resistances" />
+              <input value={String(form.damageVulnerabilities)} onChange={event => update('damageVulnerabilities', event.target.value)} placeholder="Damage vulnerabilities" />
+              <input value={String(form.damageImmunities)} onChange={event => update('damageImmunities', event.target.value)} placeholder="Damage immunities" />
               <input value={String(form.initBonus)} onChange={event => update('initBonus', event.target.value)} type="number" placeholder="Initiative bonus" />
               <label className="inline-check">
                 <input type="checkbox" checked={Boolean(form.powerEnabled)} onChange={event => update('powerEnabled', event.target.checked)} />
@@ -1,7 +1,9 @@
 import { ReactNode, useEffect, useMemo, useState } from 'react';
-import type { AbilityKey, Character, GameAction, GameState, MonsterAbilities, MonsterTextEntry } from '../shared/types';
+import type { AbilityKey, ActionLogEntry, Character, GameAction, GameState, MonsterAbilities, MonsterAttackRoll, MonsterTextEntry } from '../shared/types';
 import { CollapsiblePanel } from '../components/CollapsiblePanel';
 import { MarkdownRenderer } from '../components/Markdown';
+import { armorClass } from '../shared/characterSheet';
+import { parseMonsterAction, parseMultiattack, type MonsterActionDamage } from '../shared/monsterParser';
 
 interface Props {
   state: GameState;
@@ -72,12 +74,16 @@ export function MonstersPage({ state, submitAction, selectedCharacterId, onSelec
           </div>
         </div>
       </section>
-      <MonsterDetail monster={selected} submitAction={submitAction} />
+      <MonsterDetail
+        monster={selected}
+        targets={state.characters.filter(character => character.id !== selected.id && !character.lair && (character.type === 'monster' || character.activeInCombat !== false))}
+        submitAction={submitAction}
+      />
     </div>
   );
 }
 
-function MonsterDetail({ monster, submitAction }: { monster: Character; submitAction: Props['submitAction'] }) {
+function MonsterDetail({ monster, targets, submitAction }: { monster: Character; targets: Character[]; submitAction: Props['submitAction'] }) {
   const monsterData = (monster.monsterData || {}) as Record<string, unknown>;
   const abilities: MonsterAbilities = monster.monsterAbilities || (monsterData.monsterAbilities as MonsterAbilities) || {};
   const legendary = abilities.legendaryActions;
@@ -93,12 +99,12 @@ function MonsterDetail({ monster, submitAction }: { monster: Character; submitAc
   const textSections = [
     { title: 'Defensive Features', entries: monsterData.defensiveFeatures as MonsterTextEntry[] | undefined },
     { title: 'Features', entries: monsterData.features as MonsterTextEntry[] | undefined },
-    { title: 'Actions', entries: monsterData.actions as MonsterTextEntry[] | undefined },
-    { title: 'Bonus Actions', entries: monsterData.bonusActions as MonsterTextEntry[] | undefined },
-    { title: 'Reactions', entries: monsterData.reactions as MonsterTextEntry[] | undefined },
-    { title: 'Legendary Actions', entries: monsterData.legendaryActionEntries as MonsterTextEntry[] | undefined },
-    { title: 'Lair Actions', entries: monsterData.lairActions as MonsterTextEntry[] | undefined },
-    { title: 'Mythic Actions', entries: monsterData.mythicActions as MonsterTextEntry[] | undefined }
+    { title: 'Actions', entries: monsterData.actions as MonsterTextEntry[] | undefined, rollable: true },
+    { title: 'Bonus Actions', entries: monsterData.bonusActions as MonsterTextEntry[] | undefined, rollable: true },
+    { title: 'Reactions', entries: monsterData.reactions as MonsterTextEntry[] | undefined, rollable: true },
+    { title: 'Legendary Actions', entries: monsterData.legendaryActionEntries as MonsterTextEntry[] | undefined, rollable: true },
+    { title: 'Lair Actions', entries: monsterData.lairActions as MonsterTextEntry[] | undefined, rollable: true },
+    { title: 'Mythic Actions', entries: monsterData.mythicActions as MonsterTextEntry[] | undefined, rollable: true }
   ].filter(section => Array.isArray(section.entries) && section.entries.length > 0);
 
   return (
@@ -149,6 +155,29 @@ function MonsterDetail({ monster, submitAction }: { monster: Character; submitAc
               />
             </TrackerCard>
           ))}
+          {(abilities.recharges || []).map((recharge, index) => (
+            <TrackerCard
+              key={`${recharge.name}-${index}`}
+              title={`${recharge.name} (Recharge ${recharge.min < 6 ? `${recharge.min}-6` : '6'})`}
+              subtitle={`${recharge.available ? 'Available' : 'Used'}${recharge.lastRoll ? `, rolled ${recharge.lastRoll}` : ''}, rolls on monster turn`}
+            >
+              <button
+                className={`btn small ${recharge.available ? 'danger' : 'success'}`}
+                onClick={() => submitAction({ type: 'monster.recharge.set', payload: { characterId: monster.id, index, available: !recharge.available } })}
+              >
+                {recharge.available ? 'Use' : 'Recharge'}
+              </button>
+            </TrackerCard>
+          ))}
+          {(abilities.legendaryResistance?.max || 0) > 0 && (
+            <TrackerCard title="Legendary Resistance" subtitle={`${abilities.legendaryResistance?.used || 0}/${abilities.legendaryResistance?.max || 0} used, resets on long rest or combat end`}>
+              <UseBoxes
+                max={abilities.legendaryResistance?.max || 0}
+                used={abilities.legendaryResistance?.used || 0}
+                onSet={used => submitAction({ type: 'monster.legendaryResistance.uses', payload: { characterId: monster.id, used } })}
+              />
+            </TrackerCard>
+          )}
           {legendary?.enabled && (
             <TrackerCard title="Legendary Actions" subtitle={`${legendary.used || 0}/${legendary.max || 0} used, resets on monster turn`}>
               <UseBoxes
@@ -208,7 +237,12 @@ function MonsterDetail({ monster, submitAction }: { monster: Character; submitAc
       )}
 
       {textSections.map(section => (
-        <MonsterTextSection key={section.title} title={section.title} entries={section.entries || []} />
+        <MonsterTextSection
+          key={section.title}
+          title={section.title}
+          entries={section.entries || []}
+          roller={section.rollable ? { monsterId: monster.id, monsterName: monster.name, targets, submitAction } : undefined}
+        />
       ))}
 
       {monsterData.description && (
@@ -293,7 +327,15 @@ function UseBoxes({ max, used, onSet }: { max: number; used: number; onSet: (use
   );
 }
 
-function MonsterTextSection({ title, entries }: { title: string; entries: MonsterTextEntry[] }) {
+function MonsterTextSection({
+  title,
+  entries,
+  roller
+}: {
+  title: string;
+  entries: MonsterTextEntry[];
+  roller?: { monsterId: string; monsterName: string; targets: Character[]; submitAction: Props['submitAction'] };
+}) {
   return (
     <section className="section">
       <h2>{title}</h2>
@@ -302,6 +344,10 @@ function MonsterTextSection({ title, entries }: { title: string; entries: Monste
           <article className="monster-entry-card" key={`${entry.name}-${index}`}>
             <h3>{entry.name}</h3>
             <MarkdownRenderer text={entry.description} />
+            {roller && /multiattack/i.test(entry.name) && (
+              <MultiattackRoller entry={entry} actions={entries} monsterId={roller.monsterId} monsterName={roller.monsterName} targets={roller.targets} submitAction={roller.submitAction} />
+            )}
+            {roller && !/multiattack/i.test(entry.name) && <MonsterActionRoller entry={entry} monsterId={roller.monsterId} monsterName={roller.monsterName} targets={roller.targets} submitAction={roller.submitAction} />}
           </article>
         ))}
       </div>
@@ -309,6 +355,192 @@ function MonsterTextSection({ title, entries }: { title: string; entries: Monste
   );
 }
 
+async function rollMonsterAttacks(
+  submitAction: Props['submitAction'],
+  payload: { characterId: string; targetCharacterId?: string; mode?: string; attacks: Array<{ name: string; toHit: number | null; critical?: boolean; damage: MonsterActionDamage[] }> }
+) {
+  const ack = await submitAction({ type: 'monster.attack.roll', payload }) as { entry?: ActionLogEntry | null } | undefined;
+  return ack?.entry?.result as { targetAc?: number | null; attacks?: MonsterAttackRoll[] } | undefined;
+}
+
+function MultiattackRoller({
+  entry,
+  actions,
+  monsterId,
+  monsterName,
+  targets,
+  submitAction
+}: {
+  entry: MonsterTextEntry;
+  actions: MonsterTextEntry[];
+  monsterId: string;
+  monsterName: string;
+  targets: Character[];
+  submitAction: Props['submitAction'];
+}) {
+  const routine = useMemo(() => parseMultiattack(entry, actions), [entry, actions]);
+  const [targetId, setTargetId] = useState('');
+  const [results, setResults] = useState<Array<{ label: string; total: number; critical: boolean; hit: boolean; damage: Array<{ total: number; damageType: string }> }> | null>(null);
+  const [targetAc, setTargetAc] = useState<number | null>(null);
+  const target = targets.find(character => character.id === targetId) || null;
+  const hits = (results || []).filter(result => result.hit);
+  const totalDamage = hits.reduce((sum, result) => sum + result.damage.reduce((partSum, part) => partSum + part.total, 0), 0);
+  if (routine.length === 0) return null;
+
+  async function runRoutine() {
+    if (!target) return;
+    const attacks = routine.flatMap(step => {
+      const parsed = parseMonsterAction(step.action);
+      return Array.from({ length: step.count }, (_, index) => ({ name: step.count > 1 ? `${step.action.name} ${index + 1}` : step.action.name, toHit: parsed.toHit || 0, damage: parsed.damage }));
+    });
+    const rolled = await rollMonsterAttacks(submitAction, { characterId: monsterId, targetCharacterId: target.id, attacks });
+    if (!rolled?.attacks) return;
+    setTargetAc(rolled.targetAc ?? null);
+    setResults(rolled.attacks.map(result => ({
+      label: result.name,
+      total: result.total ?? 0,
+      critical: result.critical,
+      hit: Boolean(result.hit),
+      damage: result.damage.map(part => ({ total: part.total, damageType: part.damageType || '' }))
+    })));
+  }
+
+  async function applyHits() {
+    if (!target || hits.length === 0) return;
+    await submitAction({
+      type: 'character.adjustHpSequence',
+      payload: {
+        characterId: target.id,
+        sourceCharacterId: monsterId,
+        source: `${monsterName} ${entry.name}`,
+        hits: hits.map(result => ({ critical: result.critical, parts: result.damage.map(part => ({ amount: part.total, damageType: part.damageType || undefined })) }))
+      }
+    });
+    setResults(null);
+  }
+
+  return (
+    <div className="stack compact-stack" role="group" aria-label={`${entry.name} routine`}>
+      <div className="button-row">
+        {routine.map(step => <span key={step.action.name} className="type-pill">{step.count}x {step.action.name}</span>)}
+      </div>
+      <div className="input-action-row">
+        <select value={targetId} onChange={event => { setTargetId(event.target.value); setResults(null); }} aria-label={`${entry.name} target`}>
+          <option value="">Choose target</option>
+          {targets.map(character => <option key={character.id} value={character.id}>{character.name} (AC {armorClass(character)})</option>)}
+        </select>
+        <button className="btn warning small" onClick={runRoutine} disabled={!target}>Roll routine</button>
+      </div>
+      {results && target && (
+        <>
+          <div className="stack compact-stack">
+            {results.map(result => (
+              <p key={result.label}>
+                {result.label}: {result.total} vs AC {targetAc} {result.critical ? 'critical hit' : result.hit ? 'hit' : 'miss'}
+                {result.damage.length > 0 && `, ${result.damage.map(part => `${part.total}${part.damageType ? ` ${part.damageType}` : ''}`).join(' + ')}`}
+              </p>
+            ))}
+          </div>
+          <button className="btn danger small" onClick={applyHits} disabled={hits.length === 0}>
+            Apply {hits.length} {hits.length === 1 ? 'hit' : 'hits'} ({totalDamage} damage) to {target.name}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function MonsterActionRoller({
+  entry,
+  monsterId,
+  monsterName,
+  targets,
+  submitAction
+}: {
+  entry: MonsterTextEntry;
+  monsterId: string;
+  monsterName: string;
+  targets: Character[];
+  submitAction: Props['submitAction'];
+}) {
+  const parsed = useMemo(() => parseMonsterAction(entry), [entry]);
+  const [targetId, setTargetId] = useState('');
+  const [mode, setMode] = useState('normal');
+  const [attack, setAttack] = useState<{ total: number; natural: number | null; critical: boolean; hit: boolean | null; targetAc: number | null } | null>(null);
+  const [damage, setDamage] = useState<Array<{ total: number; damageType: string }> | null>(null);
+  const target = targets.find(character => character.id === targetId) || null;
+  const critical = Boolean(attack?.critical);
+  if (parsed.toHit === null && parsed.damage.length === 0 && !parsed.save) return null;
+
+  async function rollAttack() {
+    if (parsed.toHit === null) return;
+    const rolled = await rollMonsterAttacks(submitAction, { characterId: monsterId, ...(target ? { targetCharacterId: target.id } : {}), mode, attacks: [{ name: entry.name, toHit: parsed.toHit, damage: [] }] });
+    const result = rolled?.attacks?.[0];
+    if (!result || result.total === null) return;
+    setAttack({ total: result.total, natural: result.natural, critical: result.critical, hit: result.hit, targetAc: rolled?.targetAc ?? null });
+    setDamage(null);
+  }
+
+  async function rollDamage() {
+    const result = (await rollMonsterAttacks(submitAction, { characterId: monsterId, attacks: [{ name: entry.name, toHit: null, critical, damage: parsed.damage }] }))?.attacks?.[0];
+    if (!result) return;
+    setDamage(result.damage.map(part => ({ total: part.total, damageType: part.damageType || '' })));
+  }
+
+  async function applyDamage() {
+    if (!target || !damage) return;
+    await submitAction({
+      type: 'character.adjustHpSequence',
+      payload: {
+        characterId: target.id,
+        sourceCharacterId: monsterId,
+        source: `${monsterName} ${entry.name}`,
+        hits: [{ critical, parts: damage.map(part => ({ amount: part.total, damageType: part.damageType || undefined })) }]
+      }
+    });
+    setDamage(null);
+  }
+
+  return (
+    <div className="stack compact-stack" role="group" aria-label={`${entry.name} rolls`}>
+      <div className="button-row">
+        {parsed.toHit !== null && <span className="type-pill">{parsed.toHit >= 0 ? '+' : ''}{parsed.toHit} to hit</span>}
+        {parsed.damage.map((part, index) => <span key={index} className="type-pill">{part.expression} {part.damageType || 'damage'}</span>)}
+        {parsed.save && <span className="type-pill">DC {parsed.save.dc} {parsed.save.ability.slice(0, 3).toUpperCase()} save</span>}
+      </div>
+      <div className="input-action-row">
+        <select value={targetId} onChange={event => { setTargetId(event.target.value); setAttack(null); setDamage(null); }} aria-label={`${entry.name} target`}>
+          <option value="">No target</option>
+          {targets.map(character => <option key={character.id} value={character.id}>{character.name} (AC {armorClass(character)})</option>)}
+        </select>
+        {parsed.toHit !== null && (
+          <>
+            <select value={mode} onChange={event => setMode(event.target.value)} aria-label={`${entry.name} attack mode`}>
+              <option value="normal">Normal</option>
+              <option value="advantage">Advantage</option>
+              <option value="disadvantage">Disadvantage</option>
+            </select>
+            <button className="btn warning small" onClick={rollAttack}>Roll attack</button>
+          </>
+        )}
+        {parsed.damage.length > 0 && <button className="btn danger small" onClick={rollDamage}>Roll damage{critical ? ' (critical)' : ''}</button>}
+      </div>
+      {attack && (
+        <p>
+          Attack {attack.total}{critical ? ' (natural 20)' : attack.natural === 1 ? ' (natural 1)' : ''}
+          {attack.hit !== null && `: ${attack.hit ? 'hit' : 'miss'} vs AC ${attack.targetAc}`}
+        </p>
+      )}
+      {damage && (
+        <div className="input-action-row">
+          <span>Damage {damage.map(part => `${part.total}${part.damageType ? ` ${part.damageType}` : ''}`).join(' + ')}</span>
+          {target && <button className="btn danger small" onClick={applyDamage}>Apply to {target.name}</button>}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function levelLabel(level: string) {
   if (level === 'epic1') return 'Epic 1';
   if (level === 'epic2') return 'Epic 2';
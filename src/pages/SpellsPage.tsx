@@ -4,7 +4,8 @@ import { CollapsiblePanelGroup } from '../components/CollapsiblePanel';
 import { Modal } from '../components/Modal';
 import { MarkdownEditor, MarkdownRenderer } from '../components/Markdown';
 import { SearchPicker } from '../components/SearchPicker';
-import { EffectModal, effectRequiresManagement } from './CombatPage';
+import { DeathSaves } from '../components/DeathSaves';
+import { DamageDefenses, DamageTypeSelect, EffectModal, effectRequiresManagement } from './CombatPage';
 import { effectToString, hpClass } from '../shared/defaults';
 import { groupedSpells, isCantrip, isEpicSpell, isNormalPreparedSpell, spellIsActive } from '../shared/spells';
 import {
@@ -130,7 +131,7 @@ export function SpellsPage({ state, role, submitAction, selectedCharacterId, onS
             </div>
           </div>
         </section>
-        <HealthConditionsPanel character={selected} role={role} conditions={state.conditionDatabase || []} submitAction={submitAction} />
+        <HealthConditionsPanel character={selected} role={role} conditions={state.conditionDatabase || []} characters={state.characters} submitAction={submitAction} />
         <CharacterGeneral character={selected} submitAction={submitAction} />
         <CharacterSheet character={selected} submitAction={submitAction} />
         <section id="sheet-tools" className="sheet-section-anchor">
@@ -182,25 +183,28 @@ function HealthConditionsPanel({
   character,
   role,
   conditions,
+  characters,
   submitAction
 }: {
   character: Character;
   role: ClientRole;
   conditions: Array<Record<string, unknown>>;
+  characters: Character[];
   submitAction: Props['submitAction'];
 }) {
   const [modalOpen, setModalOpen] = useState(false);
-  const [drafts, setDrafts] = useState({ damage: '', healing: '', tempHp: '' });
+  const [drafts, setDrafts] = useState({ damage: '', damageType: '', healing: '', tempHp: '' });
   const hpPercent = useMemo(() => Math.max(0, Math.min(100, (character.currentHp / character.maxHp) * 100)), [character.currentHp, character.maxHp]);
 
-  function setDraft(key: 'damage' | 'healing' | 'tempHp', value: string) {
+  function setDraft(key: 'damage' | 'damageType' | 'healing' | 'tempHp', value: string) {
     setDrafts(current => ({ ...current, [key]: value }));
   }
 
   async function applyHp(key: 'damage' | 'healing') {
     const raw = Number(drafts[key]);
     if (!raw) return;
-    await submitAction({ type: 'character.adjustHp', payload: { characterId: character.id, amount: key === 'damage' ? -Math.abs(raw) : Math.abs(raw) } });
+    const damageType = key === 'damage' && drafts.damageType ? { damageType: drafts.damageType } : {};
+    await submitAction({ type: 'character.adjustHp', payload: { characterId: character.id, amount: key === 'damage' ? -Math.abs(raw) : Math.abs(raw), ...damageType } });
     setDraft(key, '');
   }
 
@@ -225,6 +229,10 @@ function HealthConditionsPanel({
         <div className={`hp-fill ${hpClass(character.currentHp, character.maxHp)}`} style={{ width: `${hpPercent}%` }} />
       </div>
 
+      <DamageDefenses character={character} />
+
+      <DeathSaves character={character} canEdit isDM={role === 'dm'} submitAction={submitAction} />
+
       <div className="effect-row">
         {character.effects.length === 0 && <p className="empty">No active conditions.</p>}
         {character.effects.map((effect, index) => {
@@ -260,6 +268,7 @@ function HealthConditionsPanel({
         </div>
         <div className="input-action-row">
           <input value={drafts.damage} onChange={event => setDraft('damage', event.target.value)} type="number" placeholder="Damage" data-testid={`sheet-damage-${character.name}`} />
+          <DamageTypeSelect value={drafts.damageType} onChange={value => setDraft('damageType', value)} />
           <button className="btn danger small" onClick={() => applyHp('damage')}>Apply</button>
           <input value={drafts.healing} onChange={event => setDraft('healing', event.target.value)} type="number" placeholder="Heal" data-testid={`sheet-heal-${character.name}`} />
           <button className="btn success small" onClick={() => applyHp('healing')}>Apply</button>
@@ -274,7 +283,9 @@ function HealthConditionsPanel({
         <EffectModal
           character={character}
           canEdit={role === 'dm' || character.type === 'player'}
+          canEditDefenses={role === 'dm'}
           conditions={conditions}
+          characters={characters}
           submitAction={submitAction}
           onClose={() => setModalOpen(false)}
         />
@@ -451,6 +462,7 @@ function SheetEditorModal({ character, onClose, onSave }: { character: Character
   const [baseInitBonus, setBaseInitBonus] = useState(String(character.initBonus || 0));
   const [maxReactions, setMaxReactions] = useState(String(character.maxReactions ?? 1));
   const [spellAbility, setSpellAbility] = useState<AbilityKey>(spellcastingAbility(character));
+  const [initiativeAdvantage, setInitiativeAdvantage] = useState(character.sheetGeneral?.initiativeAdvantage || '');
   const [speeds, setSpeeds] = useState<Record<string, string>>(() => {
     const current = character.sheetGeneral?.speeds || {};
     return {
@@ -495,6 +507,7 @@ function SheetEditorModal({ character, onClose, onSave }: { character: Character
       sheetBonuses,
       sheetGeneral: {
         spellcastingAbility: spellAbility,
+        initiativeAdvantage: initiativeAdvantage.trim(),
         speeds: Object.fromEntries(Object.entries(speeds).map(([key, value]) => [key, Number(value) || 0]))
       }
     });
@@ -527,6 +540,10 @@ function SheetEditorModal({ character, onClose, onSave }: { character: Character
             <span>Initiative Bonus</span>
             <input value={baseInitBonus} onChange={event => setBaseInitBonus(event.target.value)} type="number" />
           </label>
+          <label className="field-card">
+            <span>Initiative advantage from</span>
+            <input value={initiativeAdvantage} onChange={event => setInitiativeAdvantage(event.target.value)} placeholder="Feral Instinct" />
+          </label>
           <label className="field-card">
             <span>Reactions</span>
             <input value={maxReactions} onChange={event => setMaxReactions(event.target.value)} type="number" min={0} />
@@ -1,4 +1,15 @@
-import type { AbilityKey, Character, Effect, SheetBonus } from './types';
+import type { AbilityKey, Character, InitiativeRoll } from './types';
+import { abilityModifier, adjustedAbilityScores, bonusTotal } from '../../server/characterSheet.mjs';
+
+export {
+  abilityModifier,
+  adjustedAbilityScores,
+  armorClass,
+  clampAbilityScore,
+  creatureSaveBonus,
+  defaultAbilityScores,
+  saveBonus
+} from '../../server/characterSheet.mjs';
 
 export const ABILITIES: Array<{ key: AbilityKey; label: string; short: string }> = [
   { key: 'strength', label: 'Strength', short: 'STR' },
@@ -30,63 +41,14 @@ export const SKILLS: Array<{ key: string; label: string; ability: AbilityKey }>
   { key: 'survival', label: 'Survival', ability: 'wisdom' }
 ];
 
-export function defaultAbilityScores(): Record<AbilityKey, number> {
-  return {
-    strength: 10,
-    dexterity: 10,
-    constitution: 10,
-    intelligence: 10,
-    wisdom: 10,
-    charisma: 10
-  };
-}
-
-export function abilityModifier(score: number) {
-  return Math.floor((score - 10) / 2);
-}
-
 export function signed(value: number) {
   return value >= 0 ? `+${value}` : String(value);
 }
 
-export function clampAbilityScore(score: number) {
-  return Math.max(1, Math.min(30, Math.round(Number(score) || 10)));
-}
-
 export function clampProficiencyBonus(value: number) {
   return Math.max(0, Math.min(10, Math.round(Number(value) || 0)));
 }
 
-export function adjustedAbilityScores(character: Character) {
-  const scores = { ...defaultAbilityScores(), ...(character.abilityScores || {}) };
-  const adjustments: Partial<Record<AbilityKey, string[]>> = {};
-
-  (character.effects || []).forEach(effect => {
-    const current = normalizeEffectLike(effect);
-    if (!current.ability || !ABILITIES.some(ability => ability.key === current.ability)) return;
-    const value = Number(current.value ?? current.level ?? 0);
-    if (!Number.isFinite(value)) return;
-
-    if (current.name === 'Ability Score Set') {
-      scores[current.ability] = clampAbilityScore(value);
-      adjustments[current.ability] = [...(adjustments[current.ability] || []), `set ${scores[current.ability]}`];
-    } else if (current.name === 'Ability Score Increased') {
-      scores[current.ability] = clampAbilityScore(scores[current.ability] + value);
-      adjustments[current.ability] = [...(adjustments[current.ability] || []), `+${value}`];
-    } else if (current.name === 'Ability Score Reduced') {
-      scores[current.ability] = clampAbilityScore(scores[current.ability] - value);
-      adjustments[current.ability] = [...(adjustments[current.ability] || []), `-${value}`];
-    }
-  });
-
-  return { scores, adjustments };
-}
-
-export function saveBonus(character: Character, ability: AbilityKey, adjustedScores = adjustedAbilityScores(character).scores) {
-  const proficient = (character.savingThrowProficiencies || []).includes(ability);
-  return abilityModifier(adjustedScores[ability]) + (proficient ? character.proficiencyBonus || 0 : 0) + bonusTotal(character, 'save', ability, { proficient, expert: false });
-}
-
 export function skillBonus(character: Character, skillKey: string, adjustedScores = adjustedAbilityScores(character).scores) {
   const skill = SKILLS.find(item => item.key === skillKey);
   if (!skill) return 0;
@@ -115,8 +77,15 @@ export function spellAttackBonus(character: Character, adjustedScores = adjusted
   return (character.proficiencyBonus || 0) + abilityModifier(adjustedScores[ability]) + bonusTotal(character, 'spellAttack', 'spellAttack', { proficient: false, expert: false });
 }
 
-export function armorClass(character: Character) {
-  return (character.ac || 10) + bonusTotal(character, 'ac', 'ac', { proficient: false, expert: false }) + acEffectBonus(character);
+export function initiativeBreakdown(roll: InitiativeRoll) {
+  const natural = roll.rolls.length > 1 ? `d20 ${roll.rolls.join('/')} → ${roll.natural}` : `d20 ${roll.natural}`;
+  const modifier = `${roll.modifier < 0 ? '-' : '+'} ${Math.abs(roll.modifier)}`;
+  return [
+    `${natural} ${modifier}${roll.source === 'player' ? ' (player roll)' : ''}`,
+    ...(roll.advantage ? [`Advantage: ${roll.advantage}`] : []),
+    `Dex ${roll.dexterity}`,
+    `Roll-off ${roll.rollOff}`
+  ];
 }
 
 export function initiativeBonus(character: Character, adjustedScores = adjustedAbilityScores(character).scores) {
@@ -128,50 +97,3 @@ export function skillAbility(character: Character, skillKey: string): AbilityKey
   if (override && ABILITIES.some(ability => ability.key === override)) return override;
   return SKILLS.find(item => item.key === skillKey)?.ability || 'dexterity';
 }
-
-function bonusTotal(
-  character: Character,
-  targetType: 'save' | 'skill' | 'abilityCheck' | 'ac' | 'initiative' | 'spellAttack' | 'spellDc',
-  targetKey: string,
-  status: { proficient: boolean; expert: boolean }
-) {
-  return (character.sheetBonuses || [])
-    .filter(bonus => bonusApplies(bonus, targetType, targetKey, status))
-    .reduce((sum, bonus) => sum + bonusValue(character, bonus), 0);
-}
-
-function bonusApplies(
-  bonus: SheetBonus,
-  targetType: 'save' | 'skill' | 'abilityCheck',
-  targetKey: string,
-  status: { proficient: boolean; expert: boolean }
-) {
-  if (bonus.condition === 'ifNotProficientOrExpert' && (status.proficient || status.expert)) return false;
-  if (bonus.targetType === targetType && bonus.targetKey === targetKey) return true;
-  if (['ac', 'initiative', 'spellAttack', 'spellDc'].includes(targetType) && bonus.targetType === targetType) return true;
-  if (targetType === 'save' && bonus.targetType === 'allSaves') return true;
-  if (targetType === 'skill' && bonus.targetType === 'allSkills') return true;
-  if (targetType === 'abilityCheck' && bonus.targetType === 'allAbilityChecks') return true;
-  return false;
-}
-
-function acEffectBonus(character: Character) {
-  return (character.effects || []).reduce((sum, effect) => {
-    const current = normalizeEffectLike(effect);
-    const value = Number(current.value ?? current.level ?? 0);
-    if (!Number.isFinite(value)) return sum;
-    if (current.name === 'Armor Class Increased') return sum + value;
-    if (current.name === 'Armor Class Reduced') return sum - value;
-    return sum;
-  }, 0);
-}
-
-function bonusValue(character: Character, bonus: SheetBonus) {
-  if (bonus.valueMode === 'halfProficiency') return Math.floor((character.proficiencyBonus || 0) / 2);
-  return Number(bonus.value) || 0;
-}
-
-function normalizeEffectLike(effect: Effect | string) {
-  if (typeof effect === 'string') return { name: effect, ability: null, value: null, level: null };
-  return effect;
-}
@@ -0,0 +1,34 @@
+import type { CombatRecap, CombatRecapCombatant } from './types';
+
+export function spentResources(combatant: CombatRecapCombatant) {
+  return [
+    ...Object.entries(combatant.slots).map(([level, count]) => `${level} slot ×${count}`),
+    ...Object.entries(combatant.features).map(([name, count]) => `${name} ×${count}`)
+  ];
+}
+
+export function knockoutLine(knockout: CombatRecap['knockouts'][number]) {
+  return `Round ${knockout.round}: ${knockout.targetName} ${knockout.lifeState === 'dead' ? 'killed' : 'dropped to 0 HP'}${knockout.actorName ? ` by ${knockout.actorName}` : ''}`;
+}
+
+export function combatRecapMarkdown(recap: CombatRecap, title = 'Combat recap') {
+  const lines = [
+    `# ${title}`,
+    '',
+    `Rounds: ${recap.rounds}`,
+    '',
+    '| Combatant | Damage dealt | Damage taken | Healing done | KOs |',
+    '| --- | ---: | ---: | ---: | ---: |',
+    ...recap.combatants.map(combatant => `| ${combatant.name} | ${combatant.damageDealt} | ${combatant.damageTaken} | ${combatant.healingDone} | ${combatant.knockouts} |`)
+  ];
+  if (recap.knockouts.length > 0) {
+    lines.push('', '## Knockouts', '', ...recap.knockouts.map(knockout => `- ${knockoutLine(knockout)}`));
+  }
+  const resources = recap.combatants
+    .map(combatant => ({ name: combatant.name, spent: spentResources(combatant) }))
+    .filter(combatant => combatant.spent.length > 0);
+  if (resources.length > 0) {
+    lines.push('', '## Resources spent', '', ...resources.map(combatant => `- ${combatant.name}: ${combatant.spent.join(', ')}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
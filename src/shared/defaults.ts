@@ -1,4 +1,4 @@
-import type { AbilityKey, Inventory } from './types';
+import type { AbilityKey, Character, DamageType, Effect, Inventory } from './types';
 import { ABILITIES } from './characterSheet';
 
 export function createEmptyInventory(): Inventory {
@@ -12,6 +12,18 @@ export function createEmptyInventory(): Inventory {
   };
 }
 
+export const DAMAGE_TYPES: DamageType[] = ['acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic', 'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'];
+
+const QUALIFIED_DAMAGE_CLAUSE = /\b(?:non-?magical|magic(?:al)?|silvered|adamantine)\b/;
+
+export function parseDamageTypes(value: string): DamageType[] {
+  const words: string[] = value.toLowerCase()
+    .split(';')
+    .filter(clause => !QUALIFIED_DAMAGE_CLAUSE.test(clause))
+    .flatMap(clause => clause.match(/[a-z]+/g) || []);
+  return DAMAGE_TYPES.filter(type => words.includes(type));
+}
+
 export function effectToString(effect: string | { name: string; level?: number | null; ability?: AbilityKey | null; value?: number | null; diceCount?: number | null; diceSides?: number | null; damageType?: string | null }): string {
   if (typeof effect === 'string') return effect;
   const ability = ABILITIES.find(item => item.key === effect.ability)?.short;
@@ -25,6 +37,26 @@ export function effectToString(effect: string | { name: string; level?: number |
   return parts.join(' ');
 }
 
+export function formatRounds(rounds: number): string {
+  const hours = Math.floor(rounds / 600);
+  const minutes = Math.floor((rounds % 600) / 10);
+  const remainder = rounds % 10;
+  const parts = [];
+  if (hours) parts.push(`${hours} h`);
+  if (minutes) parts.push(`${minutes} min`);
+  if (remainder || parts.length === 0) parts.push(`${remainder} rd`);
+  return parts.join(' ');
+}
+
+export function effectDurationLabel(effect: string | Effect, characters: Character[] = []): string | null {
+  if (typeof effect === 'string' || !effect.duration) return null;
+  if (effect.duration.unit === 'sourceTurn') {
+    const source = characters.find(character => character.id === effect.sourceCharacterId);
+    return `until end of ${source ? `${source.name}'s` : 'its'} next turn`;
+  }
+  return `${formatRounds(Math.max(0, Number(effect.remainingRounds ?? 0)))} left`;
+}
+
 export function hpClass(currentHp: number, maxHp: number): string {
   const percent = maxHp > 0 ? (currentHp / maxHp) * 100 : 0;
   if (percent <= 25) return 'low';
@@ -0,0 +1,120 @@
+import type { Character, EncounterMonster, MonsterDatabaseEntry } from './types';
+
+export type EncounterDifficulty = 'trivial' | 'easy' | 'medium' | 'hard' | 'deadly';
+
+export const XP_BY_CHALLENGE: Record<string, number> = {
+  '0': 10,
+  '0.125': 25,
+  '0.25': 50,
+  '0.5': 100,
+  '1': 200,
+  '2': 450,
+  '3': 700,
+  '4': 1100,
+  '5': 1800,
+  '6': 2300,
+  '7': 2900,
+  '8': 3900,
+  '9': 5000,
+  '10': 5900,
+  '11': 7200,
+  '12': 8400,
+  '13': 10000,
+  '14': 11500,
+  '15': 13000,
+  '16': 15000,
+  '17': 18000,
+  '18': 20000,
+  '19': 22000,
+  '20': 25000,
+  '21': 33000,
+  '22': 41000,
+  '23': 50000,
+  '24': 62000,
+  '25': 75000,
+  '26': 90000,
+  '27': 105000,
+  '28': 120000,
+  '29': 135000,
+  '30': 155000
+};
+
+const XP_THRESHOLDS: Array<[number, number, number, number]> = [
+  [25, 50, 75, 100],
+  [50, 100, 150, 200],
+  [75, 150, 225, 400],
+  [125, 250, 375, 500],
+  [250, 500, 750, 1100],
+  [300, 600, 900, 1400],
+  [350, 750, 1100, 1700],
+  [450, 900, 1400, 2100],
+  [550, 1100, 1600, 2400],
+  [600, 1200, 1900, 2800],
+  [800, 1600, 2400, 3600],
+  [1000, 2000, 3000, 4500],
+  [1100, 2200, 3400, 5100],
+  [1250, 2500, 3800, 5700],
+  [1400, 2800, 4300, 6400],
+  [1600, 3200, 4800, 7200],
+  [2000, 3900, 5900, 8800],
+  [2100, 4200, 6300, 9500],
+  [2400, 4900, 7300, 10900],
+  [2800, 5700, 8500, 12700]
+];
+
+const MULTIPLIERS = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+
+export function challengeRating(challenge: string | undefined) {
+  const match = String(challenge || '').trim().match(/^(\d+)(?:\s*\/\s*(\d+))?/);
+  if (!match) return null;
+  return match[2] ? Number(match[1]) / (Number(match[2]) || 1) : Number(match[1]);
+}
+
+export function monsterXp(monster: Pick<MonsterDatabaseEntry, 'challenge'>) {
+  const explicit = String(monster.challenge || '').match(/([\d,]+)\s*XP/i);
+  if (explicit) return Number(explicit[1].replace(/,/g, '')) || 0;
+  const rating = challengeRating(monster.challenge);
+  return rating === null ? 0 : XP_BY_CHALLENGE[String(rating)] || 0;
+}
+
+export function characterLevel(character: Character) {
+  return Math.max(1, Math.min(20, Number(character.hitDice?.max) || Number(character.spellcasterLevel) || 1));
+}
+
+export function partyThresholds(levels: number[]) {
+  return levels.reduce((totals, level) => {
+    const row = XP_THRESHOLDS[Math.max(1, Math.min(20, Math.round(level) || 1)) - 1];
+    return {
+      easy: totals.easy + row[0],
+      medium: totals.medium + row[1],
+      hard: totals.hard + row[2],
+      deadly: totals.deadly + row[3]
+    };
+  }, { easy: 0, medium: 0, hard: 0, deadly: 0 });
+}
+
+export function encounterMultiplier(monsterCount: number, partySize: number) {
+  if (monsterCount <= 0) return 1;
+  let index = monsterCount === 1 ? 1 : monsterCount === 2 ? 2 : monsterCount <= 6 ? 3 : monsterCount <= 10 ? 4 : monsterCount <= 14 ? 5 : 6;
+  if (partySize > 0 && partySize < 3) index += 1;
+  if (partySize >= 6) index -= 1;
+  return MULTIPLIERS[Math.max(0, Math.min(MULTIPLIERS.length - 1, index))];
+}
+
+export function encounterSummary(groups: Array<Pick<EncounterMonster, 'monsterId' | 'count'>>, monsters: MonsterDatabaseEntry[], levels: number[]) {
+  const byId = new Map(monsters.map(monster => [monster.id, monster]));
+  const monsterCount = groups.reduce((sum, group) => sum + (byId.has(group.monsterId) ? group.count : 0), 0);
+  const baseXp = groups.reduce((sum, group) => {
+    const monster = byId.get(group.monsterId);
+    return sum + (monster ? monsterXp(monster) * group.count : 0);
+  }, 0);
+  const multiplier = encounterMultiplier(monsterCount, levels.length);
+  const adjustedXp = Math.round(baseXp * multiplier);
+  const thresholds = partyThresholds(levels);
+  const difficulty: EncounterDifficulty = levels.length === 0 || adjustedXp < thresholds.easy ? 'trivial'
+    : adjustedXp >= thresholds.deadly ? 'deadly'
+      : adjustedXp >= thresholds.hard ? 'hard'
+        : adjustedXp >= thresholds.medium ? 'medium'
+          : 'easy';
+  return { monsterCount, baseXp, multiplier, adjustedXp, thresholds, difficulty };
+}
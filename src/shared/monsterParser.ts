@@ -1,4 +1,8 @@
-import type { AbilityKey } from './types';
+import type { AbilityKey, DamageType } from './types';
+import { DAMAGE_TYPES, parseDamageTypes } from './defaults';
+import { extractRecharges, isLegendaryResistance, legendaryResistanceUses } from '../../server/monsterRules.mjs';
+
+export { criticalDamageExpression, legendaryActionCost, legendaryActionName } from '../../server/monsterRules.mjs';
 
 const ABILITY_ORDER: AbilityKey[] = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
 const LEGACY_KEYS = ['str', 'dex', 'con', 'int', 'wis', 'cha'] as const;
@@ -31,16 +35,20 @@ export function parseMonsterMarkdown(text: string) {
     ac: numberAfter(source, /\*\*Armor Class:\*\*\s*(\d+)/i, 10),
     hp: numberAfter(source, /\*\*Hit Points:\*\*\s*(\d+)/i, 10),
     maxHp: numberAfter(source, /\*\*Hit Points:\*\*\s*(\d+)/i, 10),
+    hitDice: textAfter(source, /\*\*Hit Points:\*\*\s*\d+\s*\(\s*(\d+d\d+(?:\s*[+-]\s*\d+)?)\s*\)/i).replace(/\s+/g, ''),
     speed: textAfter(source, /\*\*Speed:\*\*\s*([^\n]+)/i),
     stats,
     saves: textAfter(source, /\*\*Saving Throws:\*\*\s*([^\n]+)/i),
     skills: textAfter(source, /\*\*Skills:\*\*\s*([^\n]+)/i),
     senses: textAfter(source, /\*\*Senses:\*\*\s*([^\n]+)/i),
     languages: textAfter(source, /\*\*Languages:\*\*\s*([^\n]+)/i),
-    challenge: textAfter(source, /\*\*Challenge\*\*\s*([^\n]+)/i),
+    challenge: textAfter(source, /\*\*Challenge\*\*\s*([^\n(,*]+(?:\([^)\n]*\))?)/i),
     proficiency: textAfter(source, /\*\*Proficiency:\*\*\s*([+-]?\d+)/i),
     type: textAfter(source, /\*\*Type:\*\*\s*([^\n]+)/i),
     size: textAfter(source, /\*\*Size:\*\*\s*([^\n]+)/i),
+    damageResistances: parseDamageTypes(textAfter(source, /\*\*Damage Resistances:?\*\*:?\s*([^\n]+)/i)),
+    damageVulnerabilities: parseDamageTypes(textAfter(source, /\*\*Damage Vulnerabilities:?\*\*:?\s*([^\n]+)/i)),
+    damageImmunities: parseDamageTypes(textAfter(source, /\*\*Damage Immunities:?\*\*:?\s*([^\n]+)/i)),
     initBonus: abilityModifier(stats.dexterity),
     description: source,
     defensiveFeatures,
@@ -59,7 +67,9 @@ export function parseMonsterMarkdown(text: string) {
       spellcasting,
       spellSlots: spellcasting.spellSlots,
       perDaySpells: spellcasting.perDaySpells,
-      customFeatures: extractResourceFeatures([...defensiveFeatures, ...features, ...bonusActions]),
+      customFeatures: extractResourceFeatures([...defensiveFeatures, ...features, ...bonusActions].filter(entry => !isLegendaryResistance(entry))),
+      legendaryResistance: { max: legendaryResistanceUses([...defensiveFeatures, ...features]), used: 0 },
+      recharges: extractRecharges([...actions, ...bonusActions, ...reactions, ...legendaryActionEntries]),
       legendaryActions: { enabled: legendaryActionEntries.length > 0, max: legendaryActionEntries.length > 0 ? 3 : 0, used: 0 },
       epicActions: { enabled: false, actions: [] }
     }
@@ -68,7 +78,7 @@ export function parseMonsterMarkdown(text: string) {
 
 function parseSection(source: string, heading: string) {
   const escaped = heading.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const match = source.match(new RegExp(`^#+\\s+${escaped}\\s*\\n([\\s\\S]*?)(?=^#+\\s+|^---\\s*$|$)`, 'im'));
+  const match = source.match(new RegExp(`^#+\\s+${escaped}\\s*\\n([\\s\\S]*?)(?=^#+\\s+|^---\\s*$|(?![\\s\\S]))`, 'im'));
   if (!match) return [];
   return match[1]
     .split(/(?=^\*\*[^*\n]+?\.\*\*)/m)
@@ -126,6 +136,51 @@ function extractResourceFeatures(entries: Array<{ name: string; description: str
   }).filter(Boolean);
 }
 
+export interface MonsterActionDamage {
+  expression: string;
+  average: number;
+  damageType: DamageType | '';
+}
+
+export function parseMonsterAction(entry: { description: string }) {
+  const text = (entry.description || '').replace(/[*_]/g, '');
+  const toHit = text.match(/([+-]\s*\d+)\s+to hit/i);
+  const save = text.match(/DC\s*(\d+)\s+(Strength|Dexterity|Constitution|Intelligence|Wisdom|Charisma)\s+saving throw/i);
+  const damage: MonsterActionDamage[] = [];
+  const damageRegex = /(\d+)\s*\(\s*(\d+d\d+(?:\s*[+-]\s*\d+)?)\s*\)\s*([a-z]+)?\s*damage/gi;
+  let damageMatch: RegExpExecArray | null;
+  while ((damageMatch = damageRegex.exec(text))) {
+    const damageType = damageMatch[3]?.toLowerCase();
+    damage.push({
+      expression: damageMatch[2].replace(/\s+/g, ''),
+      average: Number(damageMatch[1]) || 0,
+      damageType: DAMAGE_TYPES.find(type => type === damageType) || ''
+    });
+  }
+  return {
+    toHit: toHit ? Number(toHit[1].replace(/\s+/g, '')) : null,
+    damage,
+    save: save ? { ability: save[2].toLowerCase() as AbilityKey, dc: Number(save[1]) } : null
+  };
+}
+
+const COUNT_WORDS: Record<string, number> = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+export function parseMultiattack(entry: { name: string; description: string }, actions: Array<{ name: string; description: string }>) {
+  const text = (entry.description || '').replace(/[*_]/g, '').toLowerCase();
+  return actions
+    .filter(action => action !== entry && !/multiattack/i.test(action.name) && parseMonsterAction(action).toHit !== null)
+    .flatMap(action => {
+      const name = action.name.replace(/\s*\([^)]*\)/g, '').trim().toLowerCase();
+      if (!name) return [];
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const match = new RegExp(`\\b(one|two|three|four|five|six|\\d+)\\s+(?:attacks?\\s+)?(?:with\\s+its\\s+)?${escaped}(?:e?s)?\\b`).exec(text);
+      return match ? [{ action, count: COUNT_WORDS[match[1]] || Number(match[1]) || 1, position: match.index }] : [];
+    })
+    .sort((a, b) => a.position - b.position)
+    .map(({ action, count }) => ({ action, count }));
+}
+
 function splitSpellNames(value: string) {
   return value.split(',').map(item => item.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1').trim()).filter(Boolean);
 }
@@ -0,0 +1,155 @@
+import type { MonsterDatabaseEntry, MonsterTextEntry } from './types';
+import { XP_BY_CHALLENGE, challengeRating } from './encounters';
+
+interface ChallengeStats {
+  proficiency: number;
+  ac: number;
+  hp: number;
+  attack: number;
+  damage: number;
+  saveDc: number;
+}
+
+const STATS_BY_CHALLENGE: Record<string, [number, number, number, number, number, number, number, number]> = {
+  '0': [2, 13, 1, 6, 3, 0, 1, 13],
+  '0.125': [2, 13, 7, 35, 3, 2, 3, 13],
+  '0.25': [2, 13, 36, 49, 3, 4, 5, 13],
+  '0.5': [2, 13, 50, 70, 3, 6, 8, 13],
+  '1': [2, 13, 71, 85, 3, 9, 14, 13],
+  '2': [2, 13, 86, 100, 3, 15, 20, 13],
+  '3': [2, 13, 101, 115, 4, 21, 26, 13],
+  '4': [2, 14, 116, 130, 5, 27, 32, 14],
+  '5': [3, 15, 131, 145, 6, 33, 38, 15],
+  '6': [3, 15, 146, 160, 6, 39, 44, 15],
+  '7': [3, 15, 161, 175, 6, 45, 50, 15],
+  '8': [3, 16, 176, 190, 7, 51, 56, 16],
+  '9': [4, 16, 191, 205, 7, 57, 62, 16],
+  '10': [4, 17, 206, 220, 7, 63, 68, 16],
+  '11': [4, 17, 221, 235, 8, 69, 74, 17],
+  '12': [4, 17, 236, 250, 8, 75, 80, 17],
+  '13': [5, 18, 251, 265, 8, 81, 86, 18],
+  '14': [5, 18, 266, 280, 8, 87, 92, 18],
+  '15': [5, 18, 281, 295, 8, 93, 98, 18],
+  '16': [5, 18, 296, 310, 9, 99, 104, 18],
+  '17': [6, 19, 311, 325, 10, 105, 110, 19],
+  '18': [6, 19, 326, 340, 10, 111, 116, 19],
+  '19': [6, 19, 341, 355, 10, 117, 122, 19],
+  '20': [6, 19, 356, 400, 10, 123, 140, 19],
+  '21': [7, 19, 401, 445, 11, 141, 158, 20],
+  '22': [7, 19, 446, 490, 11, 159, 176, 20],
+  '23': [7, 19, 491, 535, 11, 177, 194, 20],
+  '24': [7, 19, 536, 580, 12, 195, 212, 21],
+  '25': [8, 19, 581, 625, 12, 213, 230, 21],
+  '26': [8, 19, 626, 670, 12, 231, 248, 21],
+  '27': [8, 19, 671, 715, 13, 249, 266, 22],
+  '28': [8, 19, 716, 760, 13, 267, 284, 22],
+  '29': [9, 19, 761, 805, 13, 285, 302, 22],
+  '30': [9, 19, 806, 850, 14, 303, 320, 23]
+};
+
+export const CHALLENGE_RATINGS = Object.keys(STATS_BY_CHALLENGE).map(Number);
+
+export function challengeLabel(rating: number) {
+  return rating === 0.125 ? '1/8' : rating === 0.25 ? '1/4' : rating === 0.5 ? '1/2' : String(rating);
+}
+
+export function challengeStats(rating: number): ChallengeStats | null {
+  const row = STATS_BY_CHALLENGE[String(rating)];
+  if (!row) return null;
+  return {
+    proficiency: row[0],
+    ac: row[1],
+    hp: (row[2] + row[3]) / 2,
+    attack: row[4],
+    damage: (row[5] + row[6]) / 2,
+    saveDc: row[7]
+  };
+}
+
+export function scaleMonsterToChallenge(monster: MonsterDatabaseEntry, rating: number): Omit<MonsterDatabaseEntry, 'id'> | null {
+  const sourceRating = challengeRating(monster.challenge);
+  const from = sourceRating === null ? null : challengeStats(sourceRating);
+  const to = challengeStats(rating);
+  if (!from || !to) return null;
+  const label = challengeLabel(rating);
+  const xp = XP_BY_CHALLENGE[String(rating)] || 0;
+  const hitPoints = scaleHitPoints(Number(monster.hp || monster.maxHp) || 1, monster.hitDice || '', to.hp / from.hp);
+  const changes = {
+    ac: to.ac - from.ac,
+    attack: to.attack - from.attack,
+    damage: from.damage > 0 ? to.damage / from.damage : 1,
+    saveDc: to.saveDc - from.saveDc
+  };
+  const rewrite = (text: string) => rewriteStatblock(text, changes, { ac: Math.max(1, (Number(monster.ac) || 10) + changes.ac), hitPoints, label, xp, proficiency: to.proficiency });
+  const rewriteEntries = (entries: MonsterTextEntry[] | undefined) => (entries || []).map(entry => ({ ...entry, description: rewrite(entry.description) }));
+  const { id, ...rest } = monster;
+  return {
+    ...rest,
+    name: `${monster.name} (CR ${label})`,
+    hp: hitPoints.hp,
+    maxHp: hitPoints.hp,
+    hitDice: hitPoints.hitDice,
+    ac: Math.max(1, (Number(monster.ac) || 10) + changes.ac),
+    challenge: `${label} (${xp} XP)`,
+    proficiency: `+${to.proficiency}`,
+    description: rewrite(monster.description || ''),
+    defensiveFeatures: rewriteEntries(monster.defensiveFeatures),
+    features: rewriteEntries(monster.features),
+    actions: rewriteEntries(monster.actions),
+    bonusActions: rewriteEntries(monster.bonusActions),
+    reactions: rewriteEntries(monster.reactions),
+    legendaryActionEntries: rewriteEntries(monster.legendaryActionEntries),
+    mythicActions: rewriteEntries(monster.mythicActions),
+    lairActions: rewriteEntries(monster.lairActions),
+    scaledFrom: monster.scaledFrom || { monsterId: id, name: monster.name, challenge: String(monster.challenge || '') }
+  };
+}
+
+function scaleHitPoints(hp: number, hitDice: string, ratio: number) {
+  const target = Math.max(1, Math.round(hp * ratio));
+  const dice = hitDice.replace(/\s+/g, '').match(/^(\d+)d(\d+)(?:([+-])(\d+))?$/);
+  if (!dice) return { hp: target, hitDice: '' };
+  const count = Number(dice[1]) || 1;
+  const sides = Number(dice[2]);
+  const perDie = (dice[3] === '-' ? -1 : 1) * (Number(dice[4]) || 0) / count;
+  const newCount = Math.max(1, Math.round(target / ((sides + 1) / 2 + perDie)));
+  const bonus = Math.round(newCount * perDie);
+  return {
+    hp: Math.max(1, Math.floor(newCount * (sides + 1) / 2) + bonus),
+    hitDice: `${newCount}d${sides}${bonus ? `${bonus > 0 ? '+' : '-'}${Math.abs(bonus)}` : ''}`
+  };
+}
+
+function scaleDamage(average: number, count: number, sides: number, bonus: number, ratio: number) {
+  const target = Math.max(1, Math.round(average * ratio));
+  const newCount = Math.max(1, Math.round((target - bonus) / ((sides + 1) / 2)));
+  return {
+    average: Math.max(1, Math.floor(newCount * (sides + 1) / 2) + bonus),
+    expression: `${newCount}d${sides}${bonus ? ` ${bonus > 0 ? '+' : '-'} ${Math.abs(bonus)}` : ''}`
+  };
+}
+
+function rewriteStatblock(
+  text: string,
+  changes: { attack: number; damage: number; saveDc: number },
+  values: { ac: number; hitPoints: { hp: number; hitDice: string }; label: string; xp: number; proficiency: number }
+) {
+  return text.split('\n').map(line => {
+    if (/\*\*Hit Points:\*\*/i.test(line)) {
+      return line.replace(/(\*\*Hit Points:\*\*\s*)\d+(\s*\([^)]*\))?/i, (_, prefix) => `${prefix}${values.hitPoints.hp}${values.hitPoints.hitDice ? ` (${values.hitPoints.hitDice.replace(/([+-])/, ' $1 ')})` : ''}`);
+    }
+    return line
+      .replace(/(\*\*Armor Class:\*\*\s*)\d+/i, (_, prefix) => `${prefix}${values.ac}`)
+      .replace(/(\*\*Challenge\*\*\s*)\d+(?:\/\d+)?(\s*\([^)]*XP\))?/i, (_, prefix) => `${prefix}${values.label} (${values.xp} XP)`)
+      .replace(/(\*\*Proficiency:\*\*\s*)[+-]?\d+/i, (_, prefix) => `${prefix}+${values.proficiency}`)
+      .replace(/([+-])(\d+) to hit/gi, (_, sign, value) => {
+        const bonus = (sign === '-' ? -1 : 1) * Number(value) + changes.attack;
+        return `${bonus < 0 ? '-' : '+'}${Math.abs(bonus)} to hit`;
+      })
+      .replace(/\bDC (\d+)/g, (_, value) => `DC ${Number(value) + changes.saveDc}`)
+      .replace(/(\d+) \((\d+)d(\d+)(?:\s*([+-])\s*(\d+))?\)/g, (_, average, count, sides, sign, bonus) => {
+        const scaled = scaleDamage(Number(average), Number(count), Number(sides), (sign === '-' ? -1 : 1) * (Number(bonus) || 0), changes.damage);
+        return `${scaled.average} (${scaled.expression})`;
+      });
+  }).join('\n');
+}
@@ -1,3 +1,5 @@
+import type { DiceTermResult } from './dice';
+
 export type ClientRole = 'dm' | 'player';
 export type PageScope = 'combat' | 'spells' | 'monsters' | 'inventory' | 'databases' | 'toolbelt';
 
@@ -9,6 +11,30 @@ export interface Effect {
   diceCount?: number | null;
   diceSides?: number | null;
   damageType?: string | null;
+  duration?: EffectDuration | null;
+  remainingRounds?: number | null;
+  sourceCharacterId?: string | null;
+  sourceTurnStarted?: boolean;
+  concentration?: boolean;
+  saveToEnd?: { ability: AbilityKey; dc: number } | null;
+  savePending?: boolean;
+}
+
+export type LifeState = 'alive' | 'dying' | 'stable' | 'dead';
+
+export type DamageType = 'acid' | 'bludgeoning' | 'cold' | 'fire' | 'force' | 'lightning' | 'necrotic' | 'piercing' | 'poison' | 'psychic' | 'radiant' | 'slashing' | 'thunder';
+
+export interface ConcentrationSave {
+  id: string;
+  dc: number;
+  damage: number;
+}
+
+export type EffectDurationUnit = 'rounds' | 'minutes' | 'hours' | 'sourceTurn';
+
+export interface EffectDuration {
+  unit: EffectDurationUnit;
+  amount: number;
 }
 
 export type AbilityKey = 'strength' | 'dexterity' | 'constitution' | 'intelligence' | 'wisdom' | 'charisma';
@@ -53,10 +79,26 @@ export interface Character {
   currentPower?: number;
   powerName?: string;
   effects: Effect[];
+  pendingConcentrationSaves?: ConcentrationSave[];
+  lifeState?: LifeState;
+  deathSaves?: { successes: number; failures: number };
+  diesAtZeroHp?: boolean;
+  damageResistances?: DamageType[];
+  damageVulnerabilities?: DamageType[];
+  damageImmunities?: DamageType[];
   activeInCombat?: boolean;
   revealedToPlayers: boolean;
+  ownerIds?: string[];
+  sharedWithPlayers?: boolean;
   groupId?: string | null;
   groupName?: string | null;
+  lair?: boolean;
+  surprised?: boolean;
+  delayed?: boolean;
+  initiativeRoll?: InitiativeRoll | null;
+  ownInitiative?: { initiative: number | null; initiativeRoll: InitiativeRoll | null } | null;
+  readiedAction?: { trigger: string; round: number } | null;
+  lastLairAction?: { monsterId: string; name: string; round: number } | null;
   monsterData?: Record<string, unknown>;
   monsterAbilities?: MonsterAbilities;
   spellcasterLevel: number;
@@ -92,8 +134,19 @@ export interface CharacterAbility {
   source?: string;
 }
 
+export interface InitiativeRoll {
+  natural: number;
+  rolls: number[];
+  modifier: number;
+  advantage: string;
+  dexterity: number;
+  rollOff: number;
+  source: 'rolled' | 'player';
+}
+
 export interface CharacterSheetGeneral {
   spellcastingAbility?: AbilityKey;
+  initiativeAdvantage?: string;
   speeds?: Record<string, number>;
 }
 
@@ -157,6 +210,14 @@ export interface MonsterEpicAction {
   used: number;
 }
 
+export interface MonsterRecharge {
+  id?: string;
+  name: string;
+  min: number;
+  available: boolean;
+  lastRoll: number | null;
+}
+
 export interface MonsterPowerResource {
   enabled: boolean;
   name: string;
@@ -180,6 +241,8 @@ export interface MonsterAbilities {
   spellSlots?: Record<string, { max: number; used: number; atWill?: boolean }>;
   perDaySpells?: Array<{ name: string; maxUses: number; used: number }>;
   customFeatures?: CustomFeature[];
+  recharges?: MonsterRecharge[];
+  legendaryResistance?: { max: number; used: number };
   legendaryActions?: { enabled: boolean; max: number; used: number };
   power?: MonsterPowerResource;
   spellcasting?: MonsterSpellcasting;
@@ -191,6 +254,7 @@ export interface MonsterDatabaseEntry {
   name: string;
   hp: number;
   maxHp?: number;
+  hitDice?: string;
   ac: number;
   initBonus: number;
   speed?: string;
@@ -203,6 +267,9 @@ export interface MonsterDatabaseEntry {
   proficiency?: string;
   type?: string;
   size?: string;
+  damageResistances?: DamageType[];
+  damageVulnerabilities?: DamageType[];
+  damageImmunities?: DamageType[];
   description?: string;
   defensiveFeatures?: MonsterTextEntry[];
   features?: MonsterTextEntry[];
@@ -219,6 +286,7 @@ export interface MonsterDatabaseEntry {
   monsterAbilities?: MonsterAbilities;
   tags?: string[];
   source?: string;
+  scaledFrom?: { monsterId: string; name: string; challenge: string };
 }
 
 export interface CombatState {
@@ -226,6 +294,44 @@ export interface CombatState {
   currentTurn: number;
   round: number;
   playedThisRound: number[];
+  legendaryPrompt?: { afterCharacterId: string | null; monsterIds: string[] } | null;
+  turnsStarted?: number;
+  events?: CombatEvent[];
+  recap?: CombatRecap | null;
+}
+
+export interface CombatEvent {
+  id: string;
+  kind: 'damage' | 'healing' | 'ko' | 'slot' | 'feature';
+  round: number;
+  actorId: string | null;
+  actorName: string | null;
+  targetId?: string;
+  targetName?: string;
+  amount?: number;
+  damageType?: string | null;
+  lifeState?: LifeState;
+  name?: string;
+}
+
+export interface CombatRecapCombatant {
+  id: string;
+  name: string;
+  type: Character['type'];
+  damageDealt: number;
+  damageTaken: number;
+  healingDone: number;
+  healingReceived: number;
+  knockouts: number;
+  slots: Record<string, number>;
+  features: Record<string, number>;
+}
+
+export interface CombatRecap {
+  rounds: number;
+  endedAt: string;
+  combatants: CombatRecapCombatant[];
+  knockouts: Array<{ round: number; targetId: string; targetName: string; actorName: string | null; lifeState: LifeState }>;
 }
 
 export interface ActionLogEntry {
@@ -237,10 +343,12 @@ export interface ActionLogEntry {
   actorRole: ClientRole;
   page: PageScope;
   type: string;
+  characterIds?: string[];
   label: string;
   reversible: boolean;
   undone: boolean;
   visibility?: 'all' | 'dm';
+  result?: unknown;
 }
 
 export interface GameState {
@@ -257,6 +365,36 @@ export interface GameState {
   redoStacks: Record<string, string[]>;
   nextSequence: number;
   toolbelt: ToolbeltState;
+  playerAccounts?: PlayerAccount[];
+  encounters?: Encounter[];
+}
+
+export interface EncounterMonster {
+  monsterId: string;
+  count: number;
+  groupName: string;
+  revealed: boolean;
+}
+
+export interface EncounterWave {
+  id: string;
+  name: string;
+  monsters: EncounterMonster[];
+}
+
+export interface Encounter {
+  id: string;
+  name: string;
+  notes: string;
+  lair: boolean;
+  monsters: EncounterMonster[];
+  waves: EncounterWave[];
+}
+
+export interface PlayerAccount {
+  id: string;
+  name: string;
+  token?: string;
 }
 
 export interface GameAction<TPayload = Record<string, unknown>> {
@@ -279,11 +417,22 @@ export interface DiceHistoryEntry {
   expression: string;
   total: number;
   detail: string;
+  terms?: DiceTermResult[];
   mode: string;
   rerollOnes: boolean;
   timestamp: string;
 }
 
+export interface MonsterAttackRoll {
+  name: string;
+  total: number | null;
+  natural: number | null;
+  critical: boolean;
+  hit: boolean | null;
+  detail: string | null;
+  damage: Array<{ total: number; damageType: string | null; detail: string }>;
+}
+
 export interface ImprovNameEntry {
   id: string;
   name: string;
@@ -4,6 +4,7 @@ const { Server } = require('socket.io');
 const { io: Client } = require('socket.io-client');
 const { createInitialState } = require('../../server/defaults');
 const { createSocketHandlers } = require('../../server/socketHandlers');
+const { applyPatch } = require('../../server/history');
 
 function player() {
     return {
@@ -78,6 +79,27 @@ describe('socket roles and actions', () => {
         await new Promise(resolve => harness.httpServer.close(resolve));
     });
 
+    it('registers players by join token and blocks characters they do not own', async () => {
+        const harness = await startHarness();
+        harness.stateRef.current.playerAccounts.push({ id: 'account-a', name: 'Anna', token: 'anna-link' });
+        harness.stateRef.current.characters[0].ownerIds = ['account-b'];
+        harness.stateRef.current.characters[0].sharedWithPlayers = false;
+        const anna = await connect(harness.url, { mode: 'player', token: 'anna-link' });
+        expect(anna.payload.player).toEqual({ id: 'account-a', name: 'Anna' });
+
+        const blocked = await new Promise(resolve => anna.socket.emit('action:submit', { type: 'character.adjustHp', payload: { characterId: 'hero', amount: 1 } }, resolve));
+        expect(blocked.ok).toBe(false);
+
+        harness.stateRef.current.characters[0].ownerIds = ['account-a'];
+        const allowed = await new Promise(resolve => anna.socket.emit('action:submit', { type: 'character.adjustHp', payload: { characterId: 'hero', amount: 1 } }, resolve));
+        expect(allowed.ok).toBe(true);
+        expect(allowed.entry.actorName).toBe('Anna');
+
+        anna.socket.disconnect();
+        harness.io.close();
+        await new Promise(resolve => harness.httpServer.close(resolve));
+    });
+
     it('rejects player DM-only actions and accepts player HP action', async () => {
         const harness = await startHarness();
         const client = await connect(harness.url, { mode: 'player' });
@@ -98,7 +120,8 @@ describe('socket roles and actions', () => {
         expect(hpResult.ok).toBe(true);
         expect(hpResult.entry.before).toBeUndefined();
         expect(hpResult.entry.after).toBeUndefined();
-        expect(harness.stateRef.current.actionLog[0].before).toBeTruthy();
+        expect(hpResult.entry.patch).toBeUndefined();
+        expect(harness.stateRef.current.actionLog[0].patch).toBeTruthy();
 
         const historyResult = await new Promise(resolve => dm.socket.emit('history:list', {}, resolve));
         expect(historyResult.ok).toBe(true);
@@ -109,4 +132,32 @@ describe('socket roles and actions', () => {
         harness.io.close();
         await new Promise(resolve => harness.httpServer.close(resolve));
     });
+
+    it('broadcasts per-role state diffs and resyncs on request', async () => {
+        const harness = await startHarness();
+        const dm = await connect(harness.url, { mode: 'dm', token: 'secret' });
+        const playerClient = await connect(harness.url, { mode: 'player' });
+        const playerState = await new Promise(resolve => {
+            playerClient.socket.once('state:init', resolve);
+            playerClient.socket.emit('state:resync');
+        });
+        const patched = new Promise(resolve => playerClient.socket.once('state:patch', resolve));
+        const hpResult = await new Promise(resolve => dm.socket.emit('action:submit', { type: 'character.adjustHp', payload: { characterId: 'hero', amount: -3 } }, resolve));
+        expect(hpResult.ok).toBe(true);
+
+        const payload = await patched;
+        expect(payload.state).toBeUndefined();
+        expect(payload.baseSequence).toBe(playerState.nextSequence);
+        expect(payload.sequence).toBe(harness.stateRef.current.nextSequence);
+        expect(payload.patch).toContainEqual({ op: 'replace', path: ['characters', { id: 'hero' }, 'currentHp'], value: 7 });
+        expect(payload.patch.every(op => op.oldValue === undefined)).toBe(true);
+        const next = applyPatch(playerState, payload.patch);
+        expect(next.characters[0].currentHp).toBe(7);
+        expect(next.nextSequence).toBe(payload.sequence);
+
+        dm.socket.disconnect();
+        playerClient.socket.disconnect();
+        harness.io.close();
+        await new Promise(resolve => harness.httpServer.close(resolve));
+    });
 });
@@ -1,8 +1,9 @@
 const { createInitialState } = require('../../server/defaults');
-const { applyGameAction, undoPage, redoPage } = require('../../server/actions');
-const { authorizeAction } = require('../../server/permissions');
+const { applyGameAction, historyTarget, undoPage, redoPage } = require('../../server/actions');
+const { authorizeAction, canUseHistory } = require('../../server/permissions');
 const { filterStateForClient } = require('../../server/visibility');
-const { migrateAutosave } = require('../../server/migrations');
+const { stateSlicesForEntry } = require('../../server/socketHandlers');
+const { migrateAutosave, normalizeCharacter } = require('../../server/migrations');
 const { importSpellsFromDataFolder, parseSpellCsv } = require('../../server/spellImport');
 const fs = require('fs');
 const os = require('os');
@@ -125,6 +126,43 @@ describe('permissions', () => {
         expect(authorizeAction(state, { type: 'toolbelt.note.upsert', payload: { title: 'Secret' } }, { role: 'player' }).ok).toBe(false);
         expect(authorizeAction(state, { type: 'toolbelt.calendar.setDate', payload: {} }, { role: 'player' }).ok).toBe(false);
     });
+
+    it('limits players to owned or explicitly shared characters', () => {
+        const state = createInitialState();
+        state.characters.push({ ...player(), ownerIds: ['account-a'], sharedWithPlayers: false });
+        state.characters.push({ ...player('Bryn'), ownerIds: ['account-b'], sharedWithPlayers: true });
+        const owner = { role: 'player', playerId: 'account-a' };
+        const other = { role: 'player', playerId: 'account-b' };
+        const anonymous = { role: 'player' };
+
+        expect(authorizeAction(state, { type: 'character.adjustHp', payload: { characterId: 'nif', amount: 5 } }, owner).ok).toBe(true);
+        expect(authorizeAction(state, { type: 'character.adjustHp', payload: { characterId: 'nif', amount: 5 } }, other).reason).toBe('Tuto postavu nevlastnis.');
+        expect(authorizeAction(state, { type: 'spellbook.known.add', payload: { characterId: 'nif', spellId: 'spell-1' } }, anonymous).ok).toBe(false);
+        expect(authorizeAction(state, { type: 'character.adjustHp', payload: { characterId: 'bryn', amount: 5 } }, anonymous).ok).toBe(true);
+        expect(authorizeAction(state, { type: 'inventory.item.transfer', payload: { sourceCharacterId: 'nif', targetCharacterId: 'bryn', collection: 'generalItems', index: 0 } }, owner).ok).toBe(true);
+        expect(authorizeAction(state, { type: 'inventory.item.transfer', payload: { sourceCharacterId: 'nif', targetCharacterId: 'bryn', collection: 'generalItems', index: 0 } }, other).ok).toBe(false);
+    });
+
+    it('keeps damage defenses DM-only and limits player undo to entries on their own characters', () => {
+        const state = createInitialState();
+        state.characters.push({ ...player(), ownerIds: ['account-a'], sharedWithPlayers: false }, monster());
+        const owner = { id: 'socket-a', role: 'player', playerId: 'account-a' };
+        const other = { id: 'socket-b', role: 'player', playerId: 'account-b' };
+        const dm = { id: 'dm', role: 'dm' };
+
+        expect(authorizeAction(state, { type: 'character.defenses.set', payload: { characterId: 'nif', damageImmunities: ['fire'] } }, owner).ok).toBe(false);
+        const { entry } = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'nif', amount: -3 } }, owner);
+        expect(entry.characterIds).toEqual(['nif']);
+        expect(canUseHistory(state, 'combat', owner, historyTarget(state, 'combat', 'undo'))).toBe(true);
+        expect(canUseHistory(state, 'combat', other, historyTarget(state, 'combat', 'undo'))).toBe(false);
+
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'orc', amount: -5 } }, dm);
+        expect(canUseHistory(state, 'combat', owner, historyTarget(state, 'combat', 'undo'))).toBe(false);
+        applyGameAction(state, { type: 'combat.start' }, dm);
+        expect(canUseHistory(state, 'combat', owner, historyTarget(state, 'combat', 'undo'))).toBe(false);
+        expect(canUseHistory(state, 'databases', owner, null)).toBe(false);
+        expect(canUseHistory(state, 'combat', dm, historyTarget(state, 'combat', 'undo'))).toBe(true);
+    });
 });
 
 describe('actions and history', () => {
@@ -139,6 +177,48 @@ describe('actions and history', () => {
         expect(state.characters[0].currentHp).toBe(35);
     });
 
+    it('stores history entries as structural diffs instead of page snapshots', () => {
+        const state = createInitialState();
+        state.characters.push(player(), monster());
+        for (let index = 0; index < 200; index += 1) {
+            state.spellDatabase.push({ id: `spell_${index}`, name: `Spell ${index}`, levelKey: '1', description: 'x'.repeat(200) });
+        }
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'nif', amount: -5 } }, { id: 'dm', role: 'dm' });
+        applyGameAction(state, { type: 'database.spell.remove', payload: { id: 'spell_10' } }, { id: 'dm', role: 'dm' });
+
+        expect(state.actionLog[0].before).toBeUndefined();
+        expect(state.actionLog[0].after).toBeUndefined();
+        expect(state.actionLog[0].patch).toEqual([
+            { op: 'replace', path: ['characters', { id: 'nif' }, 'currentHp'], value: 20, oldValue: 25 }
+        ]);
+        expect(state.actionLog[1].patch).toContainEqual(expect.objectContaining({ op: 'remove', path: ['spellDatabase', { id: 'spell_10', index: 10 }] }));
+        expect(state.actionLog[1].patch.some(op => op.path[0] === 'spellDatabase' && op.path.length > 2)).toBe(false);
+
+        undoPage(state, 'databases', { id: 'dm', role: 'dm' });
+        expect(state.spellDatabase[10].id).toBe('spell_10');
+        undoPage(state, 'combat', { id: 'dm', role: 'dm' });
+        expect(state.characters.find(character => character.id === 'nif').currentHp).toBe(25);
+        redoPage(state, 'combat', { id: 'dm', role: 'dm' });
+        expect(state.characters.find(character => character.id === 'nif').currentHp).toBe(20);
+    });
+
+    it('replays initiative re-sorts and removed combatants through history diffs', () => {
+        const state = createInitialState();
+        state.characters.push({ ...player('Ayla'), initBonus: 0 }, { ...player('Borin'), initBonus: 30 }, monster('Orc'));
+        applyGameAction(state, { type: 'combat.start' }, { id: 'dm', role: 'dm' });
+        const sorted = state.characters.map(character => character.id);
+        applyGameAction(state, { type: 'character.remove', payload: { characterId: 'orc' } }, { id: 'dm', role: 'dm' });
+        expect(state.characters.map(character => character.id)).not.toContain('orc');
+
+        undoPage(state, 'combat', { id: 'dm', role: 'dm' });
+        expect(state.characters.map(character => character.id)).toEqual(sorted);
+        undoPage(state, 'combat', { id: 'dm', role: 'dm' });
+        expect(state.characters.map(character => character.id)).toEqual(['ayla', 'borin', 'orc']);
+        expect(state.combatState.active).toBe(false);
+        redoPage(state, 'combat', { id: 'dm', role: 'dm' });
+        expect(state.characters.map(character => character.id)).toEqual(sorted);
+    });
+
     it('undo on inventory ignores later combat actions', () => {
         const state = createInitialState();
         state.characters.push(player());
@@ -260,7 +340,7 @@ describe('actions and history', () => {
             }
         }, { id: 'dm', role: 'dm' });
         expect(state.characters.map(character => character.name)).toEqual(['Ayla', 'Orc']);
-        expect(state.combatState).toEqual({ active: true, currentTurn: 1, round: 2, playedThisRound: [0] });
+        expect(state.combatState).toEqual({ active: true, currentTurn: 1, round: 2, playedThisRound: [0], events: [] });
 
         undoPage(state, 'combat', { id: 'dm', role: 'dm' });
         expect(state.characters.map(character => character.name)).toEqual(['Nif']);
@@ -282,6 +362,46 @@ describe('actions and history', () => {
         expect(state.potionDatabase).toHaveLength(1);
     });
 
+    it('manages player accounts and character owners with real actor names in history', () => {
+        const state = createInitialState();
+        state.characters.push(player());
+        applyGameAction(state, { type: 'player.account.add', payload: { name: 'Anna' } }, { id: 'dm', role: 'dm' });
+        const account = state.playerAccounts[0];
+        expect(account.name).toBe('Anna');
+        expect(account.token).toMatch(/^[0-9a-f]{24}$/);
+
+        const { entry: ownersEntry } = applyGameAction(state, { type: 'character.owners.set', payload: { characterId: 'nif', ownerIds: [account.id, 'ghost'], sharedWithPlayers: false } }, { id: 'dm', role: 'dm' });
+        expect(ownersEntry.page).toBe('databases');
+        expect(state.characters[0].ownerIds).toEqual([account.id]);
+        expect(state.characters[0].sharedWithPlayers).toBe(false);
+
+        const { entry } = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'nif', amount: -3 } }, { id: 'socket-1', role: 'player', playerId: account.id });
+        expect(entry.actorName).toBe('Anna');
+        expect(entry.actorId).toBe(account.id);
+
+        applyGameAction(state, { type: 'player.account.remove', payload: { accountId: account.id } }, { id: 'dm', role: 'dm' });
+        expect(state.playerAccounts).toEqual([]);
+        expect(state.characters[0].ownerIds).toEqual([]);
+        undoPage(state, 'databases', { id: 'dm', role: 'dm' });
+        expect(state.playerAccounts[0].token).toBe(account.token);
+        expect(state.characters[0].ownerIds).toEqual([account.id]);
+    });
+
+    it('keeps the initiative order when undoing an owner change mid-combat', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push({ ...player('Ayla'), initiative: 18 }, { ...monster('Orc'), initiative: 12 }, { ...player('Bryn'), initiative: 5 });
+        state.characters = state.characters.map(normalizeCharacter);
+        applyGameAction(state, { type: 'combat.start' }, dm);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+
+        applyGameAction(state, { type: 'character.owners.set', payload: { characterId: 'bryn', ownerIds: [], sharedWithPlayers: false } }, dm);
+        undoPage(state, 'databases', dm);
+        expect(state.characters.map(character => character.name)).toEqual(['Ayla', 'Orc', 'Bryn']);
+        expect(state.characters[2].sharedWithPlayers).toBe(true);
+        expect(state.characters[state.combatState.currentTurn].name).toBe('Orc');
+    });
+
     it('permanently deletes saved players as an undoable database action', () => {
         const state = createInitialState();
         state.characters.push(player('Ayla'), monster('Orc'));
@@ -345,6 +465,459 @@ describe('actions and history', () => {
         expect(state.characters[1].monsterAbilities.epicActions.actions[0].used).toBe(0);
     });
 
+    it('detects recharge abilities and rolls used ones when the monster turn starts', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        const dragon = normalizeCharacter({ ...monster('Dragon'), initiative: 10, monsterData: { name: 'Dragon', actions: [{ name: 'Bite', description: '' }, { name: 'Fire Breath (Recharge 5–6)', description: '' }] } });
+        expect(dragon.monsterAbilities.recharges).toEqual([expect.objectContaining({ name: 'Fire Breath', min: 5, available: true, lastRoll: null })]);
+        state.characters.push(normalizeCharacter({ ...player('Ayla'), initiative: 20 }), dragon);
+        state.combatState = { active: true, currentTurn: 0, round: 1, playedThisRound: [] };
+
+        expect(applyGameAction(state, { type: 'monster.recharge.set', payload: { characterId: dragon.id, index: 0, available: false } }, dm).entry.label).toBe('Dragon: Fire Breath pouzito');
+        const random = vi.spyOn(Math, 'random').mockReturnValue(0.5);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[1].monsterAbilities.recharges[0]).toMatchObject({ available: false, lastRoll: 4 });
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        random.mockReturnValue(0.9);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        random.mockRestore();
+        expect(state.characters[1].monsterAbilities.recharges[0]).toMatchObject({ available: true, lastRoll: 6 });
+    });
+
+    it('offers legendary actions after other creatures end their turns and spends their cost', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        const dragon = normalizeCharacter({
+            ...monster('Dragon'),
+            initiative: 15,
+            monsterData: { name: 'Dragon', legendaryActionEntries: [{ name: 'Detect', description: 'Makes a check.' }, { name: 'Wing Attack (Costs 2 Actions)', description: 'Beats its wings.' }] },
+            monsterAbilities: { enabled: true, legendaryActions: { enabled: true, max: 3, used: 0 } }
+        });
+        state.characters.push(normalizeCharacter({ ...player('Ayla'), initiative: 20 }), dragon, normalizeCharacter({ ...player('Bryn'), initiative: 5 }));
+        state.combatState = { active: true, currentTurn: 0, round: 1, playedThisRound: [] };
+
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.combatState.legendaryPrompt).toBeNull();
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.combatState.legendaryPrompt).toBeNull();
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.combatState.legendaryPrompt).toEqual({ afterCharacterId: state.characters[2].id, monsterIds: [dragon.id] });
+        expect(filterStateForClient(state, 'player').combatState.legendaryPrompt).toBeNull();
+
+        const used = applyGameAction(state, { type: 'combat.legendaryAction', payload: { characterId: dragon.id, index: 1 } }, dm);
+        expect(used.entry).toMatchObject({ page: 'combat', visibility: 'dm', label: 'Dragon: legendary Wing Attack (2) 2/3' });
+        expect(state.combatState.legendaryPrompt.monsterIds).toEqual([]);
+        expect(() => applyGameAction(state, { type: 'combat.legendaryAction', payload: { characterId: dragon.id, index: 0 } }, dm)).toThrow('Legendarni akce ted nelze pouzit.');
+
+        undoPage(state, 'combat', dm);
+        expect(state.characters[1].monsterAbilities.legendaryActions.used).toBe(0);
+        state.characters[1].monsterAbilities.legendaryActions.used = 2;
+        expect(() => applyGameAction(state, { type: 'combat.legendaryAction', payload: { characterId: dragon.id, index: 1 } }, dm)).toThrow('Nedostatek legendarnich akci.');
+    });
+
+    it('spends legendary resistance and restores it on long rest or combat end', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        const lich = normalizeCharacter({ ...monster('Lich'), monsterData: { name: 'Lich', defensiveFeatures: ['**Legendary Resistance (3/Day).** If the lich fails a saving throw, it can choose to succeed instead.'] } });
+        expect(lich.monsterAbilities.legendaryResistance).toEqual({ max: 3, used: 0 });
+        state.characters.push(normalizeCharacter(player('Ayla')), lich);
+
+        const used = applyGameAction(state, { type: 'monster.legendaryResistance.uses', payload: { characterId: lich.id, used: 2 } }, dm);
+        expect(used.entry).toMatchObject({ visibility: 'dm', label: 'Lich: legendary resistance 2/3' });
+        applyGameAction(state, { type: 'spell.rest.all', payload: { restType: 'long' } }, dm);
+        expect(state.characters[1].monsterAbilities.legendaryResistance.used).toBe(0);
+        undoPage(state, 'spells', dm);
+        expect(state.characters[1].monsterAbilities.legendaryResistance.used).toBe(2);
+
+        applyGameAction(state, { type: 'combat.start' }, dm);
+        applyGameAction(state, { type: 'combat.end' }, dm);
+        expect(state.characters.find(character => character.name === 'Lich').monsterAbilities.legendaryResistance.used).toBe(0);
+        expect(() => applyGameAction(state, { type: 'monster.legendaryResistance.uses', payload: { characterId: 'missing', used: 1 } }, dm)).toThrow('Monstrum neexistuje.');
+    });
+
+    it('ticks effect durations on the source turn and expires them with their own history entry', () => {
+        const state = createInitialState();
+        const hero = player('Ayla');
+        const boss = monster('Zealot');
+        hero.initiative = 20;
+        boss.initiative = 10;
+        boss.revealedToPlayers = true;
+        state.characters.push(hero, boss);
+        state.combatState = { active: true, currentTurn: 0, round: 1, playedThisRound: [] };
+        const dm = { id: 'dm', role: 'dm' };
+
+        applyGameAction(state, { type: 'effect.add', payload: { characterId: 'zealot', name: 'Bless', duration: { unit: 'rounds', amount: 2 }, sourceCharacterId: 'ayla' } }, dm);
+        applyGameAction(state, { type: 'effect.add', payload: { characterId: 'zealot', name: 'Vicious Mockery', duration: { unit: 'sourceTurn' }, sourceCharacterId: 'ayla' } }, dm);
+        applyGameAction(state, { type: 'effect.add', payload: { characterId: 'ayla', name: 'Haste', duration: { unit: 'minutes', amount: 1 } } }, dm);
+        expect(state.characters[1].effects[0]).toEqual(expect.objectContaining({ duration: { unit: 'rounds', amount: 2 }, remainingRounds: 2, sourceCharacterId: 'ayla' }));
+        expect(state.characters[0].effects[0].remainingRounds).toBe(10);
+
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[1].effects.map(effect => effect.name)).toEqual(['Bless', 'Vicious Mockery']);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[1].effects[0].remainingRounds).toBe(1);
+        expect(state.characters[1].effects[1].sourceTurnStarted).toBe(true);
+        expect(state.characters[0].effects[0].remainingRounds).toBe(9);
+
+        applyGameAction(state, { type: 'combat.previousTurn' }, dm);
+        expect(state.characters[1].effects[0].remainingRounds).toBe(2);
+        expect(state.characters[1].effects[1].sourceTurnStarted).toBe(false);
+        expect(state.characters[0].effects[0].remainingRounds).toBe(10);
+
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[1].effects.map(effect => effect.name)).toEqual(['Bless']);
+        const expiry = state.actionLog[state.actionLog.length - 1];
+        expect(expiry).toEqual(expect.objectContaining({ type: 'effect.expire', label: 'Vyprsely efekty: Zealot Vicious Mockery', page: 'combat' }));
+
+        undoPage(state, 'combat', dm);
+        expect(state.characters[1].effects.map(effect => effect.name)).toEqual(['Bless', 'Vicious Mockery']);
+        expect(state.combatState.currentTurn).toBe(1);
+
+        redoPage(state, 'combat', dm);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[1].effects).toEqual([]);
+    });
+
+    it('queues concentration saves on damage and drops linked effects on a failed save', () => {
+        const state = createInitialState();
+        state.characters.push({ ...player('Ayla'), currentHp: 50, abilityScores: { constitution: 16 } }, player('Bryn'));
+        const dm = { id: 'dm', role: 'dm' };
+
+        applyGameAction(state, { type: 'effect.add', payload: { characterId: 'bryn', name: 'Bless', sourceCharacterId: 'ayla', concentration: true } }, dm);
+        expect(state.characters[0].effects.map(effect => effect.name)).toEqual(['Concentrating']);
+
+        const { entry } = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ayla', amount: -26 } }, dm);
+        expect(entry.label).toBe('Ayla: -26 HP; koncentrace DC 13');
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ayla', amount: -4 } }, dm);
+        expect(state.characters[0].pendingConcentrationSaves.map(save => save.dc)).toEqual([13, 10]);
+
+        const [first, second] = state.characters[0].pendingConcentrationSaves;
+        const passed = applyGameAction(state, { type: 'character.concentration.resolve', payload: { characterId: 'ayla', saveId: first.id, roll: 10 } }, dm);
+        expect(passed.entry.result).toEqual({ success: true, roll: 10, total: 13, dc: 13 });
+        expect(state.characters[1].effects.map(effect => effect.name)).toEqual(['Bless']);
+
+        const failed = applyGameAction(state, { type: 'character.concentration.resolve', payload: { characterId: 'ayla', saveId: second.id, roll: 2, bonus: 20 } }, dm);
+        expect(failed.entry.label).toBe('Ayla: koncentrace ztracena (5 vs DC 10); odebrano Ayla Concentrating, Bryn Bless');
+        expect(state.characters[0].effects).toEqual([]);
+        expect(state.characters[1].effects).toEqual([]);
+        expect(state.characters[0].pendingConcentrationSaves).toEqual([]);
+
+        undoPage(state, 'combat', dm);
+        expect(state.characters[1].effects.map(effect => effect.name)).toEqual(['Bless']);
+        expect(state.characters[0].pendingConcentrationSaves).toHaveLength(1);
+    });
+
+    it('loses concentration without a save when damage drops the caster to 0 HP', () => {
+        const state = createInitialState();
+        state.characters.push({ ...player('Ayla'), currentHp: 5, effects: [{ name: 'Concentrating', level: null }] });
+        state.characters.push({ ...player('Bryn'), effects: [{ name: 'Haste', level: null, sourceCharacterId: 'ayla', concentration: true }] });
+
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ayla', amount: -8 } }, { id: 'dm', role: 'dm' });
+
+        expect(state.characters[0].pendingConcentrationSaves || []).toEqual([]);
+        expect(state.characters[0].effects).toEqual([]);
+        expect(state.characters[1].effects).toEqual([]);
+    });
+
+    it('tracks dying, death saves and stabilizing for player characters', () => {
+        const state = createInitialState();
+        state.characters.push({ ...player('Ayla'), currentHp: 5 });
+        const dm = { id: 'dm', role: 'dm' };
+
+        const down = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ayla', amount: -8 } }, dm);
+        expect(down.entry.label).toBe('Ayla: -8 HP; umira');
+        expect(state.characters[0].lifeState).toBe('dying');
+
+        const hit = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ayla', amount: -3, critical: true } }, dm);
+        expect(hit.entry.label).toBe('Ayla: -3 HP; death saves 0/3 uspechu, 2/3 neuspechu');
+
+        const save = applyGameAction(state, { type: 'character.deathSave.roll', payload: { characterId: 'ayla', roll: 12 } }, dm);
+        expect(save.entry.result).toEqual({ roll: 12, lifeState: 'dying', deathSaves: { successes: 1, failures: 2 } });
+
+        applyGameAction(state, { type: 'character.stabilize', payload: { characterId: 'ayla' } }, dm);
+        expect(state.characters[0]).toMatchObject({ lifeState: 'stable', deathSaves: { successes: 0, failures: 0 } });
+        expect(() => applyGameAction(state, { type: 'character.deathSave.roll', payload: { characterId: 'ayla', roll: 12 } }, dm)).toThrow('Postava neumira.');
+
+        const healed = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ayla', amount: 4 } }, dm);
+        expect(healed.entry.label).toBe('Ayla: +4 HP; pri vedomi');
+        expect(state.characters[0].lifeState).toBe('alive');
+
+        undoPage(state, 'combat', dm);
+        expect(state.characters[0].lifeState).toBe('stable');
+    });
+
+    it('handles natural 1 and 20 death saves, massive damage and monster deaths', () => {
+        const state = createInitialState();
+        state.characters.push({ ...player('Ayla'), currentHp: 0, lifeState: 'dying' }, { ...player('Bryn'), currentHp: 10 }, monster('Orc'), { ...monster('Ogre'), diesAtZeroHp: false });
+        const dm = { id: 'dm', role: 'dm' };
+
+        applyGameAction(state, { type: 'character.deathSave.roll', payload: { characterId: 'ayla', roll: 1 } }, dm);
+        expect(state.characters[0].deathSaves.failures).toBe(2);
+        applyGameAction(state, { type: 'character.deathSave.roll', payload: { characterId: 'ayla', roll: 20 } }, dm);
+        expect(state.characters[0]).toMatchObject({ currentHp: 1, lifeState: 'alive', deathSaves: { successes: 0, failures: 0 } });
+
+        const massive = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'bryn', amount: -60 } }, dm);
+        expect(massive.entry.label).toBe('Bryn: -60 HP; okamzita smrt');
+        expect(() => applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'bryn', amount: 5 } }, dm)).toThrow('Postava je mrtva.');
+        applyGameAction(state, { type: 'character.revive', payload: { characterId: 'bryn', hp: 3 } }, dm);
+        expect(state.characters[1]).toMatchObject({ currentHp: 3, lifeState: 'alive' });
+
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'orc', amount: -30 } }, dm);
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ogre', amount: -30 } }, dm);
+        expect(state.characters[2].lifeState).toBe('dead');
+        expect(state.characters[3].lifeState).toBe('dying');
+    });
+
+    it('applies damage resistances, vulnerabilities and immunities by damage type', () => {
+        const state = createInitialState();
+        state.characters.push(normalizeCharacter({
+            ...monster('Golem'),
+            currentHp: 50,
+            monsterData: { name: 'Golem', damageResistances: 'Fire, piercing; bludgeoning and slashing from nonmagical attacks', damageImmunities: ['poison'] },
+            damageVulnerabilities: ['cold', 'fire']
+        }));
+        const dm = { id: 'dm', role: 'dm' };
+        expect(state.characters[0]).toMatchObject({ damageResistances: ['fire', 'piercing'], damageImmunities: ['poison'] });
+
+        const resisted = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'golem', amount: -9, damageType: 'piercing' } }, dm);
+        expect(resisted.entry.label).toBe('Golem: -4 HP (9 piercing, odolnost)');
+        const vulnerable = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'golem', amount: -5, damageType: 'cold' } }, dm);
+        expect(vulnerable.entry.label).toBe('Golem: -10 HP (5 cold, zranitelnost)');
+        const both = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'golem', amount: -7, damageType: 'fire' } }, dm);
+        expect(both.entry.label).toBe('Golem: -6 HP (7 fire, odolnost, zranitelnost)');
+        const immune = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'golem', amount: -20, damageType: 'poison' } }, dm);
+        expect(immune.entry.label).toBe('Golem: -0 HP (20 poison, imunita)');
+        const plain = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'golem', amount: -3, damageType: 'force' } }, dm);
+        expect(plain.entry.label).toBe('Golem: -3 HP (force)');
+        expect(state.characters[0].currentHp).toBe(27);
+
+        const { entry } = applyGameAction(state, { type: 'character.defenses.set', payload: { characterId: 'golem', damageResistances: ['acid', 'banana'], damageVulnerabilities: [], damageImmunities: [] } }, dm);
+        expect(entry.label).toBe('Golem: odolnosti odolnost acid');
+        expect(state.characters[0].damageImmunities).toEqual([]);
+    });
+
+    it('rolls ongoing effect damage at the start of the bearer turn and prompts a save to end it', () => {
+        const state = createInitialState();
+        state.characters.push({ ...player('Ayla'), initiative: 20 }, { ...player('Bryn'), initiative: 10, damageResistances: ['fire'], abilityScores: { dexterity: 14 } });
+        const dm = { id: 'dm', role: 'dm' };
+        applyGameAction(state, { type: 'effect.add', payload: { characterId: 'bryn', name: 'Burning', diceCount: 2, diceSides: 4, damageType: 'fire', saveToEnd: { ability: 'dexterity', dc: 13 } } }, dm);
+        applyGameAction(state, { type: 'combat.start' }, dm);
+
+        const random = vi.spyOn(Math, 'random').mockReturnValueOnce(0.99).mockReturnValueOnce(0.5);
+        try {
+            applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        } finally {
+            random.mockRestore();
+        }
+        const tick = state.actionLog[state.actionLog.length - 1];
+        expect(tick).toMatchObject({ type: 'effect.ongoingDamage', label: 'Burning 2d4 = 7: Bryn: -3 HP (7 fire, odolnost); save DC 13 DEX' });
+        expect(state.characters[1].currentHp).toBe(22);
+        expect(state.characters[1].effects[0].savePending).toBe(true);
+
+        const failed = applyGameAction(state, { type: 'effect.save.resolve', payload: { characterId: 'bryn', index: 0, roll: 8, bonus: 10 } }, dm);
+        expect(failed.entry.label).toBe('Bryn: Burning save 10 vs DC 13 DEX (neuspech)');
+        expect(state.characters[1].effects[0].savePending).toBeUndefined();
+        expect(() => applyGameAction(state, { type: 'effect.save.resolve', payload: { characterId: 'bryn', index: 0, roll: 20 } }, dm)).toThrow('Efekt neceka na save.');
+
+        undoPage(state, 'combat', dm);
+        undoPage(state, 'combat', dm);
+        expect(state.characters[1].currentHp).toBe(25);
+        expect(state.characters[1].effects[0].savePending).toBeUndefined();
+        state.characters[1].effects[0].savePending = true;
+        const passed = applyGameAction(state, { type: 'effect.save.resolve', payload: { characterId: 'bryn', index: 0, roll: 12 } }, dm);
+        expect(passed.entry.result).toEqual({ success: true, roll: 12, total: 14, dc: 13 });
+        expect(state.characters[1].effects).toEqual([]);
+    });
+
+    it('applies one area damage roll with per-target saves as a single undoable entry', () => {
+        const state = createInitialState();
+        state.characters.push(
+            { ...player('Ayla'), abilityScores: { dexterity: 16 } },
+            { ...monster('Orc'), damageResistances: ['fire'], monsterData: { secret: true, saves: 'Dex +1' } },
+            { ...monster('Goblin'), monsterData: { secret: true, stats: { dexterity: 14 } } }
+        );
+        const dm = { id: 'dm', role: 'dm' };
+
+        const { entry } = applyGameAction(state, {
+            type: 'character.adjustHpBatch',
+            payload: {
+                amount: -20,
+                damageType: 'fire',
+                save: { ability: 'dexterity', dc: 15, onSuccess: 'half' },
+                targets: [
+                    { characterId: 'ayla', saveRoll: 14 },
+                    { characterId: 'orc', saveRoll: 5, saveBonus: 10 },
+                    { characterId: 'goblin', saveRoll: 12 }
+                ]
+            }
+        }, dm);
+
+        expect(entry.label).toBe('Plosne poskozeni 20 fire, DEX DC 15 (polovina pri uspechu): Ayla: -10 HP (fire) [save 17 uspech]; Orc: -10 HP (20 fire, odolnost) [save 6 neuspech]; Goblin: -20 HP (fire) [save 14 neuspech]');
+        expect(entry.result.targets.map(target => target.amount)).toEqual([10, 20, 20]);
+        expect(state.characters.map(character => character.currentHp)).toEqual([15, 15, 5]);
+
+        undoPage(state, 'combat', dm);
+        expect(state.characters.map(character => character.currentHp)).toEqual([25, 25, 25]);
+
+        const healed = applyGameAction(state, { type: 'character.adjustHpBatch', payload: { amount: 5, targets: [{ characterId: 'ayla' }, { characterId: 'orc' }] } }, dm);
+        expect(healed.entry.label).toBe('Plosne leceni +5: Ayla: +5 HP; Orc: +5 HP');
+        expect(() => applyGameAction(state, { type: 'character.adjustHpBatch', payload: { amount: -5, targets: [{ characterId: 'ayla' }, { characterId: 'nobody' }] } }, dm)).toThrow('Postava neexistuje.');
+        expect(state.characters[0].currentHp).toBe(30);
+    });
+
+    it('saves planned encounters and deploys them into combat in one action', () => {
+        const state = createInitialState();
+        state.monsterDatabase.push({ id: 'goblin', name: 'Goblin', hp: 7, ac: 15, initBonus: 2, challenge: '1/4' }, { id: 'ogre', name: 'Ogre', hp: 59, ac: 11, initBonus: -1, challenge: '2' });
+        const dm = { id: 'dm', role: 'dm' };
+
+        const saved = applyGameAction(state, { type: 'encounter.upsert', payload: { encounter: { id: 'ambush', name: 'Ambush', monsters: [{ monsterId: 'goblin', count: 3 }, { monsterId: 'ogre', count: 1 }, { monsterId: 'dragon', count: 1 }] } } }, dm);
+        expect(saved.entry).toMatchObject({ page: 'databases', visibility: 'dm' });
+        expect(state.encounters).toEqual([{ id: 'ambush', name: 'Ambush', notes: '', lair: false, waves: [], monsters: [{ monsterId: 'goblin', count: 3, groupName: '', revealed: false }, { monsterId: 'ogre', count: 1, groupName: '', revealed: false }] }]);
+        expect(filterStateForClient(state, 'player').encounters).toEqual([]);
+
+        const deployed = applyGameAction(state, { type: 'encounter.deploy', payload: { encounterId: 'ambush' } }, dm);
+        expect(deployed.entry.label).toBe('Setkani Ambush nasazeno: 3x Goblin, 1x Ogre');
+        expect(state.characters.map(character => character.name)).toEqual(['Goblin 1', 'Goblin 2', 'Goblin 3', 'Ogre']);
+        expect(state.characters[3]).toMatchObject({ type: 'monster', maxHp: 59, currentHp: 59, ac: 11, initBonus: -1, revealedToPlayers: false });
+
+        undoPage(state, 'combat', dm);
+        expect(state.characters).toEqual([]);
+        state.monsterDatabase[1].hitDice = '7d10+16';
+        const maxed = applyGameAction(state, { type: 'encounter.deploy', payload: { encounterId: 'ambush', hpMode: 'max' } }, dm);
+        expect(maxed.entry.label).toBe('Setkani Ambush nasazeno: 3x Goblin, 1x Ogre, HP maximum');
+        expect(state.characters.map(character => character.maxHp)).toEqual([7, 7, 7, 86]);
+        expect(state.characters[3].currentHp).toBe(86);
+        undoPage(state, 'combat', dm);
+        undoPage(state, 'databases', dm);
+        expect(state.encounters).toEqual([]);
+        expect(() => applyGameAction(state, { type: 'encounter.deploy', payload: { encounterId: 'ambush' } }, dm)).toThrow('Setkani neexistuje.');
+    });
+
+    it('triggers staged encounter waves into running initiative without resetting the round', () => {
+        const state = createInitialState();
+        state.monsterDatabase.push(
+            { id: 'goblin', name: 'Goblin', hp: 7, ac: 15, initBonus: 2, challenge: '1/4' },
+            { id: 'dragon', name: 'Dragon', hp: 200, ac: 19, initBonus: 0, challenge: '17', lairActions: [{ name: 'Tremor', desc: 'The ground shakes.' }] }
+        );
+        const dm = { id: 'dm', role: 'dm' };
+        applyGameAction(state, { type: 'encounter.upsert', payload: { encounter: {
+            id: 'keep',
+            name: 'Keep',
+            notes: 'Reinforcements arrive from the gate.',
+            monsters: [{ monsterId: 'dragon', count: 1, revealed: true }],
+            waves: [{ id: 'gate', name: 'Gate', monsters: [{ monsterId: 'goblin', count: 2, groupName: 'Archers' }, { monsterId: 'missing', count: 1 }] }]
+        } } }, dm);
+        expect(state.encounters[0].waves[0].monsters).toEqual([{ monsterId: 'goblin', count: 2, groupName: 'Archers', revealed: false }]);
+
+        state.characters.push({ ...player('Ayla'), initiative: 15 }, { ...player('Bryn'), initiative: 5 });
+        applyGameAction(state, { type: 'encounter.deploy', payload: { encounterId: 'keep' } }, dm);
+        expect(state.characters[2]).toMatchObject({ name: 'Dragon', revealedToPlayers: true, monsterData: { hasLairActions: false } });
+        state.characters[2].initiative = 1;
+        applyGameAction(state, { type: 'combat.start' }, dm);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[state.combatState.currentTurn].name).toBe('Bryn');
+
+        const random = vi.spyOn(Math, 'random').mockReturnValue(0.5);
+        const triggered = applyGameAction(state, { type: 'encounter.wave.trigger', payload: { encounterId: 'keep', waveId: 'gate' } }, dm);
+        random.mockRestore();
+        expect(triggered.entry).toMatchObject({ page: 'combat', visibility: 'dm', label: 'Vlna Gate (Keep): 2x Goblin' });
+        expect(state.characters.map(character => `${character.name}:${character.initiative}`)).toEqual(['Ayla:15', 'Goblin 1:13', 'Goblin 2:13', 'Bryn:5', 'Dragon:1']);
+        expect(state.characters[1].groupId).toBe(state.characters[2].groupId);
+        expect(state.characters[1]).toMatchObject({ groupName: 'Archers', revealedToPlayers: false });
+        expect(state.combatState).toMatchObject({ active: true, round: 1, currentTurn: 3, playedThisRound: [0, 1, 2] });
+        expect(() => applyGameAction(state, { type: 'encounter.wave.trigger', payload: { encounterId: 'keep', waveId: 'nope' } }, dm)).toThrow('Vlna neexistuje.');
+    });
+
+    it('adds a lair turn at initiative 20 that loses ties and cannot repeat an action', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push(
+            { ...player('Ayla'), initiative: 20 },
+            { ...monster('Dragon'), initiative: 8, monsterData: { name: 'Dragon', lairActions: [{ name: 'Tremor', description: 'The ground shakes.' }, { name: 'Fog', description: 'Fog rises.' }] } },
+            { ...player('Bryn'), initiative: 12 }
+        );
+        state.characters = state.characters.map(normalizeCharacter);
+
+        applyGameAction(state, { type: 'combat.start' }, dm);
+        expect(state.characters.map(character => character.name)).toEqual(['Ayla', 'Lair', 'Bryn', 'Dragon']);
+        const dragonId = state.characters[3].id;
+        expect(() => applyGameAction(state, { type: 'combat.lairAction', payload: { monsterId: dragonId, name: 'Tremor' } }, dm)).toThrow('Doupe ted neni na tahu.');
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[state.combatState.currentTurn]).toMatchObject({ name: 'Lair', lair: true, revealedToPlayers: true });
+        expect(() => applyGameAction(state, { type: 'combat.lairAction', payload: { monsterId: dragonId, name: 'Quake' } }, dm)).toThrow('Akce doupete neexistuje.');
+        expect(() => applyGameAction(state, { type: 'combat.lairAction', payload: { monsterId: state.characters[0].id, name: 'Tremor' } }, dm)).toThrow('Monstrum nema akce doupete.');
+        state.characters[3].monsterData.hasLairActions = false;
+        expect(() => applyGameAction(state, { type: 'combat.lairAction', payload: { monsterId: dragonId, name: 'Tremor' } }, dm)).toThrow('Monstrum nema akce doupete.');
+        state.characters[3].monsterData.hasLairActions = true;
+
+        const used = applyGameAction(state, { type: 'combat.lairAction', payload: { monsterId: dragonId, name: 'Tremor' } }, dm);
+        expect(used.entry.label).toBe('Doupe: Tremor');
+        expect(() => applyGameAction(state, { type: 'combat.lairAction', payload: { monsterId: dragonId, name: 'Fog' } }, dm)).toThrow('Doupe uz v tomto kole jednalo.');
+        for (let step = 0; step < 4; step += 1) applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.combatState).toMatchObject({ round: 2, currentTurn: 1 });
+        expect(() => applyGameAction(state, { type: 'combat.lairAction', payload: { monsterId: dragonId, name: 'Tremor' } }, dm)).toThrow('Stejnou akci doupete nelze pouzit dve kola po sobe.');
+        applyGameAction(state, { type: 'combat.lairAction', payload: { monsterId: dragonId, name: 'Fog' } }, dm);
+        expect(state.characters[1].lastLairAction).toEqual({ monsterId: dragonId, name: 'Fog', round: 2 });
+
+        applyGameAction(state, { type: 'combat.end' }, dm);
+        expect(state.characters.some(character => character.lair)).toBe(false);
+    });
+
+    it('applies a sequence of typed hits as one undoable damage step', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push(normalizeCharacter({ ...player('Ayla'), damageResistances: ['fire'] }));
+
+        const applied = applyGameAction(state, { type: 'character.adjustHpSequence', payload: { characterId: state.characters[0].id, source: 'Dragon Multiattack', hits: [{ amount: 9, damageType: 'slashing' }, { amount: 6, damageType: 'fire' }, { amount: 0 }] } }, dm);
+        expect(applied.entry.label).toBe('Dragon Multiattack: Ayla: -9 HP (slashing); Ayla: -3 HP (6 fire, odolnost)');
+        expect(state.characters[0].currentHp).toBe(13);
+        undoPage(state, 'combat', dm);
+        expect(state.characters[0].currentHp).toBe(25);
+        expect(() => applyGameAction(state, { type: 'character.adjustHpSequence', payload: { characterId: state.characters[0].id, hits: [] } }, dm)).toThrow('Nejsou zadne zasahy.');
+    });
+
+    it('applies the damage types of one hit together with a single concentration check', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push(normalizeCharacter({ ...player('Ayla'), damageResistances: ['fire'], effects: ['Concentrating'] }));
+
+        const applied = applyGameAction(state, {
+            type: 'character.adjustHpSequence',
+            payload: { characterId: 'ayla', source: 'Ogre Flaming Club', hits: [{ parts: [{ amount: 14, damageType: 'bludgeoning' }, { amount: 6, damageType: 'fire' }, { amount: 0 }] }] }
+        }, dm);
+        expect(applied.entry.label).toBe('Ogre Flaming Club: Ayla: -17 HP [14 (bludgeoning) + 3 (6 fire, odolnost)]; koncentrace DC 10');
+        expect(state.characters[0].currentHp).toBe(8);
+        expect(state.characters[0].pendingConcentrationSaves).toEqual([expect.objectContaining({ dc: 10, damage: 17 })]);
+        expect(state.actionLog).toHaveLength(1);
+        undoPage(state, 'combat', dm);
+        expect(state.characters[0].currentHp).toBe(25);
+        expect(state.characters[0].pendingConcentrationSaves).toEqual([]);
+
+        state.characters[0].currentHp = 0;
+        state.characters[0].lifeState = 'dying';
+        applyGameAction(state, { type: 'character.adjustHpSequence', payload: { characterId: 'ayla', hits: [{ critical: false, parts: [{ amount: 2, damageType: 'piercing' }, { amount: 2, damageType: 'poison' }] }] } }, dm);
+        expect(state.characters[0].deathSaves.failures).toBe(1);
+    });
+
+    it('rolls individual hit points per copy or takes the maximum from a hit dice formula', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        const random = vi.spyOn(Math, 'random').mockReturnValueOnce(0).mockReturnValueOnce(0).mockReturnValueOnce(0.99).mockReturnValueOnce(0.99);
+        try {
+            applyGameAction(state, { type: 'character.add', payload: { name: 'Goblin 1', type: 'monster', maxHp: 7, currentHp: 7, hitDice: '2d6', hpMode: 'rolled' } }, dm);
+            const applied = applyGameAction(state, { type: 'character.add', payload: { name: 'Goblin 2', type: 'monster', maxHp: 7, currentHp: 7, hitDice: '2d6', hpMode: 'rolled' } }, dm);
+            expect(applied.entry.label).toBe('Goblin 2 pridana do trackeru (HP 12 z 2d6)');
+        } finally {
+            random.mockRestore();
+        }
+        applyGameAction(state, { type: 'character.add', payload: { name: 'Ogre', type: 'monster', maxHp: 59, currentHp: 59, hitDice: '7d10 + 21', hpMode: 'max' } }, dm);
+        applyGameAction(state, { type: 'character.add', payload: { name: 'Orc', type: 'monster', maxHp: 15, currentHp: 15, hitDice: '2d8+6' } }, dm);
+        expect(state.characters.map(character => [character.maxHp, character.currentHp])).toEqual([[2, 2], [12, 12], [91, 91], [15, 15]]);
+        expect(state.characters[0]).not.toHaveProperty('hpMode');
+        expect(() => applyGameAction(state, { type: 'character.add', payload: { name: 'Blob', type: 'monster', hitDice: 'lots', hpMode: 'rolled' } }, dm)).toThrow('Neplatny vzorec HP.');
+    });
+
     it('tracks reactions and resets them when a creature turn starts', () => {
         const state = createInitialState();
         const hero = player('Ayla');
@@ -365,6 +938,300 @@ describe('actions and history', () => {
         expect(state.characters[0].currentReactions).toBe(2);
     });
 
+    it('skips surprised combatants in round 1 and withholds their reactions until that turn ends', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        const hero = player('Ayla');
+        hero.initiative = 20;
+        const ally = player('Borin');
+        ally.initiative = 15;
+        state.characters.push(hero, ally, { ...monster('Goblin'), initiative: 10 });
+
+        const applied = applyGameAction(state, { type: 'combat.start', payload: { surprisedIds: ['ayla', 'goblin'] } }, dm);
+        expect(applied.entry.label).toBe('Zahajen boj (prekvapeni: Ayla, Goblin)');
+        expect(state.characters[state.combatState.currentTurn].id).toBe('borin');
+        expect(state.combatState.playedThisRound).toEqual([0]);
+        expect(state.characters[0]).toEqual(expect.objectContaining({ surprised: false, currentReactions: 1 }));
+        expect(state.characters[2]).toEqual(expect.objectContaining({ surprised: true, currentReactions: 0 }));
+
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.combatState.round).toBe(2);
+        expect(state.characters[state.combatState.currentTurn].id).toBe('ayla');
+        expect(state.characters[2]).toEqual(expect.objectContaining({ surprised: false, currentReactions: 1 }));
+    });
+
+    it('skips a surprised combatant as a turn end without replacing the legendary prompt', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push(
+            normalizeCharacter({
+                ...monster('Dragon'),
+                initiative: 20,
+                monsterData: { name: 'Dragon', legendaryActionEntries: [{ name: 'Detect', description: 'Makes a check.' }] },
+                monsterAbilities: { enabled: true, legendaryActions: { enabled: true, max: 3, used: 0 } }
+            }),
+            normalizeCharacter({ ...player('Ayla'), initiative: 15 }),
+            normalizeCharacter({ ...monster('Orc'), initiative: 10, surprised: true }),
+            normalizeCharacter({ ...player('Bryn'), initiative: 5 })
+        );
+        applyGameAction(state, { type: 'effect.add', payload: { characterId: 'orc', name: 'Bless', duration: { unit: 'rounds', amount: 1 } } }, dm);
+        state.combatState = { active: true, currentTurn: 1, round: 1, playedThisRound: [0] };
+
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[state.combatState.currentTurn].id).toBe('bryn');
+        expect(state.combatState.playedThisRound).toEqual([0, 1, 2]);
+        expect(state.combatState.legendaryPrompt).toEqual({ afterCharacterId: 'ayla', monsterIds: ['dragon'] });
+        expect(state.characters[2]).toEqual(expect.objectContaining({ surprised: false, effects: [] }));
+        expect(state.actionLog[state.actionLog.length - 1]).toMatchObject({ type: 'effect.expire', label: 'Vyprsely efekty: Orc Bless' });
+    });
+
+    it('runs turn-start hooks whenever the current turn changes, not only on Next Turn', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push({ ...player('Ayla'), initiative: 20 }, { ...player('Bryn'), initiative: 10 });
+        applyGameAction(state, { type: 'effect.add', payload: { characterId: 'ayla', name: 'Burning', diceCount: 1, diceSides: 4, damageType: 'fire' } }, dm);
+        applyGameAction(state, { type: 'effect.add', payload: { characterId: 'bryn', name: 'Burning', diceCount: 1, diceSides: 4, damageType: 'fire' } }, dm);
+        applyGameAction(state, { type: 'effect.add', payload: { characterId: 'bryn', name: 'Bless', duration: { unit: 'rounds', amount: 1 } } }, dm);
+
+        applyGameAction(state, { type: 'combat.start' }, dm);
+        expect(state.actionLog.slice(-2).map(entry => entry.type)).toEqual(['combat.start', 'effect.ongoingDamage']);
+        expect(state.characters[0].currentHp).toBeLessThan(25);
+
+        applyGameAction(state, { type: 'combat.delay', payload: { characterId: 'ayla' } }, dm);
+        expect(state.actionLog.slice(-3).map(entry => entry.type)).toEqual(['combat.delay', 'effect.expire', 'effect.ongoingDamage']);
+        expect(state.characters[1].currentHp).toBeLessThan(25);
+
+        applyGameAction(state, { type: 'combat.ready', payload: { characterId: 'bryn', trigger: 'Door opens' } }, dm);
+        applyGameAction(state, { type: 'combat.delay.resume', payload: { characterId: 'ayla' } }, dm);
+        expect(state.actionLog.slice(-2).map(entry => entry.type)).toEqual(['combat.ready', 'combat.delay.resume']);
+    });
+
+    it('stores initiative breakdowns with advantage and breaks ties by Dexterity then a roll-off', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        const ayla = { ...player('Ayla'), initBonus: 3, sheetGeneral: { initiativeAdvantage: 'Feral Instinct' } };
+        const borin = { ...player('Borin'), initBonus: 4, abilityScores: { ...player().abilityScores, dexterity: 16 } };
+        state.characters.push(ayla, borin, { ...player('Cora'), initBonus: 5 });
+
+        expect(authorizeAction(state, { type: 'character.initiative.submit', payload: { characterId: 'cora', natural: 12 } }, { id: 'player', role: 'player' }).ok).toBe(true);
+        const rollOff = vi.spyOn(Math, 'random').mockReturnValueOnce(0.95);
+        const submitted = applyGameAction(state, { type: 'character.initiative.submit', payload: { characterId: 'cora', natural: 12 } }, { id: 'player', role: 'player' });
+        rollOff.mockRestore();
+        expect(submitted.entry.label).toBe('Cora: iniciativa 17 (d20 12 + 5)');
+        expect(() => applyGameAction(state, { type: 'character.initiative.submit', payload: { characterId: 'cora', natural: 21 } }, dm)).toThrow('Hod iniciativy musi byt 1-20.');
+
+        const random = vi.spyOn(Math, 'random').mockReturnValueOnce(0.2).mockReturnValueOnce(0.65).mockReturnValueOnce(0.1).mockReturnValueOnce(0.6).mockReturnValueOnce(0.9);
+        try {
+            applyGameAction(state, { type: 'combat.start' }, dm);
+        } finally {
+            random.mockRestore();
+        }
+        expect(state.characters.map(character => [character.id, character.initiative])).toEqual([['borin', 17], ['cora', 17], ['ayla', 17]]);
+        expect(state.characters[2].initiativeRoll).toEqual({ natural: 14, rolls: [5, 14], modifier: 3, advantage: 'Feral Instinct', dexterity: 10, rollOff: 3, source: 'rolled' });
+        expect(state.characters[1].initiativeRoll).toEqual(expect.objectContaining({ natural: 12, rollOff: 20, source: 'player' }));
+        expect(() => applyGameAction(state, { type: 'character.initiative.submit', payload: { characterId: 'cora', natural: 5 } }, dm)).toThrow('Vlastni hod iniciativy lze zadat jen pred zacatkem boje.');
+
+        applyGameAction(state, { type: 'combat.end' }, dm);
+        expect(state.characters.every(character => character.initiativeRoll === null)).toBe(true);
+    });
+
+    it('creates, renames, merges, splits and reveals monster groups with shared initiative', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push(
+            { ...monster('Goblin 1'), initiative: 14 },
+            { ...player('Ayla'), initiative: 12 },
+            { ...monster('Goblin 2'), initiative: 9 },
+            { ...monster('Wolf'), initiative: 5 }
+        );
+        state.combatState = { active: true, currentTurn: 1, round: 1, playedThisRound: [0] };
+
+        const created = applyGameAction(state, { type: 'combat.group.create', payload: { characterIds: ['goblin 2', 'goblin 1', 'ayla'], name: 'Goblins' } }, dm);
+        expect(created.entry.label).toBe('Skupina Goblins: Goblin 1, Goblin 2');
+        expect(created.entry.visibility).toBe('dm');
+        expect(state.characters.map(character => [character.id, character.initiative])).toEqual([['goblin 1', 14], ['goblin 2', 14], ['ayla', 12], ['wolf', 5]]);
+        expect(state.characters[state.combatState.currentTurn].id).toBe('ayla');
+        expect(state.combatState.playedThisRound).toEqual([0]);
+        const goblins = state.characters[0].groupId;
+
+        applyGameAction(state, { type: 'combat.group.create', payload: { characterIds: ['wolf'] } }, dm);
+        const wolves = state.characters.find(character => character.id === 'wolf').groupId;
+        applyGameAction(state, { type: 'combat.group.rename', payload: { groupId: wolves, name: 'Pack' } }, dm);
+        const merged = applyGameAction(state, { type: 'combat.group.merge', payload: { groupId: wolves, targetGroupId: goblins } }, dm);
+        expect(merged.entry.label).toBe('Skupina Pack sloucena do Goblins');
+        expect(state.characters.find(character => character.id === 'wolf')).toEqual(expect.objectContaining({ groupId: goblins, groupName: 'Goblins', initiative: 14 }));
+
+        expect(() => applyGameAction(state, { type: 'combat.group.merge', payload: { groupId: 'missing', targetGroupId: 'missing' } }, dm)).toThrow('Skupinu nelze sloucit samu se sebou.');
+
+        applyGameAction(state, { type: 'combat.group.split', payload: { characterIds: ['goblin 2'] } }, dm);
+        expect(state.characters.find(character => character.id === 'goblin 2')).toEqual(expect.objectContaining({ groupId: null, groupName: null, initiative: 9, ownInitiative: null }));
+        expect(state.characters.map(character => [character.id, character.initiative])).toEqual([['goblin 1', 14], ['wolf', 14], ['ayla', 12], ['goblin 2', 9]]);
+        expect(state.characters[state.combatState.currentTurn].id).toBe('ayla');
+        applyGameAction(state, { type: 'combat.group.reveal', payload: { groupId: goblins } }, dm);
+        expect(state.characters.filter(character => character.groupId === goblins).every(character => character.revealedToPlayers)).toBe(true);
+        expect(state.characters.find(character => character.id === 'goblin 2').revealedToPlayers).toBe(false);
+        expect(() => applyGameAction(state, { type: 'combat.group.reveal', payload: { groupId: 'missing' } }, dm)).toThrow('Skupina neexistuje.');
+    });
+
+    it('delays a turn out of order and re-enters it after a later combatant', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push({ ...player('Ayla'), initiative: 20, initiativeRoll: { natural: 18, rolls: [18], modifier: 2 } }, { ...player('Borin'), initiative: 15 }, { ...player('Cora'), initiative: 10 });
+        state.combatState = { active: true, currentTurn: 0, round: 1, playedThisRound: [] };
+
+        expect(() => applyGameAction(state, { type: 'combat.delay', payload: { characterId: 'borin' } }, dm)).toThrow('Odlozit lze jen tah postavy, ktera je na rade.');
+        applyGameAction(state, { type: 'combat.delay', payload: { characterId: 'ayla' } }, dm);
+        expect(state.characters[state.combatState.currentTurn].id).toBe('borin');
+        expect(state.combatState.playedThisRound).toEqual([]);
+        expect(state.characters[0].delayed).toBe(true);
+
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        const resumed = applyGameAction(state, { type: 'combat.delay.resume', payload: { characterId: 'ayla' } }, dm);
+        expect(resumed.entry.label).toBe('Ayla se vraci do iniciativy po Cora (10)');
+        expect(state.characters.map(character => character.id)).toEqual(['borin', 'cora', 'ayla']);
+        expect(state.characters[2]).toEqual(expect.objectContaining({ initiative: 10, initiativeRoll: null }));
+        expect(state.combatState.currentTurn).toBe(1);
+        expect(state.combatState.playedThisRound).toEqual([0]);
+
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[state.combatState.currentTurn].id).toBe('ayla');
+        expect(state.combatState.round).toBe(1);
+        undoPage(state, 'combat', dm);
+        undoPage(state, 'combat', dm);
+        expect(state.characters.map(character => character.id)).toEqual(['ayla', 'borin', 'cora']);
+        expect(state.characters[0].delayed).toBe(true);
+    });
+
+    it('returns a delayed combatant to its own place when the round ends without a resume', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push({ ...player('Ayla'), initiative: 20 }, { ...player('Borin'), initiative: 15 }, { ...player('Cora'), initiative: 10 });
+        state.combatState = { active: true, currentTurn: 1, round: 1, playedThisRound: [0] };
+
+        applyGameAction(state, { type: 'combat.delay', payload: { characterId: 'borin' } }, dm);
+        expect(state.characters[state.combatState.currentTurn].id).toBe('cora');
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.combatState).toMatchObject({ round: 2, currentTurn: 0 });
+        expect(state.characters[1].delayed).toBe(false);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        expect(state.characters[state.combatState.currentTurn].id).toBe('borin');
+    });
+
+    it('readies an action with a trigger and resolves it with a reaction', () => {
+        const state = createInitialState();
+        state.characters.push(player('Ayla'));
+        state.combatState = { active: true, currentTurn: 0, round: 2, playedThisRound: [] };
+        const client = { id: 'player', role: 'player' };
+
+        expect(authorizeAction(state, { type: 'combat.ready', payload: { characterId: 'ayla', trigger: 'x' } }, client).ok).toBe(true);
+        applyGameAction(state, { type: 'combat.ready', payload: { characterId: 'ayla', trigger: 'Orc opens the door' } }, client);
+        expect(state.characters[0].readiedAction).toEqual({ trigger: 'Orc opens the door', round: 2 });
+        const resolved = applyGameAction(state, { type: 'combat.ready.resolve', payload: { characterId: 'ayla' } }, client);
+        expect(resolved.entry.label).toBe('Ayla: pripravena akce (Orc opens the door) pouzita jako reakce');
+        expect(state.characters[0]).toEqual(expect.objectContaining({ readiedAction: null, currentReactions: 0 }));
+
+        applyGameAction(state, { type: 'combat.ready', payload: { characterId: 'ayla', trigger: 'Again' } }, client);
+        expect(() => applyGameAction(state, { type: 'combat.ready.resolve', payload: { characterId: 'ayla' } }, client)).toThrow('Postava nema volnou reakci.');
+        applyGameAction(state, { type: 'combat.nextTurn' }, { id: 'dm', role: 'dm' });
+        expect(state.characters[0]).toEqual(expect.objectContaining({ readiedAction: null, currentReactions: 1 }));
+    });
+
+    it('records structured combat events and builds a recap when combat ends', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push({ ...player('Ayla'), initiative: 20, spellSlots: { 1: { max: 2, used: 0 } } }, { ...monster('Orc'), initiative: 10 });
+        applyGameAction(state, { type: 'combat.start' }, dm);
+
+        const hit = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'orc', amount: -10, damageType: 'fire', sourceCharacterId: 'ayla' } }, dm);
+        expect(hit.entry.events).toBeUndefined();
+        expect(state.combatState.events).toEqual([expect.objectContaining({ kind: 'damage', actorId: 'ayla', actorName: 'Ayla', targetId: 'orc', targetName: 'Orc', amount: 10, damageType: 'fire', round: 1 })]);
+        expect(filterStateForClient(state, 'dm').combatState.events).toBeUndefined();
+        applyGameAction(state, { type: 'spell.slot.toggle', payload: { characterId: 'ayla', level: 1, index: 0 } }, dm);
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'orc', amount: -4 } }, dm);
+        undoPage(state, 'combat', dm);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ayla', amount: -30, sourceCharacterId: 'orc' } }, dm);
+        applyGameAction(state, { type: 'combat.nextTurn' }, dm);
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ayla', amount: 5, sourceCharacterId: 'ayla' } }, dm);
+
+        const ended = applyGameAction(state, { type: 'combat.end' }, dm);
+        expect(ended.entry.label).toBe('Ukoncen boj');
+        expect(state.combatState.recap).toEqual(expect.objectContaining({
+            rounds: 2,
+            knockouts: [{ round: 1, targetId: 'ayla', targetName: 'Ayla', actorName: 'Orc', lifeState: 'dying' }]
+        }));
+        expect(state.combatState.recap.combatants).toEqual([
+            expect.objectContaining({ id: 'ayla', damageDealt: 10, damageTaken: 30, healingDone: 5, knockouts: 0, slots: { L1: 1 }, features: {} }),
+            expect.objectContaining({ id: 'orc', damageDealt: 30, damageTaken: 10, healingDone: 0, knockouts: 1, slots: {} })
+        ]);
+        expect(filterStateForClient(state, 'player').combatState.recap).toBeNull();
+
+        applyGameAction(state, { type: 'combat.start' }, dm);
+        expect(state.combatState.recap).toBeUndefined();
+        undoPage(state, 'combat', dm);
+        expect(state.combatState.recap.rounds).toBe(2);
+    });
+
+    it('rolls a monster attack routine on the server as one DM-only info entry', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        state.characters.push({ ...player('Ayla'), sheetBonuses: [{ id: 'ring', targetType: 'ac', value: 1 }] }, monster('Orc'));
+        const random = vi.spyOn(Math, 'random').mockReturnValueOnce(0.99).mockReturnValueOnce(0.5).mockReturnValueOnce(0.5).mockReturnValueOnce(0);
+        const rolled = applyGameAction(state, {
+            type: 'monster.attack.roll',
+            payload: {
+                characterId: 'orc',
+                targetCharacterId: 'ayla',
+                attacks: [
+                    { name: 'Claw 1', toHit: 5, damage: [{ expression: '1d8+3', damageType: 'slashing' }] },
+                    { name: 'Claw 2', toHit: 5, damage: [{ expression: '1d8+3', damageType: 'slashing' }] }
+                ]
+            }
+        }, dm);
+        random.mockRestore();
+
+        expect(rolled.entry.result.targetAc).toBe(16);
+        expect(rolled.entry.result.attacks).toEqual([
+            expect.objectContaining({ name: 'Claw 1', total: 25, natural: 20, critical: true, hit: true, damage: [expect.objectContaining({ total: 13, damageType: 'slashing' })] }),
+            expect.objectContaining({ name: 'Claw 2', total: 6, natural: 1, critical: false, hit: false, damage: [] })
+        ]);
+        expect(rolled.entry).toEqual(expect.objectContaining({ label: 'Orc -> Ayla: Claw 1 25 kriticky zasah, 13 slashing; Claw 2 6 minuti', visibility: 'dm', reversible: false }));
+        expect(state.actionLog).toHaveLength(1);
+        expect(state.toolbelt.diceRolls).toEqual({});
+        expect(filterStateForClient(state, 'player').actionLog).toEqual([]);
+        expect(historyTarget(state, 'monsters', 'undo')).toBeNull();
+
+        state.characters[1].revealedToPlayers = true;
+        const damage = applyGameAction(state, { type: 'monster.attack.roll', payload: { characterId: 'orc', attacks: [{ name: 'Claw', toHit: null, critical: true, damage: [{ expression: '1d8', damageType: 'slashing' }] }] } }, dm);
+        expect(damage.entry.result.attacks[0]).toEqual(expect.objectContaining({ total: null, hit: null, damage: [expect.objectContaining({ detail: expect.stringContaining('2d8') })] }));
+        expect(damage.entry.visibility).toBe('all');
+        expect(() => applyGameAction(state, { type: 'monster.attack.roll', payload: { characterId: 'ayla', attacks: [{ name: 'Punch', toHit: 2, damage: [] }] } }, dm)).toThrow('Monstrum neexistuje.');
+    });
+
+    it('attributes combat events to an explicit actor and keeps them when the log is trimmed', () => {
+        const state = createInitialState();
+        const dm = { id: 'dm', role: 'dm' };
+        const brynPlayer = { id: 'bryn-client', role: 'player', playerId: 'account-b' };
+        state.characters.push(
+            { ...player('Ayla'), initiative: 20, ownerIds: ['account-a'], sharedWithPlayers: false },
+            { ...player('Bryn'), initiative: 15, ownerIds: ['account-b'], sharedWithPlayers: false },
+            { ...monster('Orc'), initiative: 10 }
+        );
+        applyGameAction(state, { type: 'combat.start' }, dm);
+
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'orc', amount: -3, sourceCharacterId: 'bryn' } }, dm);
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'ayla', amount: -2 } }, brynPlayer);
+        applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'orc', amount: -1 } }, dm);
+        expect(state.combatState.events.map(event => [event.actorName, event.targetName])).toEqual([['Bryn', 'Orc'], ['Bryn', 'Ayla'], [null, 'Orc']]);
+
+        for (let index = 0; index < 500; index += 1) {
+            applyGameAction(state, { type: 'toolbelt.improv.add', payload: { name: `Extra ${index}` } }, dm);
+        }
+        expect(state.actionLog.some(entry => entry.type === 'character.adjustHp')).toBe(false);
+        applyGameAction(state, { type: 'combat.end' }, dm);
+        expect(state.combatState.recap.combatants.find(combatant => combatant.id === 'bryn')).toEqual(expect.objectContaining({ damageDealt: 5 }));
+    });
+
     it('applies short and long rests to spell resources', () => {
         const state = createInitialState();
         const hero = player();
@@ -535,7 +1402,7 @@ describe('actions and history', () => {
 
     it('stores toolbelt dice and improv history with page-scoped undo', () => {
         const state = createInitialState();
-        applyGameAction(state, { type: 'toolbelt.dice.add', payload: { expression: '1d20+5', total: 18, detail: '1d20: 13 | +5', mode: 'normal' } }, { id: 'player-a', role: 'player' });
+        applyGameAction(state, { type: 'toolbelt.dice.add', payload: { expression: '1d20+5', mode: 'normal' } }, { id: 'player-a', role: 'player' });
         applyGameAction(state, { type: 'toolbelt.improv.add', payload: { name: 'Mira Thorn' } }, { id: 'dm', role: 'dm' });
 
         expect(state.toolbelt.diceRolls['player-a']).toHaveLength(1);
@@ -545,6 +1412,24 @@ describe('actions and history', () => {
         expect(state.toolbelt.diceRolls['player-a']).toHaveLength(1);
     });
 
+    it('rolls toolbelt dice on the server and ignores client totals', () => {
+        const state = createInitialState();
+        const random = vi.spyOn(Math, 'random').mockReturnValueOnce(0.95).mockReturnValueOnce(0.1);
+        try {
+            const { entry } = applyGameAction(state, { type: 'toolbelt.dice.add', payload: { expression: '1d20 + 2', total: 99, detail: 'natural 20', mode: 'advantage', rerollOnes: true } }, { id: 'player-a', role: 'player' });
+            const roll = state.toolbelt.diceRolls['player-a'][0];
+
+            expect(roll).toEqual(expect.objectContaining({ expression: '1d20+2', total: 22, mode: 'advantage', rerollOnes: true, detail: '1d20: 20 (20/3) | +2: 2' }));
+            expect(roll.terms[0].dice).toEqual([{ sides: 20, kept: 20, rolls: [20, 3], rerolledOnes: [] }]);
+            expect(entry.result).toEqual(roll);
+            expect(entry.label).toBe('Player: dice 1d20+2 = 22');
+        } finally {
+            random.mockRestore();
+        }
+        expect(() => applyGameAction(state, { type: 'toolbelt.dice.add', payload: { expression: '1d20+banana' } }, { id: 'player-a', role: 'player' })).toThrow('Cannot parse');
+        expect(state.toolbelt.diceRolls['player-a']).toHaveLength(1);
+    });
+
     it('stores calendar records and notepad notes in toolbelt state', () => {
         const state = createInitialState();
         applyGameAction(state, { type: 'toolbelt.calendar.advanceDays', payload: { days: 1 } }, { id: 'dm', role: 'dm' });
@@ -598,6 +1483,25 @@ describe('migrations', () => {
         expect(state.characters[0].spellbook).toEqual({ knownSpellIds: [], preparedSpellIds: [], preparesSpells: false, preparedNonEpicMax: 0, preparedEpicMax: 0 });
     });
 
+    it('converts legacy before/after history snapshots into undoable diffs', () => {
+        const before = { characters: [player()], combatState: { active: false, currentTurn: 0, round: 1, playedThisRound: [] } };
+        const after = { characters: [{ ...player(), currentHp: 30 }], combatState: before.combatState };
+        const state = migrateAutosave({
+            characters: [{ ...player(), currentHp: 30 }],
+            actionLog: [
+                { id: 'log_1', sequence: 1, page: 'combat', type: 'character.adjustHp', label: 'Nif: +5 HP', reversible: true, undone: false, before, after },
+                { id: 'log_2', sequence: 2, page: 'combat', type: 'history.undo', label: 'Undo', reversible: false, undone: false, before: after, after }
+            ],
+            nextSequence: 3
+        });
+
+        expect(state.actionLog[0].before).toBeUndefined();
+        expect(state.actionLog[0].patch).toEqual([{ op: 'replace', path: ['characters', { id: 'nif' }, 'currentHp'], value: 30, oldValue: 25 }]);
+        expect(state.actionLog[1].patch).toEqual([]);
+        undoPage(state, 'combat', { id: 'dm', role: 'dm' });
+        expect(state.characters[0].currentHp).toBe(25);
+    });
+
     it('normalizes spell database levels from autosave', () => {
         const state = migrateAutosave({
             spellDatabase: [
@@ -637,6 +1541,17 @@ describe('migrations', () => {
         ]));
     });
 
+    it('keeps unowned legacy characters shared and restores player accounts', () => {
+        const state = migrateAutosave({
+            characters: [player(), { ...player('Bryn'), ownerIds: ['account-a', 'account-a'] }],
+            playerAccounts: [{ id: 'account-a', name: 'Anna', token: 'link-a' }]
+        });
+
+        expect(state.characters[0]).toEqual(expect.objectContaining({ ownerIds: [], sharedWithPlayers: true }));
+        expect(state.characters[1]).toEqual(expect.objectContaining({ ownerIds: ['account-a'], sharedWithPlayers: false }));
+        expect(state.playerAccounts).toEqual([{ id: 'account-a', name: 'Anna', token: 'link-a' }]);
+    });
+
     it('populates magic and potion databases from existing character inventories', () => {
         const hero = player('Ayla');
         hero.inventory.magicItems = [{ id: 'moon', name: 'Moonblade', rarity: 'Rare', description: 'Silver sword' }];
@@ -666,17 +1581,41 @@ describe('visibility', () => {
         expect(Array.isArray(filtered.spellDatabase)).toBe(true);
     });
 
+    it('rebuilds only the state slices touched by an entry page for broadcasts', () => {
+        const state = createInitialState();
+        state.characters.push(player(), monster());
+        const { entry } = applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'nif', amount: -1 } }, { id: 'dm', role: 'dm' });
+
+        const slices = stateSlicesForEntry(entry);
+        expect(slices).toEqual(['characters', 'combatState', 'actionLog', 'redoStacks', 'nextSequence']);
+        expect(stateSlicesForEntry({ page: 'databases' })).toEqual(expect.arrayContaining(['spellDatabase', 'monsterDatabase', 'encounters']));
+        expect(stateSlicesForEntry(null)).toBeNull();
+        const spoofed = applyGameAction(state, { type: 'character.adjustHp', page: 'toolbelt', payload: { characterId: 'nif', amount: -1 } }, { id: 'dm', role: 'dm' });
+        expect(spoofed.entry.page).toBe('combat');
+        expect(stateSlicesForEntry(spoofed.entry)).toEqual(slices);
+        const filtered = filterStateForClient(state, 'player', slices);
+        expect(Object.keys(filtered)).toEqual(slices);
+        expect(filtered.characters.map(character => character.name)).toEqual(['Nif']);
+    });
+
+    it('hides player join tokens from player clients', () => {
+        const state = createInitialState();
+        state.playerAccounts.push({ id: 'account-a', name: 'Anna', token: 'secret-link' });
+        expect(filterStateForClient(state, 'player').playerAccounts).toEqual([{ id: 'account-a', name: 'Anna' }]);
+        expect(filterStateForClient(state, 'dm').playerAccounts[0].token).toBe('secret-link');
+    });
+
     it('strips undo snapshots from DM state payloads while keeping server history usable', () => {
         const state = createInitialState();
         state.characters.push(player());
         applyGameAction(state, { type: 'character.adjustHp', payload: { characterId: 'nif', amount: 1 } }, { id: 'dm', role: 'dm' });
-        expect(state.actionLog[0].before).toBeTruthy();
-        expect(state.actionLog[0].after).toBeTruthy();
+        expect(state.actionLog[0].patch).toBeTruthy();
 
         const filtered = filterStateForClient(state, 'dm');
         expect(filtered.actionLog[0]).toEqual(expect.objectContaining({ label: expect.any(String) }));
         expect(filtered.actionLog[0].before).toBeUndefined();
         expect(filtered.actionLog[0].after).toBeUndefined();
+        expect(filtered.actionLog[0].patch).toBeUndefined();
     });
 });
 
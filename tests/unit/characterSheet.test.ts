@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { ABILITIES, armorClass, creatureSaveBonus } from '../../src/shared/characterSheet';
+import type { Character } from '../../src/shared/types';
+
+describe('shared character sheet', () => {
+  it('computes save bonuses and armor class for players and monsters', () => {
+    const characters = [
+      {
+        id: 'ayla',
+        name: 'Ayla',
+        type: 'player',
+        ac: 15,
+        proficiencyBonus: 3,
+        abilityScores: { strength: 8, dexterity: 14, constitution: 15, intelligence: 10, wisdom: 12, charisma: 17 },
+        savingThrowProficiencies: ['constitution', 'charisma'],
+        sheetBonuses: [
+          { id: 'cloak', targetType: 'allSaves', value: 1 },
+          { id: 'jack', targetType: 'save', targetKey: 'wisdom', valueMode: 'halfProficiency', condition: 'ifNotProficientOrExpert' },
+          { id: 'jack-con', targetType: 'save', targetKey: 'constitution', valueMode: 'halfProficiency', condition: 'ifNotProficientOrExpert' },
+          { id: 'ring', targetType: 'ac', value: 1 }
+        ],
+        effects: [{ name: 'Ability Score Reduced', ability: 'dexterity', value: 6 }, { name: 'Ability Score Set', ability: 'strength', value: 19 }, { name: 'Armor Class Increased', value: 2 }, 'Blinded']
+      },
+      {
+        id: 'ogre',
+        name: 'Ogre',
+        type: 'monster',
+        monsterData: { saves: 'Con +6, Wis +1', stats: { strength: 19, dexterity: 8, constitution: 16, intelligence: 5, wisdom: 7, charisma: 7 } }
+      }
+    ] as unknown as Character[];
+
+    expect(ABILITIES.map(({ key }) => creatureSaveBonus(characters[0], key))).toEqual([5, 0, 6, 1, 3, 7]);
+    expect(ABILITIES.map(({ key }) => creatureSaveBonus(characters[1], key))).toEqual([4, -1, 6, -3, 1, -2]);
+    expect(armorClass(characters[0])).toBe(18);
+  });
+});
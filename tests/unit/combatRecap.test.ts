@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { combatRecapMarkdown, spentResources } from '../../src/shared/combatRecap';
+import type { CombatRecap } from '../../src/shared/types';
+
+const RECAP: CombatRecap = {
+  rounds: 2,
+  endedAt: '2026-10-19T20:00:00.000Z',
+  combatants: [
+    { id: 'ayla', name: 'Ayla', type: 'player', damageDealt: 12, damageTaken: 7, healingDone: 5, healingReceived: 0, knockouts: 1, slots: { L1: 1, L3: 1 }, features: {} },
+    { id: 'orc', name: 'Orc', type: 'monster', damageDealt: 7, damageTaken: 12, healingDone: 0, healingReceived: 0, knockouts: 0, slots: {}, features: { 'Legendary actions': 2 } }
+  ],
+  knockouts: [{ round: 2, targetId: 'orc', targetName: 'Orc', actorName: 'Ayla', lifeState: 'dead' }]
+};
+
+describe('combat recap', () => {
+  it('lists spent slots before features', () => {
+    expect(spentResources(RECAP.combatants[0])).toEqual(['L1 slot ×1', 'L3 slot ×1']);
+    expect(spentResources(RECAP.combatants[1])).toEqual(['Legendary actions ×2']);
+  });
+
+  it('exports totals, knockouts and spent resources as Markdown', () => {
+    expect(combatRecapMarkdown(RECAP)).toBe([
+      '# Combat recap',
+      '',
+      'Rounds: 2',
+      '',
+      '| Combatant | Damage dealt | Damage taken | Healing done | KOs |',
+      '| --- | ---: | ---: | ---: | ---: |',
+      '| Ayla | 12 | 7 | 5 | 1 |',
+      '| Orc | 7 | 12 | 0 | 0 |',
+      '',
+      '## Knockouts',
+      '',
+      '- Round 2: Orc killed by Ayla',
+      '',
+      '## Resources spent',
+      '',
+      '- Ayla: L1 slot ×1, L3 slot ×1',
+      '- Orc: Legendary actions ×2',
+      ''
+    ].join('\n'));
+    expect(combatRecapMarkdown({ ...RECAP, knockouts: [], combatants: [{ ...RECAP.combatants[1], features: {} }] })).not.toContain('##');
+  });
+});
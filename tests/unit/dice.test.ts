@@ -1,5 +1,8 @@
+import { createRequire } from 'module';
 import { describe, expect, it } from 'vitest';
-import { rollDiceExpression, successChancePercent } from '../../src/shared/dice';
+import { successChancePercent } from '../../src/shared/dice';
+
+const { describeDiceResult, parseDiceExpression, rollDiceExpression }: typeof import('../../server/dice') = createRequire(import.meta.url)('../../server/dice.js');
 
 function sequence(values: number[]) {
   let index = 0;
@@ -27,6 +30,14 @@ describe('dice roller', () => {
     expect(reroll.terms[0].dice?.[0].rerolledOnes).toEqual([4]);
   });
 
+  it('describes each kept die with its advantage rolls', () => {
+    const result = rollDiceExpression('2d6 - 1d4 + 3', { mode: 'advantage', random: sequence([0.99, 0.2, 0.5, 0.6, 0.1, 0.9]) });
+
+    expect(result.total).toBe(9);
+    expect(describeDiceResult(result)).toBe('2d6: 6 (6/2), 4 (4/4) | -1d4: 4 (1/4) | +3: 3');
+    expect(() => parseDiceExpression('1d1')).toThrow('Dice sides must be 2-1000.');
+  });
+
   it('calculates DC success chance with natural 1 fail and natural 20 success', () => {
     expect(successChancePercent(15, 8)).toBe(70);
     expect(successChancePercent(30, 0)).toBe(5);
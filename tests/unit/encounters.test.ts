@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { challengeRating, encounterMultiplier, encounterSummary, monsterXp, partyThresholds } from '../../src/shared/encounters';
+import type { MonsterDatabaseEntry } from '../../src/shared/types';
+
+function monster(id: string, challenge: string): MonsterDatabaseEntry {
+  return { id, name: id, hp: 10, ac: 12, initBonus: 0, challenge };
+}
+
+describe('encounter XP budget', () => {
+  it('reads challenge ratings and XP from statblock text', () => {
+    expect(challengeRating('1/4')).toBe(0.25);
+    expect(challengeRating('6 (0.5 point)')).toBe(6);
+    expect(monsterXp(monster('goblin', '1/4'))).toBe(50);
+    expect(monsterXp(monster('zealot', '6 (0.5 point)'))).toBe(2300);
+    expect(monsterXp(monster('boss', '10 (6,100 XP)'))).toBe(6100);
+    expect(monsterXp(monster('unknown', ''))).toBe(0);
+  });
+
+  it('sums party thresholds and applies the multiple-monster multiplier', () => {
+    expect(partyThresholds([3, 3, 3, 3])).toEqual({ easy: 300, medium: 600, hard: 900, deadly: 1600 });
+    expect(encounterMultiplier(1, 4)).toBe(1);
+    expect(encounterMultiplier(4, 4)).toBe(2);
+    expect(encounterMultiplier(4, 2)).toBe(2.5);
+    expect(encounterMultiplier(1, 6)).toBe(0.5);
+
+    const summary = encounterSummary(
+      [{ monsterId: 'goblin', count: 4 }, { monsterId: 'ogre', count: 1 }, { monsterId: 'missing', count: 3 }],
+      [monster('goblin', '1/4'), monster('ogre', '2')],
+      [3, 3, 3, 3]
+    );
+    expect(summary).toMatchObject({ monsterCount: 5, baseXp: 650, multiplier: 2, adjustedXp: 1300, difficulty: 'hard' });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest';
-import { parseMonsterMarkdown } from '../../src/shared/monsterParser';
+import { parseDamageTypes } from '../../src/shared/defaults';
+import { criticalDamageExpression, parseMonsterAction, parseMonsterMarkdown, parseMultiattack } from '../../src/shared/monsterParser';
 
 describe('monster Markdown parser', () => {
   it('parses Notion-style monster statblocks into editable monster data', () => {
@@ -7,7 +8,7 @@ describe('monster Markdown parser', () => {
 Zealot
 
 **Armor Class:** 13
-**Hit Points:** 50
+**Hit Points:** 50 (9d8 + 10)
 **Speed:** 30 ft.
 
 | Strength | Dexterity | Constitution | Intelligence | Wisdom | Charisma |
@@ -20,11 +21,16 @@ Zealot
 **Type:** humanoid
 **Size:** medium
 **Skills:** Religion +9, Perception +11
+**Damage Resistances:** cold; bludgeoning, piercing, and slashing from nonmagical attacks
+**Damage Immunities:** poison
+**Condition Immunities:** poisoned
 
 # Protective Traits
 
 **Divine Protection (2/Rest).** Aura of divine light surrounds the zealot.
 
+**Legendary Resistance (3/Day).** If the zealot fails a saving throw, it can choose to succeed instead.
+
 # Regular Traits
 
 **Devoted Follower.** Uses the proficiency bonus of its archpriest.
@@ -33,6 +39,8 @@ Zealot
 
 **Pact Blade.** Melee Weapon Attack: +11 to hit.
 
+**Radiant Burst (Recharge 5–6).** Each creature within 20 feet makes a DC 15 Constitution saving throw.
+
 # Reactions
 
 **Counterspell.** Uses counterspell.
@@ -42,11 +50,17 @@ Zealot
       name: 'Zealot',
       ac: 13,
       hp: 50,
+      hitDice: '9d8+10',
       speed: '30 ft.',
       saves: 'Wis +11, Cha +10',
+      challenge: '6 (0.5 point)',
+      proficiency: '+4',
       type: 'humanoid',
       size: 'medium'
     }));
+    expect(parsed.damageResistances).toEqual(['cold']);
+    expect(parsed.damageImmunities).toEqual(['poison']);
+    expect(parsed.damageVulnerabilities).toEqual([]);
     expect(parsed.stats).toEqual(expect.objectContaining({ strength: 11, dexterity: 14, constitution: 12 }));
     expect(parsed.defensiveFeatures[0]).toEqual(expect.objectContaining({ name: 'Divine Protection (2/Rest)' }));
     expect(parsed.features[0]).toEqual(expect.objectContaining({ name: 'Devoted Follower' }));
@@ -55,5 +69,36 @@ Zealot
     expect(parsed.monsterAbilities.customFeatures).toEqual([
       expect.objectContaining({ name: 'Divine Protection', maxUses: 2, used: 0 })
     ]);
+    expect(parsed.monsterAbilities.legendaryResistance).toEqual({ max: 3, used: 0 });
+    expect(parsed.monsterAbilities.recharges).toEqual([{ name: 'Radiant Burst', min: 5, available: true, lastRoll: null }]);
+  });
+
+  it('leaves damage defenses qualified by magic out of automatic reduction', () => {
+    expect(parseDamageTypes('bludgeoning, piercing, and slashing from nonmagical attacks')).toEqual([]);
+    expect(parseDamageTypes('fire; bludgeoning, piercing, and slashing from nonmagical attacks that aren\'t silvered')).toEqual(['fire']);
+    expect(parseDamageTypes('acid, cold, lightning')).toEqual(['acid', 'cold', 'lightning']);
+  });
+
+  it('extracts to-hit, damage dice with types and save DCs from monster actions', () => {
+    expect(parseMonsterAction({ description: '*Melee Weapon Attack:* +7 to hit, reach 10 ft. *Hit:* 15 (2d10 + 4) slashing damage plus 7 (2d6) fire damage.' })).toEqual({
+      toHit: 7,
+      damage: [{ expression: '2d10+4', average: 15, damageType: 'slashing' }, { expression: '2d6', average: 7, damageType: 'fire' }],
+      save: null
+    });
+    expect(parseMonsterAction({ description: 'Each creature in a 30-foot cone must make a DC 18 Dexterity saving throw, taking 45 (13d6) lightning damage on a failed save.' })).toEqual({
+      toHit: null,
+      damage: [{ expression: '13d6', average: 45, damageType: 'lightning' }],
+      save: { ability: 'dexterity', dc: 18 }
+    });
+    expect(criticalDamageExpression('2d10+4')).toBe('4d10+4');
+  });
+
+  it('resolves Multiattack into the referenced attack actions in order', () => {
+    const bite = { name: 'Bite', description: 'Melee Weapon Attack: +9 to hit. Hit: 12 (2d6 + 5) piercing damage.' };
+    const claw = { name: 'Claw', description: 'Melee Weapon Attack: +9 to hit. Hit: 9 (1d8 + 5) slashing damage.' };
+    const breath = { name: 'Fire Breath (Recharge 5–6)', description: 'DC 17 Dexterity saving throw, 56 (16d6) fire damage.' };
+    const multiattack = { name: 'Multiattack', description: 'The dragon makes three attacks: one with its bite and two with its claws.' };
+    expect(parseMultiattack(multiattack, [multiattack, bite, claw, breath])).toEqual([{ action: bite, count: 1 }, { action: claw, count: 2 }]);
+    expect(parseMultiattack({ name: 'Multiattack', description: 'The owlbear makes two Claw attacks.' }, [claw])).toEqual([{ action: claw, count: 2 }]);
   });
 });
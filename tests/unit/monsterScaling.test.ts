@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { challengeLabel, challengeStats, scaleMonsterToChallenge } from '../../src/shared/monsterScaling';
+import { parseMonsterMarkdown } from '../../src/shared/monsterParser';
+import type { MonsterDatabaseEntry } from '../../src/shared/types';
+
+const BUGBEAR = `Bugbear
+
+**Armor Class:** 13
+**Hit Points:** 27 (5d8 + 5)
+**Challenge** 1 (200 XP), **Proficiency:** +2
+
+# Actions
+
+**Morningstar.** *Melee Weapon Attack:* +4 to hit, reach 5 ft. *Hit:* 11 (2d8 + 2) piercing damage.
+
+**Roar.** Each creature within 30 feet must succeed on a DC 12 Wisdom saving throw or be frightened.
+`;
+
+describe('monster CR scaling', () => {
+  it('reads the DMG monster statistics table by challenge rating', () => {
+    expect(challengeStats(5)).toEqual({ proficiency: 3, ac: 15, hp: 138, attack: 6, damage: 35.5, saveDc: 15 });
+    expect(challengeStats(7.5)).toBeNull();
+    expect(challengeLabel(0.125)).toBe('1/8');
+  });
+
+  it('scales HP, AC, to-hit, damage dice and save DCs and rewrites the statblock', () => {
+    const original = { id: 'bugbear', ...parseMonsterMarkdown(BUGBEAR) } as MonsterDatabaseEntry;
+    const scaled = scaleMonsterToChallenge(original, 5);
+
+    expect(scaled).toEqual(expect.objectContaining({
+      name: 'Bugbear (CR 5)',
+      hp: 49,
+      maxHp: 49,
+      hitDice: '9d8+9',
+      ac: 15,
+      challenge: '5 (1800 XP)',
+      proficiency: '+3',
+      scaledFrom: { monsterId: 'bugbear', name: 'Bugbear', challenge: '1 (200 XP)' }
+    }));
+    expect(scaled).not.toHaveProperty('id');
+    expect(scaled?.description).toContain('**Armor Class:** 15\n**Hit Points:** 49 (9d8 + 9)\n**Challenge** 5 (1800 XP), **Proficiency:** +3');
+    expect(scaled?.actions?.[0].description).toBe('**Morningstar.** *Melee Weapon Attack:* +7 to hit, reach 5 ft. *Hit:* 33 (7d8 + 2) piercing damage.');
+    expect(scaled?.actions?.[1].description).toContain('DC 14 Wisdom');
+    expect(scaleMonsterToChallenge({ ...original, challenge: '' }, 5)).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+import { applyStatePatch } from '../../src/client/statePatch';
+
+const { createPatch, forwardPatch } = createRequire(import.meta.url)('../../server/history.js');
+
+describe('client state patches', () => {
+  it('applies server diffs while keeping untouched branches shared', () => {
+    const before = {
+      nextSequence: 3,
+      characters: [
+        { id: 'a', name: 'A', currentHp: 10, effects: [] },
+        { id: 'b', name: 'B', currentHp: 8, effects: [{ id: 'e1', name: 'Poisoned' }] },
+        { id: 'c', name: 'C', currentHp: 5, effects: [] }
+      ],
+      combatState: { active: true, currentTurn: 0, round: 1 }
+    };
+    const after = {
+      nextSequence: 4,
+      characters: [
+        { id: 'c', name: 'C', currentHp: 5, effects: [] },
+        { id: 'd', name: 'D', currentHp: 12, effects: [] },
+        { id: 'a', name: 'A', currentHp: 4, effects: [] }
+      ],
+      combatState: { active: true, currentTurn: 1, round: 1 }
+    };
+
+    const next = applyStatePatch(before, forwardPatch(createPatch(before, after)));
+
+    expect(next).toEqual(after);
+    expect(before.characters).toHaveLength(3);
+    expect(before.characters[0].currentHp).toBe(10);
+    expect(next.characters[0]).toBe(before.characters[2]);
+  });
+});
@@ -12,8 +12,9 @@ import { Toolbelt } from '../../src/components/Toolbelt';
 import { CombatPage } from '../../src/pages/CombatPage';
 import { DatabasesPage } from '../../src/pages/DatabasesPage';
 import { InventoryPage } from '../../src/pages/InventoryPage';
+import { MonstersPage } from '../../src/pages/MonstersPage';
 import { SpellsPage } from '../../src/pages/SpellsPage';
-import type { Character, GameAction, GameState } from '../../src/shared/types';
+import type { Character, CombatRecap, GameAction, GameState } from '../../src/shared/types';
 import { abilityCheckBonus, adjustedAbilityScores, armorClass, initiativeBonus, saveBonus, skillBonus, spellAttackBonus, spellSaveDc } from '../../src/shared/characterSheet';
 
 describe('visual UX helpers', () => {
@@ -224,6 +225,625 @@ describe('page visual behavior', () => {
     expect(screen.getByRole('button', { name: 'Save dice' })).toBeInTheDocument();
   });
 
+  it('shows remaining effect time and submits durations with a source', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [
+            character({ effects: [{ name: 'Bless', duration: { unit: 'minutes', amount: 1 }, remainingRounds: 7 }, { name: 'Mocked', duration: { unit: 'sourceTurn', amount: 1 }, remainingRounds: 1, sourceCharacterId: 'bryn' }] }),
+            character({ id: 'bryn', name: 'Bryn' })
+          ],
+          conditionDatabase: [{ id: 'blessed', name: 'Blessed', kind: 'buff', description: '+1d4.' }]
+        })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    fireEvent.click(within(screen.getByTestId('character-Ayla')).getByRole('button', { name: 'Bless' }));
+    expect(screen.getByLabelText('Bless remaining')).toHaveTextContent('7 rd left');
+    expect(screen.getByLabelText('Mocked remaining')).toHaveTextContent("until end of Bryn's next turn");
+
+    fireEvent.change(screen.getByLabelText('Effect duration'), { target: { value: 'minutes' } });
+    fireEvent.change(screen.getByLabelText('Duration amount'), { target: { value: '10' } });
+    fireEvent.change(screen.getByLabelText('Effect source'), { target: { value: 'bryn' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add selected' }));
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'effect.add',
+      payload: expect.objectContaining({ characterId: 'ayla', name: 'Blessed', duration: { unit: 'minutes', amount: 10 }, sourceCharacterId: 'bryn' })
+    });
+  });
+
+  it('prompts a pending concentration save showing the Constitution save bonus', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [character({
+            abilityScores: { strength: 10, dexterity: 10, constitution: 14, intelligence: 10, wisdom: 10, charisma: 10 },
+            savingThrowProficiencies: ['constitution'],
+            effects: [{ name: 'Concentrating' }],
+            pendingConcentrationSaves: [{ id: 'save-1', dc: 12, damage: 24 }]
+          })]
+        })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    const prompt = screen.getByRole('group', { name: 'Ayla concentration save' });
+    expect(prompt).toHaveTextContent('Concentration save DC 12');
+    expect(within(prompt).getByLabelText('Concentration save bonus')).toHaveTextContent('CON +4');
+    fireEvent.change(within(prompt).getByLabelText('Concentration d20'), { target: { value: '7' } });
+    fireEvent.click(within(prompt).getByRole('button', { name: 'Resolve' }));
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'character.concentration.resolve',
+      payload: { characterId: 'ayla', saveId: 'save-1', roll: 7 }
+    });
+  });
+
+  it('plans an encounter against the party XP thresholds and saves it', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [character({ hitDice: { max: 3, current: 3 } }), character({ id: 'bryn', name: 'Bryn', hitDice: { max: 3, current: 3 } })],
+          monsterDatabase: [{ id: 'goblin', name: 'Goblin', hp: 7, ac: 15, initBonus: 2, challenge: '1/4' }]
+        })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /Encounter builder/ }));
+    const builder = screen.getByTestId('encounter-builder');
+    expect(within(builder).getByText('Hard 450')).toBeInTheDocument();
+    fireEvent.click(within(builder).getByRole('option', { name: /Goblin/ }));
+    fireEvent.change(within(builder).getByLabelText('Goblin count'), { target: { value: '3' } });
+    expect(within(builder).getByTestId('encounter-summary')).toHaveTextContent('150 XP x2.5 = 375 adjusted XP (Medium)');
+    expect(within(builder).getByRole('button', { name: 'Deploy to combat' })).toBeDisabled();
+    fireEvent.change(within(builder).getByLabelText('Encounter name'), { target: { value: 'Ambush' } });
+    fireEvent.click(within(builder).getByRole('button', { name: 'Save encounter' }));
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'encounter.upsert',
+      payload: { encounter: { id: expect.stringMatching(/^encounter-/), name: 'Ambush', notes: '', lair: false, monsters: [{ monsterId: 'goblin', count: 3, groupName: '', revealed: false }], waves: [] } }
+    });
+  });
+
+  it('stages encounter waves and triggers saved ones mid-combat', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    const goblins = { monsterId: 'goblin', count: 2, groupName: 'Archers', revealed: false };
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [character()],
+          monsterDatabase: [{ id: 'goblin', name: 'Goblin', hp: 7, ac: 15, initBonus: 2, challenge: '1/4' }],
+          encounters: [{ id: 'keep', name: 'Keep', notes: '', lair: false, monsters: [], waves: [{ id: 'gate', name: 'Gate', monsters: [goblins] }] }]
+        })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /Encounter builder/ }));
+    const builder = screen.getByTestId('encounter-builder');
+    fireEvent.change(within(builder).getByLabelText('Saved encounter'), { target: { value: 'keep' } });
+    fireEvent.change(within(builder).getByLabelText('Encounter monster HP'), { target: { value: 'rolled' } });
+    fireEvent.click(within(builder).getByRole('button', { name: 'Trigger Gate' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'encounter.wave.trigger', payload: { encounterId: 'keep', waveId: 'gate', hpMode: 'rolled' } });
+
+    fireEvent.change(within(builder).getByLabelText('Add monsters to'), { target: { value: 'gate' } });
+    expect(within(builder).getByLabelText('Goblin group')).toHaveValue('Archers');
+    fireEvent.click(within(builder).getByLabelText('Goblin revealed'));
+    expect(within(builder).getByRole('button', { name: 'Deploy to combat' })).toBeDisabled();
+    fireEvent.click(within(builder).getByRole('button', { name: 'Save encounter' }));
+    expect(submitAction).toHaveBeenLastCalledWith({
+      type: 'encounter.upsert',
+      payload: { encounter: { id: 'keep', name: 'Keep', notes: '', lair: false, monsters: [], waves: [{ id: 'gate', name: 'Gate', monsters: [{ ...goblins, revealed: true }] }] } }
+    });
+  });
+
+  it('prompts the DM with legendary actions and their costs between turns', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [
+            character(),
+            character({
+              id: 'dragon',
+              name: 'Dragon',
+              type: 'monster',
+              monsterData: { legendaryActionEntries: [{ name: 'Detect', description: '' }, { name: 'Wing Attack (Costs 2 Actions)', description: '' }] },
+              monsterAbilities: { legendaryActions: { enabled: true, max: 3, used: 2 } }
+            })
+          ],
+          combatState: { active: true, currentTurn: 0, round: 1, playedThisRound: [], legendaryPrompt: { afterCharacterId: 'ayla', monsterIds: ['dragon'] } }
+        })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    const prompt = screen.getByTestId('legendary-prompt');
+    expect(within(prompt).getByText('Legendary actions after Ayla')).toBeInTheDocument();
+    expect(within(prompt).getByRole('button', { name: 'Wing Attack (2)' })).toBeDisabled();
+    fireEvent.click(within(prompt).getByRole('button', { name: 'Detect (1)' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.legendaryAction', payload: { characterId: 'dragon', index: 0 } });
+  });
+
+  it('shows legendary resistance pips on the DM monster card', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({ characters: [character({ id: 'lich', name: 'Lich', type: 'monster', monsterAbilities: { legendaryResistance: { max: 3, used: 1 } } })] })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    const pips = screen.getByRole('group', { name: 'Lich legendary resistance' });
+    expect(within(pips).getByText('Legendary resistance 2/3')).toBeInTheDocument();
+    fireEvent.click(within(pips).getByRole('button', { name: 'Use legendary resistance' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'monster.legendaryResistance.uses', payload: { characterId: 'lich', used: 2 } });
+  });
+
+  it('rolls a parsed monster attack against a target and applies its typed damage parts as one hit', async () => {
+    const rolls = [
+      { targetAc: 17, attacks: [{ name: 'Flaming Club', total: 19, natural: 12, critical: false, hit: true, detail: '', damage: [] }] },
+      { targetAc: 17, attacks: [{ name: 'Flaming Club', total: 16, natural: 9, critical: false, hit: false, detail: '', damage: [] }] },
+      { targetAc: null, attacks: [{ name: 'Flaming Club', total: null, natural: null, critical: false, hit: null, detail: null, damage: [{ total: 14, damageType: 'bludgeoning', detail: '' }, { total: 5, damageType: 'fire', detail: '' }] }] }
+    ];
+    const submitAction = vi.fn(async (action: GameAction) => action.type === 'monster.attack.roll' ? { ok: true, entry: { result: rolls.shift() } } : undefined);
+    render(
+      <MonstersPage
+        state={gameState({
+          characters: [
+            character(),
+            character({
+              id: 'ogre',
+              name: 'Ogre',
+              type: 'monster',
+              monsterData: { actions: [{ name: 'Flaming Club', description: '*Melee Weapon Attack:* +7 to hit, reach 5 ft. *Hit:* 15 (2d10 + 4) bludgeoning damage plus 7 (2d6) fire damage.' }] }
+            })
+          ]
+        })}
+        submitAction={submitAction}
+        selectedCharacterId="ogre"
+        onSelectCharacter={vi.fn()}
+        onBackToCombat={vi.fn()}
+      />
+    );
+
+    const rollsGroup = screen.getByRole('group', { name: 'Flaming Club rolls' });
+    expect(within(rollsGroup).getByText('+7 to hit')).toBeInTheDocument();
+    expect(within(rollsGroup).getByText('2d6 fire')).toBeInTheDocument();
+    fireEvent.change(within(rollsGroup).getByLabelText('Flaming Club target'), { target: { value: 'ayla' } });
+    fireEvent.click(within(rollsGroup).getByRole('button', { name: 'Roll attack' }));
+    expect(await within(rollsGroup).findByText('Attack 19: hit vs AC 17')).toBeInTheDocument();
+    fireEvent.change(within(rollsGroup).getByLabelText('Flaming Club target'), { target: { value: '' } });
+    expect(within(rollsGroup).queryByText(/^Attack 19/)).not.toBeInTheDocument();
+    fireEvent.change(within(rollsGroup).getByLabelText('Flaming Club target'), { target: { value: 'ayla' } });
+    fireEvent.click(within(rollsGroup).getByRole('button', { name: 'Roll attack' }));
+    expect(await within(rollsGroup).findByText('Attack 16: miss vs AC 17')).toBeInTheDocument();
+    fireEvent.click(within(rollsGroup).getByRole('button', { name: 'Roll damage' }));
+    fireEvent.click(await within(rollsGroup).findByRole('button', { name: 'Apply to Ayla' }));
+    expect(await within(rollsGroup).findByRole('button', { name: 'Roll damage' })).toBeInTheDocument();
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'monster.attack.roll',
+      payload: { characterId: 'ogre', targetCharacterId: 'ayla', mode: 'normal', attacks: [{ name: 'Flaming Club', toHit: 7, damage: [] }] }
+    });
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'monster.attack.roll',
+      payload: {
+        characterId: 'ogre',
+        attacks: [{ name: 'Flaming Club', toHit: null, critical: false, damage: [{ expression: '2d10+4', average: 15, damageType: 'bludgeoning' }, { expression: '2d6', average: 7, damageType: 'fire' }] }]
+      }
+    });
+    expect(submitAction.mock.calls.some(([action]) => action.type === 'toolbelt.dice.add')).toBe(false);
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'character.adjustHpSequence',
+      payload: {
+        characterId: 'ayla',
+        sourceCharacterId: 'ogre',
+        source: 'Ogre Flaming Club',
+        hits: [{ critical: false, parts: [{ amount: 14, damageType: 'bludgeoning' }, { amount: 5, damageType: 'fire' }] }]
+      }
+    });
+    expect(submitAction.mock.calls.some(([action]) => action.type === 'character.adjustHp')).toBe(false);
+  });
+
+  it('runs a Multiattack routine against the target AC and applies the hits in one action', async () => {
+    const attacks = [
+      { name: 'Bite', total: 16, natural: 7, critical: false, hit: true, detail: '', damage: [{ total: 12, damageType: 'piercing', detail: '' }] },
+      { name: 'Claw 1', total: 10, natural: 1, critical: false, hit: false, detail: '', damage: [] },
+      { name: 'Claw 2', total: 25, natural: 20, critical: true, hit: true, detail: '', damage: [{ total: 15, damageType: 'slashing', detail: '' }] }
+    ];
+    const submitAction = vi.fn(async (action: GameAction) => action.type === 'monster.attack.roll' ? { ok: true, entry: { result: { targetAc: 15, attacks } } } : undefined);
+    render(
+      <MonstersPage
+        state={gameState({
+          characters: [
+            character(),
+            character({
+              id: 'dragon',
+              name: 'Dragon',
+              type: 'monster',
+              monsterData: {
+                actions: [
+                  { name: 'Multiattack', description: 'The dragon makes three attacks: one with its bite and two with its claws.' },
+                  { name: 'Bite', description: 'Melee Weapon Attack: +9 to hit. Hit: 12 (2d6 + 5) piercing damage.' },
+                  { name: 'Claw', description: 'Melee Weapon Attack: +9 to hit. Hit: 9 (1d8 + 5) slashing damage.' }
+                ]
+              }
+            })
+          ]
+        })}
+        submitAction={submitAction}
+        selectedCharacterId="dragon"
+        onSelectCharacter={vi.fn()}
+        onBackToCombat={vi.fn()}
+      />
+    );
+
+    const routine = screen.getByRole('group', { name: 'Multiattack routine' });
+    expect(within(routine).getByText('2x Claw')).toBeInTheDocument();
+    fireEvent.change(within(routine).getByLabelText('Multiattack target'), { target: { value: 'ayla' } });
+    fireEvent.click(within(routine).getByRole('button', { name: 'Roll routine' }));
+    expect(await within(routine).findByText('Claw 2: 25 vs AC 15 critical hit, 15 slashing')).toBeInTheDocument();
+    expect(within(routine).getByText('Claw 1: 10 vs AC 15 miss')).toBeInTheDocument();
+    expect(submitAction).toHaveBeenCalledTimes(1);
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'monster.attack.roll',
+      payload: {
+        characterId: 'dragon',
+        targetCharacterId: 'ayla',
+        attacks: [
+          { name: 'Bite', toHit: 9, damage: [{ expression: '2d6+5', average: 12, damageType: 'piercing' }] },
+          { name: 'Claw 1', toHit: 9, damage: [{ expression: '1d8+5', average: 9, damageType: 'slashing' }] },
+          { name: 'Claw 2', toHit: 9, damage: [{ expression: '1d8+5', average: 9, damageType: 'slashing' }] }
+        ]
+      }
+    });
+    fireEvent.click(within(routine).getByRole('button', { name: 'Apply 2 hits (27 damage) to Ayla' }));
+    expect(submitAction).toHaveBeenLastCalledWith({
+      type: 'character.adjustHpSequence',
+      payload: {
+        characterId: 'ayla',
+        sourceCharacterId: 'dragon',
+        source: 'Dragon Multiattack',
+        hits: [{ critical: false, parts: [{ amount: 12, damageType: 'piercing' }] }, { critical: true, parts: [{ amount: 15, damageType: 'slashing' }] }]
+      }
+    });
+  });
+
+  it('shows lair actions on the lair turn and blocks the one used last round', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [
+            character({ id: 'lair', name: 'Lair', type: 'monster', lair: true, initiative: 20, lastLairAction: { monsterId: 'dragon', name: 'Tremor', round: 1 } }),
+            character({ id: 'dragon', name: 'Dragon', type: 'monster', initiative: 8, monsterData: { hasLairActions: true, lairActions: [{ name: 'Tremor', description: 'The ground shakes.' }, { name: 'Fog', description: 'Fog rises.' }] } })
+          ],
+          combatState: { active: true, currentTurn: 0, round: 2, playedThisRound: [] }
+        })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    const lair = screen.getByTestId('character-Lair');
+    expect(within(lair).getByText('Last: Tremor (round 1)')).toBeInTheDocument();
+    expect(within(lair).getByRole('button', { name: 'Use lair action Tremor' })).toBeDisabled();
+    fireEvent.click(within(lair).getByRole('button', { name: 'Use lair action Fog' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.lairAction', payload: { monsterId: 'dragon', name: 'Fog' } });
+  });
+
+  it('marks surprised combatants when starting combat and shows them on the initiative line', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    const props = { role: 'dm' as const, submitAction, onOpenSpells: vi.fn(), onOpenInventory: vi.fn(), onOpenMonsters: vi.fn() };
+    const characters = [character(), character({ id: 'goblin', name: 'Goblin', type: 'monster', initiative: 12 })];
+    const { rerender } = render(<CombatPage state={gameState({ characters })} {...props} />);
+
+    fireEvent.click(screen.getByLabelText('Goblin surprised'));
+    fireEvent.click(screen.getByRole('button', { name: 'Start combat' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.start', payload: { surprisedIds: ['goblin'] } });
+
+    rerender(
+      <CombatPage
+        state={gameState({
+          characters: [{ ...characters[0], initiative: 18 }, { ...characters[1], surprised: true }],
+          combatState: { active: true, currentTurn: 0, round: 1, playedThisRound: [] }
+        })}
+        {...props}
+      />
+    );
+    expect(screen.getByText('Goblin (12) surprised')).toHaveClass('surprised');
+  });
+
+  it('shows the combat recap to the DM and exports it to the notepad', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    const props = { submitAction, onOpenSpells: vi.fn(), onOpenInventory: vi.fn(), onOpenMonsters: vi.fn() };
+    const recap: CombatRecap = {
+      rounds: 3,
+      endedAt: '2026-10-19T20:00:00.000Z',
+      combatants: [
+        { id: 'ayla', name: 'Ayla', type: 'player', damageDealt: 18, damageTaken: 4, healingDone: 0, healingReceived: 0, knockouts: 1, slots: { L1: 2 }, features: { 'Action Surge': 1 } },
+        { id: 'goblin', name: 'Goblin', type: 'monster', damageDealt: 4, damageTaken: 18, healingDone: 0, healingReceived: 0, knockouts: 0, slots: {}, features: {} }
+      ],
+      knockouts: [{ round: 3, targetId: 'goblin', targetName: 'Goblin', actorName: 'Ayla', lifeState: 'dead' }]
+    };
+    const state = gameState({ characters: [character()], combatState: { active: false, currentTurn: 0, round: 1, playedThisRound: [], recap } });
+    const { unmount } = render(<CombatPage state={state} role="dm" {...props} />);
+
+    const recapView = screen.getByTestId('combat-recap');
+    expect(within(recapView).getByText('3 rounds, 1 KO')).toBeInTheDocument();
+    expect(within(screen.getByTestId('recap-ayla')).getByText('L1 slot ×2, Action Surge ×1')).toBeInTheDocument();
+    expect(within(recapView).getByText('Round 3: Goblin killed by Ayla')).toBeInTheDocument();
+    fireEvent.click(within(recapView).getByRole('button', { name: 'Export to Notepad' }));
+    const exported = submitAction.mock.calls[0][0];
+    expect(exported).toEqual(expect.objectContaining({ type: 'toolbelt.note.upsert', page: 'toolbelt', payload: expect.objectContaining({ date: '2026-10-19', title: 'Combat recap 2026-10-19' }) }));
+    expect((exported.payload as { text: string }).text).toContain('| Ayla | 18 | 4 | 0 | 1 |');
+
+    unmount();
+    render(<CombatPage state={state} role="player" {...props} />);
+    expect(screen.queryByTestId('combat-recap')).not.toBeInTheDocument();
+  });
+
+  it('shows the initiative breakdown and lets players submit a physical roll before combat', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [
+            character({ initiative: 17, initiativeRoll: { natural: 14, rolls: [5, 14], modifier: 3, advantage: 'Feral Instinct', dexterity: 14, rollOff: 7, source: 'rolled' } }),
+            character({ id: 'borin', name: 'Borin' })
+          ]
+        })}
+        role="player"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    const breakdown = screen.getByRole('group', { name: 'Ayla initiative breakdown' });
+    expect(within(breakdown).getByText('d20 5/14 → 14 + 3')).toBeInTheDocument();
+    expect(within(breakdown).getByText('Advantage: Feral Instinct')).toBeInTheDocument();
+    expect(within(breakdown).getByText('Roll-off 7')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Borin initiative d20'), { target: { value: '15' } });
+    fireEvent.click(within(screen.getByTestId('character-Borin')).getByRole('button', { name: 'Submit initiative roll' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'character.initiative.submit', payload: { characterId: 'borin', natural: 15 } });
+  });
+
+  it('collapses monster groups into one initiative slot and manages them from the groups panel', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [
+            character({ id: 'g1', name: 'Goblin 1', type: 'monster', initiative: 14, currentHp: 7, maxHp: 7, groupId: 'grp', groupName: 'Goblins', revealedToPlayers: false }),
+            character({ id: 'g2', name: 'Goblin 2', type: 'monster', initiative: 14, currentHp: 3, maxHp: 7, groupId: 'grp', groupName: 'Goblins', revealedToPlayers: false }),
+            character({ initiative: 12 }),
+            character({ id: 'wolf', name: 'Wolf', type: 'monster', initiative: 5, currentHp: 11, maxHp: 11 })
+          ],
+          combatState: { active: true, currentTurn: 1, round: 1, playedThisRound: [0] }
+        })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('Goblins (14) ×2 · HP 10/14')).toHaveClass('current');
+    expect(screen.queryByText('Goblin 1 (14)')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Monster groups/i }));
+    fireEvent.click(screen.getByLabelText('Wolf'));
+    fireEvent.change(screen.getByLabelText('New group name'), { target: { value: 'Pack' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create group' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.group.create', payload: { characterIds: ['wolf'], name: 'Pack' } });
+
+    const controls = screen.getByRole('group', { name: 'Goblins group controls' });
+    fireEvent.change(within(controls).getByLabelText('Goblins group damage'), { target: { value: '4' } });
+    fireEvent.click(within(controls).getByRole('button', { name: 'Damage group' }));
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'character.adjustHpBatch',
+      payload: { amount: -4, damageType: null, save: null, targets: [{ characterId: 'g1' }, { characterId: 'g2' }] }
+    });
+    fireEvent.click(within(controls).getByRole('button', { name: 'Split Goblin 2 from Goblins' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.group.split', payload: { characterIds: ['g2'] } });
+    fireEvent.click(within(controls).getByRole('button', { name: 'Reveal group' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.group.reveal', payload: { groupId: 'grp' } });
+  });
+
+  it('offers Delay on the current turn and readies or resolves held actions', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [
+            character({ initiative: 18 }),
+            character({ id: 'borin', name: 'Borin', initiative: 12, readiedAction: { trigger: 'Goblin steps in', round: 1 } }),
+            character({ id: 'cora', name: 'Cora', initiative: 9, delayed: true })
+          ],
+          combatState: { active: true, currentTurn: 0, round: 1, playedThisRound: [] }
+        })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    fireEvent.click(within(screen.getByTestId('character-Ayla')).getByRole('button', { name: 'Delay' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.delay', payload: { characterId: 'ayla' } });
+    expect(within(screen.getByTestId('character-Borin')).queryByRole('button', { name: 'Delay' })).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Ayla ready trigger'), { target: { value: 'Door opens' } });
+    fireEvent.click(within(screen.getByTestId('character-Ayla')).getByRole('button', { name: 'Ready' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.ready', payload: { characterId: 'ayla', trigger: 'Door opens' } });
+
+    const borin = screen.getByTestId('character-Borin');
+    expect(within(borin).getByText('Readied: Goblin steps in')).toBeInTheDocument();
+    fireEvent.click(within(borin).getByRole('button', { name: 'Resolve as reaction' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.ready.resolve', payload: { characterId: 'borin' } });
+
+    fireEvent.click(within(screen.getByTestId('character-Cora')).getByRole('button', { name: 'Act after current turn' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'combat.delay.resume', payload: { characterId: 'cora' } });
+    expect(screen.getByText('Cora (9) delayed')).toHaveClass('delayed');
+  });
+
+  it('applies area damage with per-target save bonuses from sheets and monster stats', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [
+            character({ abilityScores: { strength: 10, dexterity: 14, constitution: 10, intelligence: 10, wisdom: 10, charisma: 10 }, savingThrowProficiencies: ['dexterity'] }),
+            character({ id: 'orc', name: 'Orc', type: 'monster', monsterData: { stats: { dexterity: 12 } } }),
+            character({ id: 'mage', name: 'Mage', type: 'monster', monsterData: { saves: 'Dex +6, Wis +4', stats: { dexterity: 14 } } })
+          ]
+        })}
+        role="dm"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /Area effect/ }));
+    ['Ayla', 'Orc', 'Mage'].forEach(name => fireEvent.click(screen.getByRole('checkbox', { name })));
+    fireEvent.change(screen.getByLabelText('Area amount'), { target: { value: '28' } });
+    fireEvent.change(screen.getAllByLabelText('Damage type')[0], { target: { value: 'fire' } });
+    fireEvent.change(screen.getByLabelText('Area save'), { target: { value: 'dexterity' } });
+    expect(screen.getByLabelText('Ayla save bonus')).toHaveTextContent('+4');
+    expect(screen.getByLabelText('Orc save bonus')).toHaveTextContent('+1');
+    expect(screen.getByLabelText('Mage save bonus')).toHaveTextContent('+6');
+    fireEvent.change(screen.getByLabelText('Orc save d20'), { target: { value: '9' } });
+    fireEvent.change(screen.getByLabelText('Area source'), { target: { value: 'mage' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Apply to 3 targets' }));
+
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'character.adjustHpBatch',
+      payload: {
+        amount: -28,
+        damageType: 'fire',
+        save: { ability: 'dexterity', dc: 15, onSuccess: 'half' },
+        sourceCharacterId: 'mage',
+        targets: [
+          { characterId: 'ayla', saveRoll: null },
+          { characterId: 'orc', saveRoll: 9 },
+          { characterId: 'mage', saveRoll: null }
+        ]
+      }
+    });
+  });
+
+  it('prompts a save to end an ongoing damage effect', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({
+          characters: [character({
+            abilityScores: { strength: 10, dexterity: 16, constitution: 10, intelligence: 10, wisdom: 10, charisma: 10 },
+            effects: [{ name: 'Bless' }, { name: 'Burning', diceCount: 2, diceSides: 4, damageType: 'fire', saveToEnd: { ability: 'dexterity', dc: 13 }, savePending: true }]
+          })]
+        })}
+        role="player"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    const prompt = screen.getByRole('group', { name: 'Ayla Burning save' });
+    expect(prompt).toHaveTextContent('Burning save DC 13 DEX');
+    expect(within(prompt).getByLabelText('Effect save bonus')).toHaveTextContent('DEX +3');
+    fireEvent.click(within(prompt).getByRole('button', { name: 'Roll save' }));
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'effect.save.resolve',
+      payload: { characterId: 'ayla', index: 1, roll: null }
+    });
+  });
+
+  it('shows death save pips and records a death save for a dying character', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({ characters: [character({ currentHp: 0, lifeState: 'dying', deathSaves: { successes: 2, failures: 1 } })] })}
+        role="player"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    const tracker = screen.getByRole('group', { name: 'Ayla death saves' });
+    expect(tracker).toHaveTextContent('Dying');
+    expect(within(tracker).getByLabelText('2 successes').querySelectorAll('.used')).toHaveLength(2);
+    expect(within(tracker).getByLabelText('1 failures').querySelectorAll('.used')).toHaveLength(1);
+    expect(within(tracker).queryByRole('button', { name: 'Revive' })).not.toBeInTheDocument();
+    fireEvent.change(within(tracker).getByLabelText('Death save d20'), { target: { value: '14' } });
+    fireEvent.click(within(tracker).getByRole('button', { name: 'Record death save' }));
+    expect(submitAction).toHaveBeenCalledWith({ type: 'character.deathSave.roll', payload: { characterId: 'ayla', roll: 14 } });
+  });
+
+  it('submits typed damage and shows damage defenses on combat cards', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <CombatPage
+        state={gameState({ characters: [character({ damageResistances: ['fire'], damageImmunities: ['poison'] })] })}
+        role="player"
+        submitAction={submitAction}
+        onOpenSpells={vi.fn()}
+        onOpenInventory={vi.fn()}
+        onOpenMonsters={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('Resistant: fire')).toBeInTheDocument();
+    expect(screen.getByText('Immune: poison')).toBeInTheDocument();
+    fireEvent.change(screen.getByTestId('damage-Ayla'), { target: { value: '12' } });
+    fireEvent.change(screen.getByLabelText('Damage type'), { target: { value: 'fire' } });
+    fireEvent.click(screen.getAllByRole('button', { name: 'Apply' })[0]);
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'character.adjustHp',
+      payload: { characterId: 'ayla', amount: -12, damageType: 'fire' }
+    });
+  });
+
   it('shows combat-style health and conditions on Character Sheets', () => {
     const submitAction = vi.fn(async (_action: GameAction) => undefined);
     render(
@@ -319,6 +939,28 @@ describe('page visual behavior', () => {
     expect(screen.getByRole('heading', { name: 'Moonblade' })).toBeInTheDocument();
   });
 
+  it('lets the DM share join links and assign character owners', () => {
+    const submitAction = vi.fn(async (_action: GameAction) => undefined);
+    render(
+      <DatabasesPage
+        state={gameState({ playerAccounts: [{ id: 'account-a', name: 'Anna', token: 'anna-link' }] })}
+        role="dm"
+        submitAction={submitAction}
+        onBackToCombat={vi.fn()}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Player Characters' }));
+    fireEvent.click(screen.getByRole('button', { name: /Players/ }));
+    expect((screen.getByLabelText('Anna join link') as HTMLInputElement).value).toContain('mode=player&token=anna-link');
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Anna' }));
+    expect(submitAction).toHaveBeenCalledWith({
+      type: 'character.owners.set',
+      payload: { characterId: 'ayla', ownerIds: ['account-a'], sharedWithPlayers: true }
+    });
+  });
+
   it('shows known spells, opens spell details and edits learned/prepared spells', () => {
     const submitAction = vi.fn(async (_action: GameAction) => undefined);
     const state = gameState({
@@ -478,6 +1120,23 @@ describe('page visual behavior', () => {
     }));
   });
 
+  it('shows the server-rolled dice result from the action acknowledgement', async () => {
+    const result = { id: 'dice_1', actorId: 'p1', actorName: 'Player', expression: '1d20+5', total: 17, detail: '1d20: 12 | +5: 5', mode: 'normal', rerollOnes: false, timestamp: '2026-01-01T00:00:00.000Z' };
+    const submitAction = vi.fn(async (_action: GameAction) => ({ ok: true, entry: { id: 'log_1', label: 'Player: dice 1d20+5 = 17', result } }));
+    render(<Toolbelt role="player" state={gameState()} submitAction={submitAction} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Dice Roller' }));
+    fireEvent.change(screen.getByLabelText('Dice expression'), { target: { value: '1d20+5' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Roll' }));
+
+    const lastRoll = await screen.findByLabelText('Last roll');
+    expect(within(lastRoll).getByText('17')).toBeInTheDocument();
+    expect(within(lastRoll).getByText('1d20: 12 | +5: 5')).toBeInTheDocument();
+    expect(submitAction).toHaveBeenCalledWith(expect.objectContaining({
+      payload: { expression: '1d20+5', mode: 'normal', rerollOnes: false }
+    }));
+  });
+
   it('uses Wisdom for Crow aura and Intelligence for Astria aura', () => {
     const state = gameState({
       characters: [